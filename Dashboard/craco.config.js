@@ -1,11 +1,17 @@
 // craco.config.js
+// Tailwind and autoprefixer are already wired in by react-scripts 5, which
+// picks up tailwind.config.js on its own.
 module.exports = {
-    style: {
-      postcss: {
-        plugins: [
-          require('tailwindcss'),
-          require('autoprefixer'),
-        ],
+    webpack: {
+      configure: (webpackConfig) => {
+        // epanet-js ships an Emscripten build that references Node's fs and path
+        // behind a runtime check; they are never used in the browser.
+        webpackConfig.resolve.fallback = {
+          ...webpackConfig.resolve.fallback,
+          fs: false,
+          path: false,
+        };
+        return webpackConfig;
       },
     },
-  };
\ No newline at end of file
+  };
@@ -5,7 +5,7 @@ import { BrowserRouter, Route, Routes } from 'react-router-dom';
 
 import './App.css';
 import { Footer, Navbar, Sidebar, ThemeSettings } from './components';
-import { ColorPicker, ComplainsData, Dashboard, WaterQuality, Editor, LeakageDetection, Pilferage, SensorAllocation } from './pages';
+import { ColorPicker, ComplainsData, Dashboard, WaterQuality, Editor, HydraulicSimulation, LeakageDetection, Pilferage, RunHistory, SensorAllocation } from './pages';
 
 import { useStateContext } from './contexts/ContextProvider';
 
@@ -74,11 +74,13 @@ const App = () => {
                 {/* <Route path="/gisTracking" element={<GisTracking />} /> */}
                 <Route path="/leakage-detection" element={<LeakageDetection />} />
                 <Route path="/complains-data" element={<ComplainsData />} />
+                <Route path="/run-history" element={<RunHistory />} />
 
                 {/* apps  */}
                 <Route path="/pilferage" element={<Pilferage />} />
                 <Route path="/editor" element={<Editor />} />
                 <Route path="/sensor-allocation" element={<SensorAllocation />} />
+                <Route path="/hydraulic-simulation" element={<HydraulicSimulation />} />
                 <Route path="/color-picker" element={<ColorPicker />} />
 
                 {/* charts  */}
@@ -0,0 +1,144 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+import { useStateContext } from '../contexts/ContextProvider';
+import {
+  COMPLAINT_PRIORITIES,
+  formatHistoryEntry,
+  STATUS_TRANSITIONS,
+  statusLabel,
+  validateCaseChange,
+} from '../utils/complaintCases';
+import { saveCaseChange } from '../utils/complaintStore';
+
+const inputClass = 'border rounded px-2 py-1 text-sm w-full';
+
+const formatDate = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : '');
+
+const caseFields = ({ status, assignee, priority }) => ({ status, assignee, priority });
+
+// Side panel where staff move a complaint through its lifecycle. Changes are
+// attributed to the operator set under Settings.
+const ComplaintCasePanel = ({ complaint, onClose }) => {
+  const { operatorName } = useStateContext();
+  const [status, setStatus] = useState(complaint.status);
+  const [assignee, setAssignee] = useState(complaint.assignee);
+  const [priority, setPriority] = useState(complaint.priority);
+  const [note, setNote] = useState('');
+  const [problems, setProblems] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  // The record's fields as last shown, to tell edits here from changes saved
+  // elsewhere while the panel is open.
+  const shown = useRef(caseFields(complaint));
+  const [changedElsewhere, setChangedElsewhere] = useState(false);
+
+  // Follow the record when it changes underneath the panel, and say so if that
+  // replaced something edited here.
+  useEffect(() => {
+    const incoming = caseFields(complaint);
+    const edited = { status, assignee, priority };
+    const lost = Object.keys(incoming).some((field) => edited[field] !== shown.current[field] && edited[field] !== incoming[field]);
+    if (lost) setChangedElsewhere(true);
+    shown.current = incoming;
+    setStatus(incoming.status);
+    setAssignee(incoming.assignee);
+    setPriority(incoming.priority);
+  }, [complaint.status, complaint.assignee, complaint.priority]);
+
+  const handleSave = async () => {
+    const changes = { status, assignee, priority, note };
+    const found = validateCaseChange(complaint, changes);
+    setProblems(found);
+    if (found.length) return;
+    setChangedElsewhere(false);
+    setIsSaving(true);
+    try {
+      await saveCaseChange(complaint, changes, operatorName);
+      setNote('');
+    } catch (error) {
+      setProblems(['The change could not be saved.']);
+      console.error('Error saving complaint:', error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <aside className="fixed top-0 right-0 h-full w-full md:w-400 bg-white shadow-2xl z-50 overflow-y-auto p-6" aria-label={`Complaint ${complaint.id}`}>
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold">Complaint {complaint.id}</h3>
+        <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-800">Close</button>
+      </div>
+      <p className="mb-4 text-sm whitespace-pre-wrap">{complaint.description || complaint.complain}</p>
+
+      {changedElsewhere && (
+        <p className="mb-4 text-sm text-yellow-700" role="status">
+          This complaint was changed elsewhere while you were editing; the form now shows the saved status, assignee and priority.
+        </p>
+      )}
+
+      <div className="flex flex-col gap-3 mb-4">
+        <label htmlFor="caseStatus" className="text-sm">
+          Status
+          <select id="caseStatus" value={status} onChange={(e) => setStatus(e.target.value)} className={inputClass}>
+            {[complaint.status, ...STATUS_TRANSITIONS[complaint.status]].map((key) => (
+              <option key={key} value={key}>{statusLabel(key)}</option>
+            ))}
+          </select>
+        </label>
+        <label htmlFor="caseAssignee" className="text-sm">
+          Assignee
+          <input id="caseAssignee" type="text" value={assignee} onChange={(e) => setAssignee(e.target.value)} className={inputClass} />
+        </label>
+        {operatorName && assignee !== operatorName && (
+          <button type="button" onClick={() => setAssignee(operatorName)} className="self-start text-sm text-blue-500 hover:underline">
+            Assign to me
+          </button>
+        )}
+        <label htmlFor="casePriority" className="text-sm">
+          Priority
+          <select id="casePriority" value={priority} onChange={(e) => setPriority(e.target.value)} className={inputClass}>
+            {COMPLAINT_PRIORITIES.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </label>
+        <label htmlFor="caseNote" className="text-sm">
+          Internal note {status === 'rejected' && status !== complaint.status && '(reason for rejecting)'}
+          <textarea id="caseNote" rows={3} value={note} onChange={(e) => setNote(e.target.value)} className={inputClass} />
+        </label>
+        {problems.length > 0 && (
+          <ul className="text-sm text-red-500 list-disc ml-4">
+            {problems.map((problem) => <li key={problem}>{problem}</li>)}
+          </ul>
+        )}
+        <button type="button" onClick={handleSave} disabled={isSaving} className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded disabled:opacity-50">
+          {isSaving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+
+      <h4 className="font-semibold mb-2">Notes</h4>
+      {complaint.notes.length === 0 ? <p className="mb-4 text-sm text-gray-500">No notes yet.</p> : (
+        <ul className="mb-4 text-sm">
+          {complaint.notes.map((entry) => (
+            <li key={entry.id} className="mb-2">
+              <span className="text-gray-500">{formatDate(entry.at)} · {entry.by}</span>
+              <p className="whitespace-pre-wrap">{entry.text}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <h4 className="font-semibold mb-2">History</h4>
+      {complaint.history.length === 0 ? <p className="text-sm text-gray-500">No changes yet.</p> : (
+        <ul className="text-sm">
+          {complaint.history.map((entry) => (
+            <li key={entry.id} className="mb-2">
+              <span className="text-gray-500">{formatDate(entry.at)} · {entry.by}</span>
+              <p>{formatHistoryEntry(entry)}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </aside>
+  );
+};
+
+export default ComplaintCasePanel;
@@ -0,0 +1,34 @@
+import React from 'react';
+
+import { EXPORT_FORMATS, exportReport } from '../utils/exportResults';
+
+// CSV / Excel / PDF download buttons for a results page. getReport is called
+// on click so the export always reflects what is currently on screen.
+const ExportButtons = ({ getReport, disabled = false }) => {
+  const handleExport = (format) => {
+    try {
+      exportReport(getReport(), format);
+    } catch (error) {
+      console.error('Error exporting results:', error);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <span className="text-sm text-gray-500">Download:</span>
+      {EXPORT_FORMATS.map((format) => (
+        <button
+          key={format.key}
+          type="button"
+          disabled={disabled}
+          onClick={() => handleExport(format.key)}
+          className="text-sm border border-gray-300 rounded px-3 py-1 hover:bg-light-gray disabled:opacity-50"
+        >
+          {format.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ExportButtons;
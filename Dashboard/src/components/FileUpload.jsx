@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+
+import { summarizeNetwork } from '../utils/networkGraph';
+import { parseUpload, UPLOAD_SCHEMAS } from '../utils/uploadSchemas';
+
+const PREVIEW_ROWS = 5;
+
+const formatCell = (value) => (value === null || value === undefined ? '' : String(value));
+
+const CsvPreview = ({ rows, fields }) => {
+  const columns = fields.length ? fields : Object.keys(rows[0] || {});
+  return (
+    <div className="overflow-x-auto mt-4">
+      <p className="text-sm text-gray-400 mb-2">
+        Preview: first {Math.min(PREVIEW_ROWS, rows.length)} of {rows.length} rows
+      </p>
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr>
+            {columns.map((column) => (
+              <th key={column} className="py-1 px-2 border-b text-left">{fields.length ? column : `Column ${Number(column) + 1}`}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.slice(0, PREVIEW_ROWS).map((row, index) => (
+            <tr key={index} className={index % 2 ? 'bg-gray-100' : 'bg-white'}>
+              {columns.map((column) => <td key={column} className="py-1 px-2 border-b">{formatCell(row[column])}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const NetworkPreview = ({ network }) => {
+  const summary = summarizeNetwork(network);
+  return (
+    <p className="mt-4 text-sm text-gray-500">
+      {summary.junctions} junctions, {summary.reservoirs} reservoirs, {summary.tanks} tanks, {summary.pipes} pipes, {summary.pumps} pumps, {summary.valves} valves
+    </p>
+  );
+};
+
+// File picker shared by the analysis pages. The file is parsed and checked
+// against UPLOAD_SCHEMAS[schema] as soon as it is chosen; submitting is only
+// possible once it passes. Problems are listed inline instead of alert().
+// Without onSubmit there is no submit button and onParsed does the work.
+const FileUpload = ({ schema, onSubmit, onParsed, submitLabel, isLoading = false, error = '', children }) => {
+  const schemaConfig = UPLOAD_SCHEMAS[schema];
+  const [file, setFile] = useState(null);
+  const [parsed, setParsed] = useState(null);
+  const [problems, setProblems] = useState([]);
+  const [isParsing, setIsParsing] = useState(false);
+
+  const handleFileChange = async (event) => {
+    const selected = event.target.files[0];
+    setFile(selected || null);
+    setParsed(null);
+    setProblems([]);
+    if (!selected) return;
+
+    setIsParsing(true);
+    try {
+      const result = await parseUpload(selected, schemaConfig);
+      setParsed(result);
+      setProblems(result.problems);
+      if (onParsed && !result.problems.length) onParsed(result, selected);
+    } catch (parseError) {
+      console.error('Error parsing file:', parseError);
+      setProblems([`The file could not be read: ${parseError.message}`]);
+    } finally {
+      setIsParsing(false);
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!file) {
+      setProblems(['Please select a file.']);
+      return;
+    }
+    if (onSubmit && !problems.length && parsed) onSubmit(file, parsed);
+  };
+
+  const canSubmit = file && parsed && !problems.length && !isParsing && !isLoading;
+
+  return (
+    <div className="mb-4">
+      <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2">
+        <input type="file" accept={schemaConfig.format === 'inp' ? '.inp' : '.csv'} onChange={handleFileChange} className="mr-2" />
+        {children}
+        {onSubmit && (
+          <button type="submit" disabled={!canSubmit} className="bg-blue-500 hover:bg-blue-700 disabled:opacity-50 text-white font-bold py-2 px-4 rounded">
+            {isLoading ? 'Loading...' : submitLabel}
+          </button>
+        )}
+      </form>
+      {isParsing && <p className="mt-2 text-sm text-gray-400">Reading file…</p>}
+      {problems.length > 0 && (
+        <ul className="mt-2 text-sm text-red-500 list-disc ml-4">
+          {problems.map((problem) => <li key={problem}>{problem}</li>)}
+        </ul>
+      )}
+      {error && <p className="mt-2 text-sm text-red-500">{error}</p>}
+      {parsed && parsed.rows && parsed.rows.length > 0 && <CsvPreview rows={parsed.rows} fields={parsed.fields} />}
+      {parsed && parsed.network && <NetworkPreview network={parsed.network} />}
+    </div>
+  );
+};
+
+export default FileUpload;
@@ -0,0 +1,168 @@
+import React, { useMemo, useState } from 'react';
+
+import { useStateContext } from '../contexts/ContextProvider';
+import { localiseLeaks, resolveSensorNodes } from '../utils/leakLocalisation';
+import ExportButtons from './ExportButtons';
+import FileUpload from './FileUpload';
+import NetworkMap from './NetworkMap';
+
+const SHORTLIST_SIZE = 10;
+
+const zoneColors = {
+  between: '#dc2626',
+  inside: '#f97316',
+  boundary: '#facc15',
+};
+
+const formatMetres = (value) => (typeof value === 'number' ? `${Math.round(value)} m` : '—');
+
+// Leaking sensors from the leak service drawn on the pipe network, with their
+// leak zones and a ranked shortlist of pipes for field crews to inspect.
+const LeakLocalisation = ({ predictions }) => {
+  const { network, setNetwork, networkName, setNetworkName, sensorNodes } = useStateContext();
+  const [hoveredPipe, setHoveredPipe] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+
+  const localisation = useMemo(() => {
+    if (!network) return null;
+    // Predictions come in CSV column order unless they say otherwise.
+    const resolved = resolveSensorNodes(
+      network,
+      predictions.map((prediction, index) => ({ id: prediction.sensor_node, column: prediction.column ?? index })),
+      sensorNodes,
+    );
+    const flagged = [];
+    const unresolved = [];
+    predictions.forEach((prediction, index) => {
+      if (!resolved[index]) {
+        const hasId = prediction.sensor_node !== undefined && prediction.sensor_node !== null && prediction.sensor_node !== '';
+        unresolved.push(hasId ? prediction.sensor_node : `column ${prediction.column ?? index}`);
+      } else if (prediction.leak_detected) {
+        flagged.push(resolved[index]);
+      }
+    });
+    return {
+      ...localiseLeaks(network, { flagged, sensors: resolved.filter(Boolean) }),
+      flagged: new Set(flagged),
+      sensors: new Set(resolved.filter(Boolean)),
+      unresolved,
+    };
+  }, [network, predictions, sensorNodes]);
+
+  if (!network) {
+    return (
+      <div className="mt-8">
+        <h3 className="text-lg font-semibold mb-2">Leak Localisation</h3>
+        <p className="mb-2 text-sm text-gray-500">Load the network (.inp) to place the sensors on the pipes and shortlist pipes to inspect.</p>
+        <FileUpload
+          schema="network"
+          onParsed={(parsed, file) => {
+            setNetwork(parsed.network);
+            setNetworkName(file.name);
+          }}
+        />
+      </div>
+    );
+  }
+
+  const { zoneNodes, pipes, flagged, sensors, unresolved } = localisation;
+  const shortlist = showAll ? pipes : pipes.slice(0, SHORTLIST_SIZE);
+  const pipeGroups = new Map(pipes.map((pipe) => [pipe.id, pipe.group]));
+
+  const getNodeStyle = (node) => {
+    if (flagged.has(node.id)) return { fill: '#dc2626', radius: 10, stroke: '#111827', strokeWidth: 2, label: `Leaking sensor ${node.id}` };
+    if (sensors.has(node.id)) return { fill: '#22c55e', radius: 7, stroke: '#111827', strokeWidth: 1, label: `Sensor ${node.id}` };
+    if (zoneNodes.has(node.id)) return { fill: '#f97316', radius: 5, label: `Node ${node.id} in the leak zone of sensor ${zoneNodes.get(node.id)}` };
+    return { fill: '#9ca3af', radius: 4 };
+  };
+
+  const getLinkStyle = (link) => {
+    if (link.id === hoveredPipe) return { stroke: '#111827', strokeWidth: 7 };
+    const group = pipeGroups.get(link.id);
+    if (group) return { stroke: zoneColors[group], strokeWidth: 4 };
+    return { stroke: '#cbd5e1', strokeWidth: 2 };
+  };
+
+  const getReport = () => ({
+    title: 'Leak Inspection Shortlist',
+    sourceFile: networkName,
+    columns: [
+      { key: 'rank', header: 'Rank' },
+      { key: 'id', header: 'Pipe' },
+      { key: 'from', header: 'From' },
+      { key: 'to', header: 'To' },
+      { key: 'length', header: 'Length (m)' },
+      { key: 'diameter', header: 'Diameter (mm)' },
+      { key: 'sensors', header: 'Leaking Sensor' },
+      { key: 'distance', header: 'Distance from Sensor (m)' },
+      { key: 'reason', header: 'Reason' },
+    ],
+    rows: pipes.map((pipe, index) => ({ ...pipe, rank: index + 1, distance: Math.round(pipe.distance) })),
+    summary: [`Leaking sensors: ${[...flagged].join(', ')}`],
+  });
+
+  return (
+    <div className="mt-8">
+      <h3 className="text-lg font-semibold mb-2">Leak Localisation</h3>
+      {unresolved.length > 0 && (
+        <p className="mb-2 text-sm text-yellow-600">
+          Not found on {networkName}: sensor {unresolved.join(', ')}. Sensors reported without a node id are placed by their CSV column, which needs a sensor allocation first.
+        </p>
+      )}
+      <NetworkMap network={network} getNodeStyle={getNodeStyle} getLinkStyle={getLinkStyle} />
+      <p className="mb-4 text-sm text-gray-500">
+        Red circles are leaking sensors and green ones quiet sensors. Orange nodes are nearer a leaking sensor than a quiet one along the pipes; pipes are coloured red between two leaking sensors, orange inside a leak zone and yellow on its edge.
+      </p>
+      {flagged.size === 0 ? (
+        <p className="text-gray-500">No leaking sensor could be placed on the network.</p>
+      ) : (
+        <>
+          <div className="flex justify-between items-center mb-2">
+            <h4 className="font-semibold">Pipes to inspect</h4>
+            <ExportButtons getReport={getReport} />
+          </div>
+          <table className="w-full mx-auto text-sm">
+            <thead>
+              <tr>
+                <th className="py-2 px-4 border-b">#</th>
+                <th className="py-2 px-4 border-b">Pipe</th>
+                <th className="py-2 px-4 border-b">From → To</th>
+                <th className="py-2 px-4 border-b">Length</th>
+                <th className="py-2 px-4 border-b">Diameter</th>
+                <th className="py-2 px-4 border-b">Leaking Sensor</th>
+                <th className="py-2 px-4 border-b">Distance</th>
+                <th className="py-2 px-4 border-b">Reason</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shortlist.map((pipe, index) => (
+                <tr
+                  key={pipe.id}
+                  onMouseEnter={() => setHoveredPipe(pipe.id)}
+                  onMouseLeave={() => setHoveredPipe(null)}
+                  className={pipe.id === hoveredPipe ? 'bg-gray-200' : ''}
+                >
+                  <td className="py-2 px-4 border-b">{index + 1}</td>
+                  <td className="py-2 px-4 border-b">{pipe.id}</td>
+                  <td className="py-2 px-4 border-b">{pipe.from} → {pipe.to}</td>
+                  <td className="py-2 px-4 border-b">{formatMetres(pipe.length)}</td>
+                  <td className="py-2 px-4 border-b">{pipe.diameter ? `${pipe.diameter} mm` : '—'}</td>
+                  <td className="py-2 px-4 border-b">{pipe.sensors.join(', ')}</td>
+                  <td className="py-2 px-4 border-b">{formatMetres(pipe.distance)}</td>
+                  <td className="py-2 px-4 border-b">{pipe.reason}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {pipes.length > SHORTLIST_SIZE && (
+            <button type="button" onClick={() => setShowAll(!showAll)} className="mt-2 text-sm text-blue-500 hover:underline">
+              {showAll ? `Show top ${SHORTLIST_SIZE}` : `Show all ${pipes.length} pipes in the leak zones`}
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LeakLocalisation;
@@ -0,0 +1,81 @@
+import 'leaflet/dist/leaflet.css';
+import React, { useEffect, useState } from 'react';
+import { CircleMarker, MapContainer, TileLayer, useMap, useMapEvents } from 'react-leaflet';
+
+import { MAP_CENTER } from '../utils/complaintForm';
+
+const PICKED_ZOOM = 17;
+
+// Puts the location where the map is clicked.
+const ClickToPick = ({ onPick }) => {
+  useMapEvents({
+    click: (event) => onPick({ lat: event.latlng.lat, lng: event.latlng.lng, source: 'map' }),
+  });
+  return null;
+};
+
+// MapContainer ignores a new center after mounting, so move to a position
+// from the browser here; map clicks are already in view.
+const FollowLocation = ({ location }) => {
+  const map = useMap();
+  useEffect(() => {
+    if (location && location.source === 'gps') map.setView([location.lat, location.lng], Math.max(map.getZoom(), PICKED_ZOOM));
+  }, [location, map]);
+  return null;
+};
+
+const formatLocation = (location) => {
+  const accuracy = typeof location.accuracy === 'number' ? ` (±${Math.round(location.accuracy)} m)` : '';
+  return `${location.lat.toFixed(5)}, ${location.lng.toFixed(5)}${accuracy}`;
+};
+
+// Location of a complaint: a click on the map, or the browser's position.
+const LocationPicker = ({ value, onChange }) => {
+  const [isLocating, setIsLocating] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleLocate = () => {
+    if (!navigator.geolocation) {
+      setError('This browser cannot share its location; pick the place on the map.');
+      return;
+    }
+    setIsLocating(true);
+    setError('');
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        setIsLocating(false);
+        onChange({ lat: coords.latitude, lng: coords.longitude, accuracy: coords.accuracy, source: 'gps' });
+      },
+      (geolocationError) => {
+        setIsLocating(false);
+        setError(`Your location is not available (${geolocationError.message}); pick the place on the map.`);
+      },
+      { enableHighAccuracy: true, timeout: 15000 },
+    );
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-4 mb-2">
+        <button type="button" onClick={handleLocate} disabled={isLocating} className="bg-gray-200 hover:bg-gray-300 text-sm py-1 px-3 rounded disabled:opacity-50">
+          {isLocating ? 'Locating...' : 'Use my current location'}
+        </button>
+        <span className="text-sm text-gray-500">
+          {value ? `Location: ${formatLocation(value)}` : 'Or click the map where the problem is.'}
+        </span>
+      </div>
+      {error && <p className="mb-2 text-sm text-yellow-600">{error}</p>}
+      <MapContainer center={value ? [value.lat, value.lng] : MAP_CENTER} zoom={15} style={{ height: '320px', width: '100%' }} className="rounded-lg">
+        <TileLayer
+          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+        />
+        <ClickToPick onPick={onChange} />
+        <FollowLocation location={value} />
+        {value && <CircleMarker center={[value.lat, value.lng]} radius={10} pathOptions={{ color: '#dc2626', fillColor: '#dc2626', fillOpacity: 0.6 }} />}
+      </MapContainer>
+    </div>
+  );
+};
+
+export default LocationPicker;
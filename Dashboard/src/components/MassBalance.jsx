@@ -0,0 +1,190 @@
+import React, { useMemo, useState } from 'react';
+
+import { useStateContext } from '../contexts/ContextProvider';
+import { DMA_ZONES } from '../data/dmaZones';
+import useReopenedRun from '../hooks/useReopenedRun';
+import { computeMassBalance, MASS_BALANCE_DEFAULTS } from '../utils/massBalance';
+import { saveRun } from '../utils/runStore';
+import ExportButtons from './ExportButtons';
+import FileUpload from './FileUpload';
+import ReopenedRunNotice from './ReopenedRunNotice';
+
+const inputClass = 'border rounded px-2 py-1 text-sm';
+const HOUR = 60 * 60 * 1000;
+
+const formatVolume = (value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : '—');
+const formatPercent = (value) => (typeof value === 'number' ? `${Math.round(value * 10) / 10}%` : '—');
+
+// Zone mass balance on the Pilferage page: metered inflow, outflow and billed
+// volumes per district metered area, balanced in the browser.
+const MassBalance = () => {
+  const { operatorName } = useStateContext();
+  const [rows, setRows] = useState([]);
+  const [limit, setLimit] = useState(MASS_BALANCE_DEFAULTS.limit);
+  const [limitUnit, setLimitUnit] = useState(MASS_BALANCE_DEFAULTS.limitUnit);
+  const [windowHours, setWindowHours] = useState(MASS_BALANCE_DEFAULTS.windowHours);
+  const [savedResult, setSavedResult] = useState(null);
+  const [expandedZone, setExpandedZone] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [sourceFile, setSourceFile] = useState('');
+
+  const reopenedRun = useReopenedRun('massBalance', (run) => {
+    setLimit(run.parameters.limit);
+    setLimitUnit(run.parameters.limitUnit);
+    setWindowHours(run.parameters.windowHours);
+    setSavedResult({ zones: Object.values(run.results.zones || {}), skipped: run.results.skipped || 0, relativeTime: Boolean(run.results.relativeTime) });
+    setRows([]);
+    setSourceFile(run.input.name);
+  });
+
+  const parameters = useMemo(
+    () => ({ limit: Number(limit) || 0, limitUnit, windowHours: Number(windowHours) || MASS_BALANCE_DEFAULTS.windowHours }),
+    [limit, limitUnit, windowHours],
+  );
+
+  const computed = useMemo(
+    () => (rows.length ? computeMassBalance(rows, { ...parameters, zones: DMA_ZONES }) : null),
+    [rows, parameters],
+  );
+  const result = computed || savedResult;
+
+  const formatTime = (time) => (result.relativeTime ? `h ${Math.round((time / HOUR) * 100) / 100}` : new Date(time).toLocaleString());
+
+  const handleParsed = ({ rows: parsedRows }, file) => {
+    setRows(parsedRows);
+    setSavedResult(null);
+    setExpandedZone(null);
+    setSourceFile(file.name);
+  };
+
+  const handleSubmit = async (file) => {
+    setIsSaving(true);
+    setError('');
+    try {
+      await saveRun({ type: 'massBalance', file, parameters, results: computed, user: operatorName });
+    } catch (saveError) {
+      setError('The run could not be saved');
+      console.error('Error saving run:', saveError);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const limitText = limitUnit === 'volume' ? `${parameters.limit} (volume)` : `${parameters.limit}% of supply`;
+  const flaggedZones = result ? result.zones.filter((zone) => zone.flagged) : [];
+  const unknownZones = result ? result.zones.filter((zone) => !zone.known) : [];
+
+  const getReport = () => ({
+    title: 'Zone Mass Balance',
+    sourceFile,
+    columns: [
+      { key: 'name', header: 'Zone' },
+      { key: 'inflow', header: 'Inflow' },
+      { key: 'outflow', header: 'Outflow' },
+      { key: 'billed', header: 'Billed' },
+      { key: 'nrw', header: 'Non-Revenue Water' },
+      { key: 'nrwPercent', header: 'NRW (%)' },
+      { key: 'windows', header: 'Windows Over Limit' },
+      { key: 'worst', header: 'Worst Window' },
+    ],
+    rows: result.zones.map((zone) => ({
+      ...zone,
+      nrw: formatVolume(zone.nrw),
+      nrwPercent: formatPercent(zone.nrwPercent),
+      windows: `${zone.flaggedWindows} of ${zone.windows.length}`,
+      worst: zone.worst ? `${formatTime(zone.worst.start)}: ${formatPercent(zone.worst.nrwPercent)}, ${formatVolume(zone.worst.nrw)}` : '—',
+    })),
+    summary: [
+      `Limit: ${limitText} over ${parameters.windowHours} h windows`,
+      `${flaggedZones.length} of ${result.zones.length} zones over the limit`,
+    ],
+  });
+
+  return (
+    <div>
+      <p className="mb-2 text-sm text-gray-500">
+        CSV with Zone, Timestamp, Inflow, Outflow and Billed columns: one row per zone and metering interval, with volumes for that interval. Zones are matched to the GIS Tracking zones by id (polygon-2), name or short name (Zone B).
+      </p>
+      <FileUpload schema="massBalance" onSubmit={handleSubmit} onParsed={handleParsed} submitLabel="Save to Run History" isLoading={isSaving} error={error} />
+      <ReopenedRunNotice run={reopenedRun} />
+
+      <div className="flex flex-wrap items-end gap-4 mb-4">
+        <label htmlFor="massBalanceLimit" className="text-sm">
+          Unaccounted water limit
+          <input id="massBalanceLimit" type="number" min="0" step="any" value={limit} onChange={(e) => setLimit(e.target.value)} className={`${inputClass} block w-24`} />
+        </label>
+        <label htmlFor="massBalanceLimitUnit" className="text-sm">
+          Limit as
+          <select id="massBalanceLimitUnit" value={limitUnit} onChange={(e) => setLimitUnit(e.target.value)} className={`${inputClass} block`}>
+            <option value="percent">% of water supplied</option>
+            <option value="volume">Volume per window</option>
+          </select>
+        </label>
+        <label htmlFor="massBalanceWindow" className="text-sm">
+          Window (hours)
+          <input id="massBalanceWindow" type="number" min="1" step="any" value={windowHours} onChange={(e) => setWindowHours(e.target.value)} className={`${inputClass} block w-24`} />
+        </label>
+      </div>
+
+      {result && (
+        <div className="data-container">
+          <div className="flex justify-between items-center mb-2">
+            <p className="text-sm">
+              {flaggedZones.length} of {result.zones.length} zones lose more than {limitText} in at least one {parameters.windowHours} h window.
+              {result.skipped > 0 && ` ${result.skipped} rows without a zone or a readable timestamp were skipped.`}
+            </p>
+            {result.zones.length > 0 && <ExportButtons getReport={getReport} />}
+          </div>
+          {unknownZones.length > 0 && (
+            <p className="mb-2 text-sm text-yellow-600">Not a GIS Tracking zone: {unknownZones.map((zone) => zone.name).join(', ')}.</p>
+          )}
+          <table className="w-full mx-auto text-sm">
+            <thead>
+              <tr>
+                <th className="py-2 px-4 border-b">Zone</th>
+                <th className="py-2 px-4 border-b">Inflow</th>
+                <th className="py-2 px-4 border-b">Outflow</th>
+                <th className="py-2 px-4 border-b">Billed</th>
+                <th className="py-2 px-4 border-b">Non-Revenue Water</th>
+                <th className="py-2 px-4 border-b">Windows Over Limit</th>
+                <th className="py-2 px-4 border-b">Worst Window</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.zones.map((zone) => (
+                <React.Fragment key={zone.id}>
+                  <tr className={zone.flagged ? 'bg-red-500 text-white' : ''}>
+                    <td className="py-2 px-4 border-b">
+                      <button type="button" onClick={() => setExpandedZone(expandedZone === zone.id ? null : zone.id)} className="hover:underline" aria-expanded={expandedZone === zone.id}>
+                        {zone.name}
+                      </button>
+                    </td>
+                    <td className="py-2 px-4 border-b">{formatVolume(zone.inflow)}</td>
+                    <td className="py-2 px-4 border-b">{formatVolume(zone.outflow)}</td>
+                    <td className="py-2 px-4 border-b">{formatVolume(zone.billed)}</td>
+                    <td className="py-2 px-4 border-b">{formatVolume(zone.nrw)} ({formatPercent(zone.nrwPercent)})</td>
+                    <td className="py-2 px-4 border-b">{zone.flaggedWindows} of {zone.windows.length}</td>
+                    <td className="py-2 px-4 border-b">{zone.worst ? `${formatTime(zone.worst.start)}: ${formatPercent(zone.worst.nrwPercent)}` : '—'}</td>
+                  </tr>
+                  {expandedZone === zone.id && zone.windows.map((period) => (
+                    <tr key={period.start} className={period.flagged ? 'bg-red-100' : 'bg-gray-50'}>
+                      <td className="py-1 px-4 border-b pl-8">{formatTime(period.start)} – {formatTime(period.end)}</td>
+                      <td className="py-1 px-4 border-b">{formatVolume(period.inflow)}</td>
+                      <td className="py-1 px-4 border-b">{formatVolume(period.outflow)}</td>
+                      <td className="py-1 px-4 border-b">{formatVolume(period.billed)}</td>
+                      <td className="py-1 px-4 border-b">{formatVolume(period.nrw)} ({formatPercent(period.nrwPercent)})</td>
+                      <td className="py-1 px-4 border-b" colSpan={2}>{period.flagged ? 'Over limit' : 'Within limit'}</td>
+                    </tr>
+                  ))}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MassBalance;
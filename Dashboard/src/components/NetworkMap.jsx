@@ -0,0 +1,79 @@
+import React, { useMemo } from 'react';
+
+const WIDTH = 1000;
+const HEIGHT = 600;
+const PADDING = 20;
+
+const defaultNodeStyle = () => ({ fill: '#9ca3af', radius: 4 });
+const defaultLinkStyle = () => ({ stroke: '#cbd5e1', strokeWidth: 2 });
+
+// Schematic drawing of a parsed .inp network from its [COORDINATES] section.
+// Pages decide colours through getNodeStyle/getLinkStyle; nodes without
+// coordinates and links touching them are not drawn.
+const NetworkMap = ({ network, getNodeStyle = defaultNodeStyle, getLinkStyle = defaultLinkStyle, onNodeEnter, onNodeLeave, onNodeClick, height = '500px' }) => {
+  const positions = useMemo(() => {
+    const placed = network.nodes.filter((node) => node.x !== null && node.y !== null);
+    if (!placed.length) return new Map();
+
+    const xs = placed.map((node) => node.x);
+    const ys = placed.map((node) => node.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const spanX = Math.max(...xs) - minX || 1;
+    const spanY = Math.max(...ys) - minY || 1;
+    const scale = Math.min((WIDTH - 2 * PADDING) / spanX, (HEIGHT - 2 * PADDING) / spanY);
+
+    // EPANET's y axis points up, SVG's points down.
+    return new Map(placed.map((node) => [node.id, {
+      x: PADDING + (node.x - minX) * scale,
+      y: HEIGHT - PADDING - (node.y - minY) * scale,
+    }]));
+  }, [network]);
+
+  if (!positions.size) {
+    return <p className="text-gray-400">This network has no coordinates to draw.</p>;
+  }
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={{ width: '100%', height }} className="bg-light-gray rounded-xl">
+      {network.links.map((link) => {
+        const from = positions.get(link.from);
+        const to = positions.get(link.to);
+        if (!from || !to) return null;
+        const style = getLinkStyle(link);
+        return (
+          <line key={`${link.type}-${link.id}`} x1={from.x} y1={from.y} x2={to.x} y2={to.y} stroke={style.stroke} strokeWidth={style.strokeWidth} strokeDasharray={style.dashed ? '6 4' : undefined}>
+            <title>{`${link.type} ${link.id}`}</title>
+          </line>
+        );
+      })}
+      {network.nodes
+        .filter((node) => positions.has(node.id))
+        .map((node) => ({ node, style: getNodeStyle(node) }))
+        // Larger markers (sensors, alerts) are drawn last so they stay on top.
+        .sort((a, b) => a.style.radius - b.style.radius)
+        .map(({ node, style }) => {
+          const position = positions.get(node.id);
+          return (
+            <circle
+              key={node.id}
+              cx={position.x}
+              cy={position.y}
+              r={style.radius}
+              fill={style.fill}
+              stroke={style.stroke || 'none'}
+              strokeWidth={style.strokeWidth || 0}
+              onMouseEnter={onNodeEnter && (() => onNodeEnter(node))}
+              onMouseLeave={onNodeLeave && (() => onNodeLeave(node))}
+              onClick={onNodeClick && (() => onNodeClick(node))}
+              style={{ cursor: onNodeEnter || onNodeClick ? 'pointer' : 'default' }}
+            >
+              <title>{style.label || `${node.type} ${node.id}`}</title>
+            </circle>
+          );
+        })}
+    </svg>
+  );
+};
+
+export default NetworkMap;
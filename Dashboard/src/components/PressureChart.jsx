@@ -0,0 +1,130 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { ChartComponent, SeriesCollectionDirective, SeriesDirective, Inject, LineSeries, ScatterSeries, Legend, Tooltip, Zoom } from '@syncfusion/ej2-react-charts';
+
+import { useStateContext } from '../contexts/ContextProvider';
+import { movingAverage, steepestDrop, toColumns } from '../utils/timeSeries';
+
+const DEFAULT_SENSOR_COUNT = 4;
+const inputClass = 'border rounded px-2 py-1 text-sm';
+
+const toPoints = (values) => values.map((y, x) => ({ x, y }));
+
+const sensorLabel = (predictions, column) => `Sensor ${predictions[column] ? predictions[column].sensor_node : column}`;
+const isLeaking = (predictions, column) => Boolean(predictions[column] && predictions[column].leak_detected);
+
+// Every leaking sensor, topped up with the first quiet ones.
+const pickDefaultSensors = (columnCount, predictions) => {
+  const all = Array.from({ length: columnCount }, (_, column) => column);
+  const leaking = all.filter((column) => isLeaking(predictions, column));
+  const quiet = all.filter((column) => !isLeaking(predictions, column));
+  return [...leaking, ...quiet].slice(0, Math.max(DEFAULT_SENSOR_COUNT, leaking.length)).sort((a, b) => a - b).map(String);
+};
+
+// The raw pressure CSV sent to the leak service, one line per sensor, so
+// detections can be checked against the signal. Column i belongs to the i-th
+// prediction, which is the order the service reports sensors in.
+const PressureChart = ({ rows, predictions = [], detections = [] }) => {
+  const { currentMode } = useStateContext();
+  const columns = useMemo(() => toColumns(rows), [rows]);
+
+  const [selected, setSelected] = useState([]);
+  const [showAverage, setShowAverage] = useState(true);
+  const [averageWindow, setAverageWindow] = useState(10);
+
+  // The CSV is charted as soon as it is chosen; pick again once predictions arrive.
+  useEffect(() => {
+    setSelected(pickDefaultSensors(columns.length, predictions));
+  }, [columns, predictions]);
+
+  const series = useMemo(() => selected.flatMap((id) => {
+    const column = Number(id);
+    const values = columns[column];
+    if (!values) return [];
+    const label = sensorLabel(predictions, column);
+    const items = [{ dataSource: toPoints(values), xName: 'x', yName: 'y', name: label, type: 'Line', width: 1.5 }];
+    if (showAverage) {
+      items.push({ dataSource: toPoints(movingAverage(values, Number(averageWindow) || 1)), xName: 'x', yName: 'y', name: `${label} (avg)`, type: 'Line', width: 2, dashArray: '6,3' });
+    }
+    // The service says which sensors leak but not when; the steepest drop is
+    // only a guess at the time, so it is not called a leak.
+    if (isLeaking(predictions, column)) {
+      const index = steepestDrop(values);
+      if (index !== -1) {
+        items.push({
+          dataSource: [{ x: index, y: values[index] }],
+          xName: 'x',
+          yName: 'y',
+          name: `${label} steepest drop`,
+          type: 'Scatter',
+          fill: '#dc2626',
+          marker: { shape: 'Triangle', width: 14, height: 14 },
+        });
+      }
+    }
+    const detection = detections[column];
+    if (detection && detection.verdict && detection.onset !== -1) {
+      items.push({
+        dataSource: [{ x: detection.onset, y: values[detection.onset] }],
+        xName: 'x',
+        yName: 'y',
+        name: `${label} statistical leak alarm`,
+        type: 'Scatter',
+        fill: '#f59e0b',
+        marker: { shape: 'Diamond', width: 14, height: 14 },
+      });
+    }
+    return items;
+  }), [columns, selected, showAverage, averageWindow, predictions, detections]);
+
+  const handleSelectionChange = (event) => {
+    setSelected([...event.target.selectedOptions].map((option) => option.value));
+  };
+
+  return (
+    <div className="mt-8">
+      <h3 className="text-lg font-semibold mb-2">Pressure Readings</h3>
+      <div className="flex flex-wrap lg:flex-nowrap gap-6">
+        <div className="flex flex-col gap-3 w-full lg:w-56">
+          <select multiple size={10} value={selected} onChange={handleSelectionChange} className={inputClass} aria-label="Sensors to chart">
+            {columns.map((_, column) => (
+              <option key={column} value={String(column)}>{sensorLabel(predictions, column)}{isLeaking(predictions, column) ? ' (leak)' : ''}</option>
+            ))}
+          </select>
+          <label htmlFor="pressureAverage" className="text-sm flex items-center gap-2">
+            <input id="pressureAverage" type="checkbox" checked={showAverage} onChange={(e) => setShowAverage(e.target.checked)} />
+            Moving average
+          </label>
+          <label htmlFor="pressureAverageWindow" className="text-sm">
+            Window (time steps)
+            <input id="pressureAverageWindow" type="number" min="1" value={averageWindow} onChange={(e) => setAverageWindow(e.target.value)} className={`${inputClass} block w-24`} />
+          </label>
+        </div>
+        <div className="w-full">
+          <ChartComponent
+            key={`${selected.join(',')}-${showAverage}-${averageWindow}`}
+            id="pressure-chart"
+            height="420px"
+            primaryXAxis={{ valueType: 'Double', title: 'Time step', majorGridLines: { width: 0 }, edgeLabelPlacement: 'Shift' }}
+            primaryYAxis={{ title: 'Pressure', lineStyle: { width: 0 }, majorTickLines: { width: 0 } }}
+            chartArea={{ border: { width: 0 } }}
+            tooltip={{ enable: true }}
+            zoomSettings={{ enableMouseWheelZooming: true, enableSelectionZooming: true, enablePan: true, mode: 'X', toolbarItems: ['Zoom', 'ZoomIn', 'ZoomOut', 'Pan', 'Reset'] }}
+            background={currentMode === 'Dark' ? '#33373E' : '#fff'}
+            legendSettings={{ background: 'white' }}
+          >
+            <Inject services={[LineSeries, ScatterSeries, Legend, Tooltip, Zoom]} />
+            <SeriesCollectionDirective>
+              {/* eslint-disable-next-line react/jsx-props-no-spreading */}
+              {series.map((item) => <SeriesDirective key={item.name} {...item} />)}
+            </SeriesCollectionDirective>
+          </ChartComponent>
+          <p className="text-sm text-gray-500">
+            Drag across the chart or use the mouse wheel to zoom, and the toolbar to pan or reset. The leak service reports which sensors leak but not when, so the red triangle on each leaking sensor only marks its steepest pressure drop, not a time the model flagged. The amber diamond marks where the statistical detector first raised a leak alarm.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PressureChart;
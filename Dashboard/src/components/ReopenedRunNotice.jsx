@@ -0,0 +1,15 @@
+import React from 'react';
+
+// Shown above results restored from Run History.
+const ReopenedRunNotice = ({ run }) => {
+  if (!run) return null;
+  return (
+    <p className="mb-4 text-sm text-gray-500">
+      Re-opened run from {new Date(run.createdAt).toLocaleString()}
+      {run.input && ` · ${run.input.name}`}
+      {run.user && ` · ${run.user}`}
+    </p>
+  );
+};
+
+export default ReopenedRunNotice;
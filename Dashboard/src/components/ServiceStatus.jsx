@@ -0,0 +1,48 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+import { useStateContext } from '../contexts/ContextProvider';
+import { checkServiceHealth, SERVICES } from '../utils/serviceRegistry';
+
+const statusColors = {
+  checking: '#9ca3af',
+  up: '#22c55e',
+  down: '#ef4444',
+};
+
+const statusLabels = {
+  checking: 'Checking…',
+  up: 'Online',
+  down: 'Unreachable',
+};
+
+const ServiceStatus = ({ service, showName = true }) => {
+  const { serviceUrls } = useStateContext();
+  const [status, setStatus] = useState('checking');
+  const { name } = SERVICES.find((item) => item.key === service);
+
+  const runCheck = useCallback(() => {
+    let cancelled = false;
+    setStatus('checking');
+    checkServiceHealth(serviceUrls, service).then((isUp) => {
+      if (!cancelled) setStatus(isUp ? 'up' : 'down');
+    });
+    return () => { cancelled = true; };
+  }, [serviceUrls, service]);
+
+  useEffect(runCheck, [runCheck]);
+
+  return (
+    <button
+      type="button"
+      onClick={runCheck}
+      title="Check again"
+      className="inline-flex items-center gap-2 text-sm text-gray-500 dark:text-gray-300"
+    >
+      <span className="inline-block h-3 w-3 rounded-full" style={{ backgroundColor: statusColors[status] }} />
+      {showName && <span>{name}:</span>}
+      <span>{statusLabels[status]}</span>
+    </button>
+  );
+};
+
+export default ServiceStatus;
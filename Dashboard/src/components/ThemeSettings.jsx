@@ -1,17 +1,32 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { MdOutlineCancel } from 'react-icons/md';
 import { BsCheck } from 'react-icons/bs';
 import { TooltipComponent } from '@syncfusion/ej2-react-popups';
 
 import { themeColors } from '../data/dummy';
 import { useStateContext } from '../contexts/ContextProvider';
+import { SERVICES } from '../utils/serviceRegistry';
+import ServiceStatus from './ServiceStatus';
 
 const ThemeSettings = () => {
-  const { setColor, setMode, currentMode, currentColor, setThemeSettings } = useStateContext();
+  const { setColor, setMode, currentMode, currentColor, setThemeSettings, serviceUrls, setServiceUrl, resetServiceUrls, operatorName, setOperatorName } = useStateContext();
+  // Edited URLs are applied on blur so the health checks don't fire on every keystroke.
+  const [draftUrls, setDraftUrls] = useState(serviceUrls);
+  const [draftOperator, setDraftOperator] = useState(operatorName);
+
+  const commitServiceUrl = (key) => {
+    const url = draftUrls[key].trim();
+    if (url && url !== serviceUrls[key]) setServiceUrl(key, url);
+  };
+
+  const handleResetServices = () => {
+    resetServiceUrls();
+    setDraftUrls(Object.fromEntries(SERVICES.map((service) => [service.key, service.defaultUrl])));
+  };
 
   return (
     <div className="bg-half-transparent w-screen fixed nav-item top-0 right-0">
-      <div className="float-right h-screen dark:text-gray-200  bg-white dark:bg-[#484B52] w-400">
+      <div className="float-right h-screen overflow-y-auto dark:text-gray-200  bg-white dark:bg-[#484B52] w-400">
         <div className="flex justify-between items-center p-4 ml-4">
           <p className="font-semibold text-lg">Settings</p>
           <button
@@ -80,6 +95,39 @@ const ThemeSettings = () => {
             ))}
           </div>
         </div>
+        <div className="p-4 border-t-1 border-color ml-4">
+          <p className="font-semibold text-xl ">Operator</p>
+          <input
+            type="text"
+            aria-label="Operator name"
+            placeholder="Name recorded with saved runs"
+            value={draftOperator}
+            onChange={(e) => setDraftOperator(e.target.value)}
+            onBlur={() => setOperatorName(draftOperator.trim())}
+            className="mt-4 w-full border-1 border-color rounded-lg p-2 text-sm dark:bg-secondary-dark-bg"
+          />
+        </div>
+        <div className="p-4 border-t-1 border-color ml-4">
+          <div className="flex justify-between items-center">
+            <p className="font-semibold text-xl ">Services</p>
+            <button type="button" onClick={handleResetServices} className="text-sm text-gray-400 hover:underline">
+              Reset to defaults
+            </button>
+          </div>
+          {SERVICES.map((service) => (
+            <div key={service.key} className="mt-4 flex flex-col gap-1 text-md">
+              <ServiceStatus service={service.key} />
+              <input
+                type="url"
+                aria-label={`${service.name} URL`}
+                value={draftUrls[service.key]}
+                onChange={(e) => setDraftUrls({ ...draftUrls, [service.key]: e.target.value })}
+                onBlur={() => commitServiceUrl(service.key)}
+                className="border-1 border-color rounded-lg p-2 text-sm dark:bg-secondary-dark-bg"
+              />
+            </div>
+          ))}
+        </div>
       </div>
     </div>
   );
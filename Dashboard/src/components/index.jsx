@@ -15,4 +15,14 @@ export { default as Stacked } from './Charts/Stacked';
 export { default as Pie } from './Charts/Pie';
 export { default as ChartsHeader } from './ChartsHeader';
 export { default as Header } from './Header';
+export { default as NetworkMap } from './NetworkMap';
+export { default as ServiceStatus } from './ServiceStatus';
 
+export { default as FileUpload } from './FileUpload';
+export { default as ExportButtons } from './ExportButtons';
+export { default as ReopenedRunNotice } from './ReopenedRunNotice';
+export { default as LeakLocalisation } from './LeakLocalisation';
+export { default as PressureChart } from './PressureChart';
+export { default as MassBalance } from './MassBalance';
+export { default as ComplaintCasePanel } from './ComplaintCasePanel';
+export { default as LocationPicker } from './LocationPicker';
@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useState } from 'react';
+import { buildServiceEndpoint, getDefaultServiceUrls, loadServiceUrls, saveServiceUrls } from '../utils/serviceRegistry';
 
 const StateContext = createContext();
 
@@ -16,6 +17,14 @@ export const ContextProvider = ({ children }) => {
   const [themeSettings, setThemeSettings] = useState(false);
   const [activeMenu, setActiveMenu] = useState(true);
   const [isClicked, setIsClicked] = useState(initialState);
+  // Network parsed from the last uploaded .inp file, shared by every page.
+  const [network, setNetwork] = useState(null);
+  const [networkName, setNetworkName] = useState('');
+  // Sensor nodes from the last allocation, in the order the service returned them.
+  const [sensorNodes, setSensorNodes] = useState([]);
+  const [serviceUrls, setServiceUrls] = useState(loadServiceUrls);
+  // There is no sign-in; runs saved to history are attributed to this name.
+  const [operatorName, setOperatorNameState] = useState(() => localStorage.getItem('operatorName') || '');
 
   const setMode = (e) => {
     setCurrentMode(e.target.value);
@@ -27,11 +36,30 @@ export const ContextProvider = ({ children }) => {
     localStorage.setItem('colorMode', color);
   };
 
+  const setServiceUrl = (key, url) => {
+    const next = { ...serviceUrls, [key]: url };
+    setServiceUrls(next);
+    saveServiceUrls(next);
+  };
+
+  const resetServiceUrls = () => {
+    const defaults = getDefaultServiceUrls();
+    setServiceUrls(defaults);
+    saveServiceUrls(defaults);
+  };
+
+  const getServiceEndpoint = (key) => buildServiceEndpoint(serviceUrls, key);
+
+  const setOperatorName = (name) => {
+    setOperatorNameState(name);
+    localStorage.setItem('operatorName', name);
+  };
+
   const handleClick = (clicked) => setIsClicked({ ...initialState, [clicked]: true });
 
   return (
     // eslint-disable-next-line react/jsx-no-constructed-context-values
-    <StateContext.Provider value={{ currentColor, currentMode, activeMenu, screenSize, setScreenSize, handleClick, isClicked, initialState, setIsClicked, setActiveMenu, setCurrentColor, setCurrentMode, setMode, setColor, themeSettings, setThemeSettings }}>
+    <StateContext.Provider value={{ currentColor, currentMode, activeMenu, screenSize, setScreenSize, handleClick, isClicked, initialState, setIsClicked, setActiveMenu, setCurrentColor, setCurrentMode, setMode, setColor, themeSettings, setThemeSettings, network, setNetwork, networkName, setNetworkName, sensorNodes, setSensorNodes, serviceUrls, setServiceUrl, resetServiceUrls, getServiceEndpoint, operatorName, setOperatorName }}>
       {children}
     </StateContext.Provider>
   );
@@ -0,0 +1,20 @@
+// District metered areas (DMAs) of the network, as drawn on the GIS Tracking
+// map (the polygons in gisTracking-main/src/App.js). Keep ids and names in
+// step with that file so readings can be matched to the zones shown there.
+export const DMA_ZONES = [
+  { id: 'polygon-1', name: 'Zone A - North Sector' },
+  { id: 'polygon-2', name: 'Zone B - High Risk Area' },
+  { id: 'polygon-3', name: 'Zone C - South Sector' },
+  { id: 'polygon-4', name: 'Zone D - Upper Right' },
+  { id: 'polygon-5', name: 'Zone E - Central Orange' },
+  { id: 'polygon-6', name: 'Zone F - South Green' },
+  { id: 'polygon-7', name: 'Zone G - Central Large' },
+  { id: 'polygon-8', name: 'Zone H - East Orange' },
+  { id: 'polygon-9', name: 'Zone I - High Risk Red' },
+  { id: 'polygon-10', name: 'Zone J - West Orange' },
+  { id: 'polygon-11', name: 'Zone K - Safe Area' },
+  { id: 'polygon-12', name: 'Zone L - Industrial Area' },
+  { id: 'polygon-13', name: 'Zone M - Residential North' },
+  { id: 'polygon-14', name: 'Zone N - Critical Red' },
+  { id: 'polygon-15', name: 'Zone O - Large Green' },
+];
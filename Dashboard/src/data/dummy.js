@@ -5,8 +5,8 @@ import { BsBoxSeam, BsChatLeft, BsCurrencyDollar, BsKanban, BsShield } from 'rea
 import { FiBarChart, FiCreditCard, FiShoppingBag, FiShoppingCart, FiStar } from 'react-icons/fi';
 import { GrLocation } from 'react-icons/gr';
 import { HiOutlineRefresh } from 'react-icons/hi';
+import { MdHistory, MdOutlineSupervisorAccount } from 'react-icons/md';
 import { IoMdContacts } from 'react-icons/io';
-import { MdOutlineSupervisorAccount } from 'react-icons/md';
 import { RiContactsLine } from 'react-icons/ri';
 import { TiTick } from 'react-icons/ti';
 import avatar from './avatar.jpg';
@@ -496,6 +496,10 @@ export const links = [
         name: 'complains-data',
         icon: <RiContactsLine />,
       },
+      {
+        name: 'run-history',
+        icon: <MdHistory />,
+      },
     ],
   },
   {
@@ -505,6 +509,10 @@ export const links = [
         name: 'sensor-allocation',
         icon: <AiOutlineCalendar />,
       },
+      {
+        name: 'hydraulic-simulation',
+        icon: <FiBarChart />,
+      },
       {
         name: 'pilferage',
         icon: <BsKanban />,
@@ -0,0 +1,37 @@
+import { useEffect, useRef, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+import { fetchRun } from '../utils/runStore';
+
+/**
+ * Loads the run named by the page's ?run= query parameter, as linked from Run
+ * History, and hands it to onLoad once. Runs of another type are ignored.
+ * @returns {Object|null} the re-opened run
+ */
+const useReopenedRun = (type, onLoad) => {
+  const [searchParams] = useSearchParams();
+  const runId = searchParams.get('run');
+  const [run, setRun] = useState(null);
+  // Kept in a ref so an inline callback doesn't refetch on every render.
+  const onLoadRef = useRef(onLoad);
+  onLoadRef.current = onLoad;
+
+  useEffect(() => {
+    if (!runId) return undefined;
+    let cancelled = false;
+    fetchRun(runId)
+      .then((loaded) => {
+        if (cancelled || !loaded || loaded.type !== type) return;
+        setRun(loaded);
+        onLoadRef.current(loaded);
+      })
+      .catch((error) => {
+        console.error('Error loading run:', error);
+      });
+    return () => { cancelled = true; };
+  }, [runId, type]);
+
+  return run;
+};
+
+export default useReopenedRun;
@@ -1,61 +1,190 @@
-import React, { useEffect, useState } from 'react';
-import { ref, onValue } from 'firebase/database';
-import { database } from '../firebaseConfig.js';
+import React, { useEffect, useMemo, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { ComplaintCasePanel } from '../components';
+import { COMPLAINT_STATUSES, COMPLAINT_TYPES, priorityLabel, statusLabel, typeLabel } from '../utils/complaintCases';
+import { complaintTime, filterComplaints, locationText, PAGE_SIZES, paginate, parseComplaintQuery, sortComplaints, toSearchParams } from '../utils/complaintQuery';
+import { subscribeComplaints } from '../utils/complaintStore';
+
+const inputClass = 'border rounded px-2 py-1 text-sm';
+
+// Form records carry an ISO date; older ones whatever text was entered.
+const formatDate = (complaint) => {
+  const time = complaintTime(complaint);
+  return time === null ? complaint.date : new Date(time).toLocaleString();
+};
+
+const statusClass = (key) => (COMPLAINT_STATUSES.find((status) => status.key === key) || {}).className || '';
+
+// Thumbnail linking to the full photo. Complaints sent before photos moved to
+// Storage carry the whole image as base64 instead.
+const renderPhoto = (complaint) => {
+  if (complaint.imageUrl) {
+    return (
+      <a href={complaint.imageUrl} target="_blank" rel="noreferrer">
+        <img
+          src={complaint.thumbnailUrl || complaint.imageUrl}
+          alt="Complaint"
+          loading="lazy"
+          style={{ width: '100px', height: 'auto' }}
+          onError={(e) => { e.target.style.display = 'none'; }}
+        />
+      </a>
+    );
+  }
+  if (complaint.imageBase64) {
+    return <img src={complaint.imageBase64} alt="Complaint" loading="lazy" style={{ width: '100px', height: 'auto' }} />;
+  }
+  return 'No image';
+};
+
+// Header cell that sorts the table by its column, flipping direction on a second click.
+const SortableHeader = ({ column, label, query, onSort }) => {
+  const active = query.sort === column;
+  return (
+    <th className="py-2 px-4 border-b" aria-sort={active ? `${query.dir}ending` : 'none'}>
+      <button type="button" onClick={() => onSort(column)} className="font-bold hover:underline">
+        {label}{active && (query.dir === 'asc' ? ' ▲' : ' ▼')}
+      </button>
+    </th>
+  );
+};
 
 const ComplainsData = () => {
   const [complaints, setComplaints] = useState([]);
+  const [error, setError] = useState('');
+  // Id rather than the record, so the panel follows live updates.
+  const [openId, setOpenId] = useState(null);
 
-  useEffect(() => {
-    const complaintsRef = ref(database, 'Complains'); // Ensure this matches your structure in Firebase
-    const unsubscribe = onValue(complaintsRef, (snapshot) => {
-      const data = snapshot.val();
-      const complaintsList = data ? Object.keys(data).map((key) => ({ id: key, ...data[key] })) : [];
-      setComplaints(complaintsList);
-    });
+  useEffect(() => subscribeComplaints(
+    setComplaints,
+    (subscribeError) => {
+      console.error('Error loading complaints:', subscribeError);
+      setError('Complaints could not be loaded.');
+    },
+  ), []);
 
-    return () => unsubscribe();
-  }, []);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = useMemo(() => parseComplaintQuery(searchParams), [searchParams]);
+
+  // Any change other than turning the page starts again from page one.
+  const updateQuery = (changes) => {
+    setSearchParams(toSearchParams({ ...query, page: 1, ...changes }), { replace: true });
+  };
+
+  const handleSort = (column) => {
+    const dir = query.sort === column && query.dir === 'asc' ? 'desc' : 'asc';
+    updateQuery({ sort: column, dir });
+  };
+
+  // The form's types, plus any free-text types on older records.
+  const types = useMemo(() => [...new Set([
+    ...COMPLAINT_TYPES.map((type) => type.key),
+    ...complaints.map((complaint) => complaint.type).filter(Boolean),
+  ])], [complaints]);
+  const matching = useMemo(
+    () => sortComplaints(filterComplaints(complaints, query), query.sort, query.dir),
+    [complaints, query],
+  );
+  const { items, page, pageCount } = paginate(matching, query.page, query.pageSize);
+
+  const openComplaint = complaints.find((complaint) => complaint.id === openId);
 
   return (
     <div className="m-2 md:m-10 mt-24 p-2 md:p-10 bg-white rounded-3xl shadow-lg">
       {/* Header component removed for brevity */}
+      {error && <p className="mb-4 text-red-500">{error}</p>}
+      <div className="mb-4 flex flex-wrap items-end gap-4">
+        <label htmlFor="complaintSearch" className="text-sm">
+          Search descriptions
+          <input id="complaintSearch" type="search" value={query.q} onChange={(e) => updateQuery({ q: e.target.value })} className={`${inputClass} block w-64`} />
+        </label>
+        <label htmlFor="complaintType" className="text-sm">
+          Type
+          <select id="complaintType" value={query.type} onChange={(e) => updateQuery({ type: e.target.value })} className={`${inputClass} block`}>
+            <option value="">All types</option>
+            {types.map((type) => <option key={type} value={type}>{typeLabel(type)}</option>)}
+          </select>
+        </label>
+        <label htmlFor="complaintStatus" className="text-sm">
+          Status
+          <select id="complaintStatus" value={query.status} onChange={(e) => updateQuery({ status: e.target.value })} className={`${inputClass} block`}>
+            <option value="">All statuses</option>
+            {COMPLAINT_STATUSES.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </label>
+        <label htmlFor="complaintLocation" className="text-sm">
+          Location
+          <input id="complaintLocation" type="text" value={query.location} onChange={(e) => updateQuery({ location: e.target.value })} className={`${inputClass} block w-40`} />
+        </label>
+        <label htmlFor="complaintFrom" className="text-sm">
+          From
+          <input id="complaintFrom" type="date" value={query.from} onChange={(e) => updateQuery({ from: e.target.value })} className={`${inputClass} block`} />
+        </label>
+        <label htmlFor="complaintTo" className="text-sm">
+          To
+          <input id="complaintTo" type="date" value={query.to} onChange={(e) => updateQuery({ to: e.target.value })} className={`${inputClass} block`} />
+        </label>
+        <button type="button" onClick={() => setSearchParams({}, { replace: true })} className="text-sm text-blue-500 hover:underline">
+          Clear filters
+        </button>
+      </div>
+      <p className="mb-2 text-sm text-gray-500">{matching.length} of {complaints.length} complaints</p>
       <div className="overflow-x-auto">
         <table className="min-w-full bg-white">
           <thead>
             <tr>
-              <th className="py-2 px-4 border-b">ID</th>
-              <th className="py-2 px-4 border-b">Date</th>
+              <SortableHeader column="id" label="ID" query={query} onSort={handleSort} />
+              <SortableHeader column="date" label="Date" query={query} onSort={handleSort} />
               <th className="py-2 px-4 border-b">Description</th>
               <th className="py-2 px-4 border-b">Image</th>
-              <th className="py-2 px-4 border-b">Location</th>
-              <th className="py-2 px-4 border-b">Type</th>
+              <SortableHeader column="location" label="Location" query={query} onSort={handleSort} />
+              <SortableHeader column="type" label="Type" query={query} onSort={handleSort} />
+              <SortableHeader column="status" label="Status" query={query} onSort={handleSort} />
+              <SortableHeader column="priority" label="Priority" query={query} onSort={handleSort} />
+              <SortableHeader column="assignee" label="Assignee" query={query} onSort={handleSort} />
+              <th className="py-2 px-4 border-b" aria-label="Actions" />
             </tr>
           </thead>
           <tbody>
-            {complaints.map((complaint) => (
+            {items.map((complaint) => (
               <tr key={complaint.id}>
                 <td className="py-2 px-4 border-b">{complaint.id}</td>
-                <td className="py-2 px-4 border-b">{complaint.date}</td>
-                <td className="py-2 px-4 border-b">{complaint.description}</td>
+                <td className="py-2 px-4 border-b">{formatDate(complaint)}</td>
+                <td className="py-2 px-4 border-b">{complaint.description || complaint.complain}</td>
+                <td className="py-2 px-4 border-b">{renderPhoto(complaint)}</td>
+                <td className="py-2 px-4 border-b">{locationText(complaint.location)}</td>
+                <td className="py-2 px-4 border-b">{typeLabel(complaint.type)}</td>
+                <td className="py-2 px-4 border-b">
+                  <span className={`px-2 py-1 rounded text-sm ${statusClass(complaint.status)}`}>{statusLabel(complaint.status)}</span>
+                </td>
+                <td className="py-2 px-4 border-b">{priorityLabel(complaint.priority)}</td>
+                <td className="py-2 px-4 border-b">{complaint.assignee || '—'}</td>
                 <td className="py-2 px-4 border-b">
-                  {complaint.imageUrl ? (
-                    <button type="button" onClick={() => window.open(complaint.imageUrl, '_blank')}>
-                      <img
-                        src={complaint.imageUrl}
-                        alt="Complaint"
-                        style={{ width: '100px', height: 'auto' }}
-                        onError={(e) => { e.target.style.display = 'none'; }}
-                      />
-                    </button>
-                  ) : 'No image'}
+                  <button type="button" onClick={() => setOpenId(complaint.id)} className="text-blue-500 hover:underline">
+                    Manage
+                  </button>
                 </td>
-                <td className="py-2 px-4 border-b">{complaint.location}</td>
-                <td className="py-2 px-4 border-b">{complaint.type}</td>
               </tr>
             ))}
           </tbody>
         </table>
       </div>
+      <div className="mt-4 flex flex-wrap items-center gap-4 text-sm">
+        <button type="button" disabled={page <= 1} onClick={() => updateQuery({ page: page - 1 })} className="px-3 py-1 border rounded disabled:opacity-50">
+          Previous
+        </button>
+        <span>Page {page} of {pageCount}</span>
+        <button type="button" disabled={page >= pageCount} onClick={() => updateQuery({ page: page + 1 })} className="px-3 py-1 border rounded disabled:opacity-50">
+          Next
+        </button>
+        <label htmlFor="complaintPageSize">
+          Rows per page
+          <select id="complaintPageSize" value={query.pageSize} onChange={(e) => updateQuery({ pageSize: Number(e.target.value) })} className={`${inputClass} ml-2`}>
+            {PAGE_SIZES.map((size) => <option key={size} value={size}>{size}</option>)}
+          </select>
+        </label>
+      </div>
+      {openComplaint && <ComplaintCasePanel key={openComplaint.id} complaint={openComplaint} onClose={() => setOpenId(null)} />}
     </div>
   );
 };
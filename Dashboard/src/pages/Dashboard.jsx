@@ -7,6 +7,8 @@ import { useStateContext } from '../contexts/ContextProvider';
 import product9 from '../data/JR3.png';
 import { SparklineAreaData } from '../data/dummy';
 import { database } from '../firebaseConfig';
+import { subscribeComplaintCount } from '../utils/complaintStore';
+import { exportReport } from '../utils/exportResults';
 
 const Dashboard = () => {
   const { currentColor } = useStateContext();
@@ -14,7 +16,7 @@ const Dashboard = () => {
   const [activeSensors, setActiveSensors] = useState('38');
   const [fraudsDetected, setFraudsDetected] = useState('6');
   const [leaksDetected, setLeaksDetected] = useState('3');
-  const [reportedComplaints, setReportedComplaints] = useState('4');
+  const [reportedComplaints, setReportedComplaints] = useState('');
 
   useEffect(() => {
     const fetchValues = async () => {
@@ -23,13 +25,11 @@ const Dashboard = () => {
         const activeSensorsRef = ref(database, 'activeSensors');
         const fraudsDetectedRef = ref(database, 'fraudsDetected');
         const leaksDetectedRef = ref(database, 'leaksDetected');
-        const reportedComplaintsRef = ref(database, 'reportedComplaints');
 
         const snapshot1 = await get(waterSavedRef);
         const snapshot2 = await get(activeSensorsRef);
         const snapshot3 = await get(fraudsDetectedRef);
         const snapshot4 = await get(leaksDetectedRef);
-        const snapshot5 = await get(reportedComplaintsRef);
 
         if (snapshot1.exists()) {
           setWaterSavedValue(snapshot1.val());
@@ -43,17 +43,33 @@ const Dashboard = () => {
         if (snapshot4.exists()) {
           setLeaksDetected(snapshot4.val());
         }
-        if (snapshot5.exists()) {
-          setReportedComplaints(snapshot5.val());
-        }
       } catch (error) {
         console.error('Error fetching data:', error);
       }
     };
 
     fetchValues();
+    // Kept live, and read from the same counter complaints are created with.
+    return subscribeComplaintCount(setReportedComplaints, (error) => console.error('Error fetching data:', error));
   }, []);
 
+  const handleDownload = () => {
+    exportReport({
+      title: 'JalRakshak Summary',
+      columns: [
+        { key: 'metric', header: 'Metric' },
+        { key: 'value', header: 'Value' },
+      ],
+      rows: [
+        { metric: 'Water saved (liters)', value: waterSavedValue },
+        { metric: 'Leak detects', value: leaksDetected },
+        { metric: 'Fraud detects', value: fraudsDetected },
+        { metric: 'Reported complaints', value: reportedComplaints },
+        { metric: 'Active sensors', value: activeSensors },
+      ],
+    }, 'pdf');
+  };
+
   return (
     <div className="mt-24">
       <div className="flex flex-wrap lg:flex-nowrap justify-center ">
@@ -76,6 +92,7 @@ const Dashboard = () => {
               bgColor={currentColor}
               text="Download"
               borderRadius="10px"
+              onClick={handleDownload}
             />
           </div>
         </div>
@@ -1,117 +1,139 @@
-import { HtmlEditor, Image, Inject, Link, QuickToolbar, RichTextEditorComponent, Toolbar } from '@syncfusion/ej2-react-richtexteditor';
-import { get, push, ref, set } from 'firebase/database';
-import React, { useRef, useState } from 'react';
-import { Header } from '../components';
-import { EditorData } from '../data/dummy';
-import { database } from '../firebaseConfig.js';
+import React, { useEffect, useState } from 'react';
+import { Header, LocationPicker } from '../components';
+import { COMPLAINT_TYPES } from '../utils/complaintCases';
+import { buildComplaintRecord, DESCRIPTION_LIMITS, EMPTY_COMPLAINT_FORM, validateComplaintForm } from '../utils/complaintForm';
+import { createComplaint } from '../utils/complaintStore';
+
+const inputClass = 'border-2 border-gray-300 p-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-200 focus:border-transparent w-full';
+
+const FieldError = ({ message }) => (message ? <p className="mt-1 text-sm text-red-500">{message}</p> : null);
 
 const Editor = () => {
-  const [complain, setComplain] = useState('');
-  const [name, setName] = useState('');
-  const [imageBase64, setImageBase64] = useState(''); // State to hold base64 image
+  const [form, setForm] = useState(EMPTY_COMPLAINT_FORM);
+  // Shown once a submission has been tried, so an empty form starts clean.
+  const [problems, setProblems] = useState({});
+  const [previewUrl, setPreviewUrl] = useState('');
+  // Share of the photo uploaded, 0–1, while a complaint is being sent.
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  // Bumped to clear the file input after a submission.
+  const [fileInputKey, setFileInputKey] = useState(0);
 
-  // Ref to access the editor's instance
-  const editorRef = useRef(null);
+  useEffect(() => () => {
+    if (previewUrl) URL.revokeObjectURL(previewUrl);
+  }, [previewUrl]);
 
-  const getCurrentReportedComplains = async (refObj) => {
-    try {
-      const snapshot = await get(refObj);
-      return snapshot.exists() ? snapshot.val() : 0;
-    } catch (error) {
-      console.error('Error getting reportedComplains:', error);
-      return 0;
-    }
-  };
+  // Clear messages as fields are fixed, without raising new ones while typing.
+  // Checked against the committed form, so changes that land late, such as a
+  // geolocation fix, are judged together with whatever was typed meanwhile.
+  useEffect(() => {
+    setProblems((current) => {
+      if (!Object.keys(current).length) return current;
+      const remaining = validateComplaintForm(form);
+      return Object.fromEntries(Object.entries(current).filter(([field]) => remaining[field]).map(([field]) => [field, remaining[field]]));
+    });
+  }, [form]);
 
-  const updateReportedComplains = async (refObj, value) => {
-    try {
-      await set(refObj, value);
-    } catch (error) {
-      console.error('Error updating reportedComplains:', error);
-    }
+  // Merged into the latest form, so a late callback does not undo newer typing.
+  const updateForm = (changes) => {
+    setForm((prev) => ({ ...prev, ...changes }));
   };
 
   const handleAddData = async () => {
-    try {
-      const usersRef = ref(database, 'Complains');
-      const rsRef = ref(database, 'reportedComplains');
-
-      const newDataRef = push(usersRef);
-
-      // Remove HTML tags using a regex before saving to Firebase
-      const plainTextComplain = complain.replace(/<[^>]*>/g, ''); // Remove all HTML tags
-
-      await set(newDataRef, {
-        name,
-        complain: plainTextComplain,
-        imageBase64, // Save the image base64 string in Firebase
-      });
+    const found = validateComplaintForm(form);
+    setProblems(found);
+    if (Object.keys(found).length) return;
 
-      const currentReportedComplains = await getCurrentReportedComplains(rsRef);
-      const incrementedValue = currentReportedComplains + 1;
-      await updateReportedComplains(rsRef, incrementedValue);
-      setName('');
-      setComplain('');
-      setImageBase64('');
-      // Clear image after saving
+    setIsSubmitting(true);
+    try {
+      if (form.photo) setUploadProgress(0);
+      await createComplaint(buildComplaintRecord(form, new Date()), form.photo, setUploadProgress);
+      setForm(EMPTY_COMPLAINT_FORM);
+      setPreviewUrl('');
+      setFileInputKey((key) => key + 1);
       alert('Data Added Successfully');
     } catch (error) {
       console.error(error);
+      alert('The complaint could not be sent. Please try again.');
+    } finally {
+      setUploadProgress(null);
+      setIsSubmitting(false);
     }
   };
 
-  // Function to update 'complain' state when the editor content changes
-  const handleEditorChange = (args) => {
-    setComplain(args.value);
-  };
-
-  // Function to handle image upload and convert to base64
+  // Keeps the chosen photo for upload on submit and previews it
   const handleImageUpload = (e) => {
-    const file = e.target.files[0];
-    const reader = new FileReader();
-
-    reader.onloadend = () => {
-      // Read the file as a data URL and set it in state
-      setImageBase64(reader.result);
-    };
-
-    if (file) {
-      reader.readAsDataURL(file); // Convert image to base64
-    }
+    const file = e.target.files[0] || null;
+    updateForm({ photo: file });
+    setPreviewUrl(file ? URL.createObjectURL(file) : '');
   };
 
   return (
     <div className="m-2 md:m-10 mt-24 p-2 md:p-10 bg-white rounded-3xl">
-      <Header category="App" title="Editor" />
+      <Header category="App" title="Report a Complaint" />
+      <div className="mb-4">
+        <label htmlFor="complaintName" className="block text-sm font-semibold mb-1">
+          Name
+          <input id="complaintName" type="text" value={form.name} onChange={(e) => updateForm({ name: e.target.value })} className={inputClass} />
+        </label>
+        <FieldError message={problems.name} />
+      </div>
+      <div className="mb-4">
+        <label htmlFor="complaintType" className="block text-sm font-semibold mb-1">
+          Complaint type
+          <select id="complaintType" value={form.type} onChange={(e) => updateForm({ type: e.target.value })} className={inputClass}>
+            <option value="">Choose a type</option>
+            {COMPLAINT_TYPES.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </label>
+        <FieldError message={problems.type} />
+      </div>
+      <div className="mb-4">
+        <label htmlFor="complaintDescription" className="block text-sm font-semibold mb-1">
+          Description
+          <textarea
+            id="complaintDescription"
+            rows={5}
+            maxLength={DESCRIPTION_LIMITS.max}
+            value={form.description}
+            onChange={(e) => updateForm({ description: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+        <span className="text-xs text-gray-500">{form.description.length} / {DESCRIPTION_LIMITS.max}</span>
+        <FieldError message={problems.description} />
+      </div>
       <div className="mb-4">
-        <input
-          type="text"
-          placeholder="Name"
-          value={name}
-          onChange={(e) => setName(e.target.value)}
-          className="border-2 border-gray-300 p-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-200 focus:border-transparent"
-        />
+        <p className="text-sm font-semibold mb-1">Location</p>
+        <LocationPicker value={form.location} onChange={(location) => updateForm({ location })} />
+        <FieldError message={problems.location} />
       </div>
       <div className="mb-4">
-        <input
-          type="file"
-          accept="image/*"
-          onChange={handleImageUpload}
-          className="border-2 border-gray-300 p-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-200 focus:border-transparent"
-        />
+        <label htmlFor="complaintPhoto" className="block text-sm font-semibold mb-1">
+          Photo (optional)
+          <input
+            id="complaintPhoto"
+            key={fileInputKey}
+            type="file"
+            accept="image/*"
+            onChange={handleImageUpload}
+            className={inputClass}
+          />
+        </label>
+        {previewUrl && <img src={previewUrl} alt="Selected complaint" className="mt-2 rounded-lg" style={{ maxWidth: '200px', height: 'auto' }} />}
+        <FieldError message={problems.photo} />
       </div>
-      <RichTextEditorComponent
-        ref={editorRef}
-        value={complain}
-        change={handleEditorChange}
-      >
-        <EditorData />
-        <Inject services={[HtmlEditor, Toolbar, Image, Link, QuickToolbar]} />
-      </RichTextEditorComponent>
+      <p className="mb-4 text-sm text-gray-500">The date and time are recorded when the complaint is sent.</p>
       <div className="mb-4 mt-4">
-        <button type="button" onClick={handleAddData} className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded">
-          Add Data
+        <button type="button" onClick={handleAddData} disabled={isSubmitting} className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded disabled:opacity-50">
+          {isSubmitting ? 'Sending...' : 'Add Data'}
         </button>
+        {uploadProgress !== null && (
+          <div className="mt-2 w-64">
+            <progress value={uploadProgress} max={1} className="w-full" aria-label="Photo upload" />
+            <span className="text-sm text-gray-500">Uploading photo: {Math.round(uploadProgress * 100)}%</span>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -2,6 +2,7 @@ import { get, ref } from 'firebase/database';
 import React, { useEffect, useState } from 'react';
 import { Header } from '../components';
 import { database } from '../firebaseConfig.js';
+import { subscribeComplaintCount } from '../utils/complaintStore';
 
 const GisTracking = () => {
   const [waterSavedValue, setWaterSavedValue] = useState('');
@@ -17,13 +18,11 @@ const GisTracking = () => {
         const variable2Ref = ref(database, 'activeSensors');
         const variable3Ref = ref(database, 'frudsDetects');
         const variable4Ref = ref(database, 'leakdetects');
-        const variable5Ref = ref(database, 'reportedComplains');
 
         const snapshot1 = await get(waterSavedRef);
         const snapshot2 = await get(variable2Ref);
         const snapshot3 = await get(variable3Ref);
         const snapshot4 = await get(variable4Ref);
-        const snapshot5 = await get(variable5Ref);
 
         if (snapshot1.exists()) {
           setWaterSavedValue(snapshot1.val());
@@ -37,15 +36,13 @@ const GisTracking = () => {
         if (snapshot4.exists()) {
           setVariable4Value(snapshot4.val());
         }
-        if (snapshot5.exists()) {
-          setVariable5Value(snapshot5.val());
-        }
       } catch (error) {
         console.error('Error fetching data:', error);
       }
     };
 
     fetchValues();
+    return subscribeComplaintCount(setVariable5Value, (error) => console.error('Error fetching data:', error));
   }, []);
 
   return (
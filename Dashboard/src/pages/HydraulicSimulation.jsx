@@ -0,0 +1,186 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { ChartComponent, SeriesCollectionDirective, SeriesDirective, Inject, LineSeries, Legend, Tooltip } from '@syncfusion/ej2-react-charts';
+
+import { Header } from '../components';
+import { useStateContext } from '../contexts/ContextProvider';
+import { readInpFile, serializeInp } from '../utils/inpParser';
+import { LINK_RESULTS, NODE_RESULTS } from '../utils/hydraulicSimulation';
+
+const inputClass = 'border-2 border-gray-300 p-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-200 focus:border-transparent';
+
+const HydraulicSimulation = () => {
+  const { currentMode, network, setNetwork, networkName, setNetworkName } = useStateContext();
+  const [durationHours, setDurationHours] = useState(24);
+  const [demandMultiplier, setDemandMultiplier] = useState(1);
+  const [results, setResults] = useState(null);
+  const [progress, setProgress] = useState(0);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState('');
+  const [elementKind, setElementKind] = useState('node');
+  const [resultKey, setResultKey] = useState('pressure');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const workerRef = useRef(null);
+
+  useEffect(() => () => {
+    if (workerRef.current) workerRef.current.terminate();
+  }, []);
+
+  const handleFileChange = (event) => {
+    const selected = event.target.files[0];
+    if (!selected) return;
+
+    readInpFile(selected)
+      .then((parsed) => {
+        setNetwork(parsed);
+        setNetworkName(selected.name);
+        setResults(null);
+        setSelectedIds([]);
+      })
+      .catch((parseError) => {
+        console.error('Error parsing network file:', parseError);
+        setError('The selected file could not be read as an EPANET network.');
+      });
+  };
+
+  const handleRun = () => {
+    if (!network) return;
+    if (workerRef.current) workerRef.current.terminate();
+
+    const worker = new Worker(new URL('../workers/hydraulicSimulation.worker.js', import.meta.url));
+    workerRef.current = worker;
+    setIsRunning(true);
+    setProgress(0);
+    setError('');
+
+    const finish = () => {
+      setIsRunning(false);
+      worker.terminate();
+      workerRef.current = null;
+    };
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        setProgress(data.fraction);
+        return;
+      }
+      if (data.type === 'result') {
+        setResults(data.results);
+      } else {
+        setError(data.message);
+      }
+      finish();
+    };
+    // The worker failed to load or threw outside its own error handling.
+    worker.onerror = (event) => {
+      event.preventDefault();
+      setError(`The simulation stopped unexpectedly${event.message ? `: ${event.message}` : ''}. Please try again.`);
+      finish();
+    };
+    worker.onmessageerror = () => {
+      setError('The simulation results could not be read. Please try again.');
+      finish();
+    };
+
+    worker.postMessage({
+      inpText: serializeInp(network),
+      overrides: { durationHours: Number(durationHours), demandMultiplier: Number(demandMultiplier) },
+    });
+  };
+
+  const resultOptions = elementKind === 'node' ? NODE_RESULTS : LINK_RESULTS;
+  const elementIds = results ? Object.keys(elementKind === 'node' ? results.nodes : results.links) : [];
+
+  const handleKindChange = (event) => {
+    const kind = event.target.value;
+    setElementKind(kind);
+    setResultKey((kind === 'node' ? NODE_RESULTS : LINK_RESULTS)[0].key);
+    setSelectedIds([]);
+  };
+
+  const handleSelectionChange = (event) => {
+    setSelectedIds(Array.from(event.target.selectedOptions, (option) => option.value));
+  };
+
+  const series = useMemo(() => {
+    if (!results) return [];
+    const source = elementKind === 'node' ? results.nodes : results.links;
+    return selectedIds.filter((id) => source[id]).map((id) => ({
+      dataSource: results.times.map((time, index) => ({ x: time / 3600, y: source[id][resultKey][index] })),
+      xName: 'x',
+      yName: 'y',
+      name: id,
+      width: '2',
+      marker: { visible: true, width: 6, height: 6 },
+      type: 'Line',
+    }));
+  }, [results, elementKind, resultKey, selectedIds]);
+
+  const resultLabel = resultOptions.find((option) => option.key === resultKey).label;
+
+  return (
+    <div className="m-2 md:m-10 mt-24 p-2 md:p-10 bg-white dark:bg-secondary-dark-bg rounded-3xl">
+      <Header category="App" title="Hydraulic Simulation" />
+      <div className="flex flex-wrap gap-4 items-end mb-6">
+        <div>
+          <p className="text-sm text-gray-400 mb-1">Network (.inp)</p>
+          <input type="file" accept=".inp" onChange={handleFileChange} className={inputClass} />
+        </div>
+        <label htmlFor="simulationDuration" className="text-sm text-gray-400">
+          Duration (hours)
+          <input id="simulationDuration" type="number" min="0" step="1" value={durationHours} onChange={(e) => setDurationHours(e.target.value)} className={`${inputClass} block w-32 text-black`} />
+        </label>
+        <label htmlFor="simulationDemandMultiplier" className="text-sm text-gray-400">
+          Demand multiplier
+          <input id="simulationDemandMultiplier" type="number" min="0" step="0.1" value={demandMultiplier} onChange={(e) => setDemandMultiplier(e.target.value)} className={`${inputClass} block w-32 text-black`} />
+        </label>
+        <button type="button" onClick={handleRun} disabled={!network || isRunning} className="bg-blue-500 hover:bg-blue-700 disabled:opacity-50 text-white font-bold py-2 px-4 rounded">
+          {isRunning ? `Running… ${Math.round(progress * 100)}%` : 'Run Simulation'}
+        </button>
+      </div>
+      {network ? (
+        <p className="mb-4 dark:text-gray-200">Loaded network: {networkName}</p>
+      ) : (
+        <p className="mb-4 text-gray-400">Upload an .inp file to run a simulation.</p>
+      )}
+      {error && <p className="mb-4 text-red-500">{error}</p>}
+
+      {results && (
+        <div className="flex flex-wrap lg:flex-nowrap gap-6">
+          <div className="flex flex-col gap-3 w-full lg:w-64">
+            <select value={elementKind} onChange={handleKindChange} className={inputClass}>
+              <option value="node">Nodes</option>
+              <option value="link">Links</option>
+            </select>
+            <select value={resultKey} onChange={(e) => setResultKey(e.target.value)} className={inputClass}>
+              {resultOptions.map((option) => <option key={option.key} value={option.key}>{option.label}</option>)}
+            </select>
+            <select multiple size={12} value={selectedIds} onChange={handleSelectionChange} className={inputClass} aria-label="Elements to chart">
+              {elementIds.map((id) => <option key={id} value={id}>{id}</option>)}
+            </select>
+          </div>
+          <div className="w-full">
+            <ChartComponent
+              key={`${elementKind}-${resultKey}-${selectedIds.join(',')}`}
+              id="hydraulic-simulation-chart"
+              height="420px"
+              primaryXAxis={{ valueType: 'Double', title: 'Time (hours)', majorGridLines: { width: 0 }, edgeLabelPlacement: 'Shift' }}
+              primaryYAxis={{ title: resultLabel, lineStyle: { width: 0 }, majorTickLines: { width: 0 } }}
+              chartArea={{ border: { width: 0 } }}
+              tooltip={{ enable: true }}
+              background={currentMode === 'Dark' ? '#33373E' : '#fff'}
+              legendSettings={{ background: 'white' }}
+            >
+              <Inject services={[LineSeries, Legend, Tooltip]} />
+              <SeriesCollectionDirective>
+                {/* eslint-disable-next-line react/jsx-props-no-spreading */}
+                {series.map((item) => <SeriesDirective key={item.name} {...item} />)}
+              </SeriesCollectionDirective>
+            </ChartComponent>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HydraulicSimulation;
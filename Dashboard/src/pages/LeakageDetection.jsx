@@ -1,80 +1,179 @@
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
+import { ExportButtons, FileUpload, LeakLocalisation, PressureChart, ReopenedRunNotice, ServiceStatus } from '../components';
+import { useStateContext } from '../contexts/ContextProvider';
+import useReopenedRun from '../hooks/useReopenedRun';
+import { detectLeak, flaggedMethods, measureAgreement, SENSITIVITY_LEVELS } from '../utils/leakDetector';
+import { saveRun } from '../utils/runStore';
+import { postFile } from '../utils/serviceRegistry';
+import { toColumns } from '../utils/timeSeries';
+
+const inputClass = 'border rounded px-2 py-1 text-sm';
+
+const formatVerdict = (verdict) => {
+  if (verdict === null) return '—';
+  return verdict ? 'Yes' : 'No';
+};
 
 const LeakageDetection = () => {
-  const [file, setFile] = useState(null);
+  const { getServiceEndpoint, operatorName } = useStateContext();
   const [predictions, setPredictions] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [showModal, setShowModal] = useState(false);
+  const [error, setError] = useState('');
+  const [sourceFile, setSourceFile] = useState('');
+  // Raw pressure readings of the chosen CSV; runs re-opened from history have none.
+  const [pressureRows, setPressureRows] = useState([]);
+  const [sensitivity, setSensitivity] = useState('medium');
+  const [stepsPerDay, setStepsPerDay] = useState(24);
 
-  const handleFileChange = (event) => {
-    setFile(event.target.files[0]);
-  };
-
-  const handleSubmit = async (event) => {
-    event.preventDefault();
-    if (!file) {
-      alert('Please select a file');
-      return;
-    }
+  const reopenedRun = useReopenedRun('leakage', (run) => {
+    setPredictions(Object.values(run.results.predictions || {}));
+    setSourceFile(run.input.name);
+    setPressureRows([]);
+  });
 
-    const formData = new FormData();
-    formData.append('file', file);
+  const handleParsed = ({ rows }) => {
+    setPressureRows(rows);
+    setPredictions([]);
+  };
 
+  const handleSubmit = async (file) => {
     setIsLoading(true);
+    setError('');
+    setSourceFile(file.name);
     try {
-      const response = await fetch('http://localhost:8000/predict', {
-        method: 'POST',
-        body: formData,
-      });
-      if (!response.ok) {
-        throw new Error('Network response was not ok');
-      }
-      const data = await response.json();
+      const data = await postFile(getServiceEndpoint('leakage'), file);
       setPredictions(data);
+      saveRun({ type: 'leakage', file, results: { predictions: data }, user: operatorName })
+        .catch((saveError) => console.error('Error saving run:', saveError));
       if (data.some((prediction) => prediction.leak_detected)) {
         setShowModal(true);
       }
-    } catch (error) {
-      alert('An error occurred while processing the file');
-      console.error(error);
+    } catch (requestError) {
+      setError(pressureRows.length
+        ? 'An error occurred while processing the file. The statistical detector below does not need the leak service.'
+        : 'An error occurred while processing the file');
+      console.error(requestError);
     } finally {
       setIsLoading(false);
     }
   };
 
+  const leakingSensors = predictions.filter((prediction) => prediction.leak_detected).map((prediction) => prediction.sensor_node);
+
+  // Column i of the CSV is the i-th sensor the leak service reports.
+  const detections = useMemo(
+    () => toColumns(pressureRows).map((values) => detectLeak(values, { sensitivity, stepsPerDay: Number(stepsPerDay) || 24 })),
+    [pressureRows, sensitivity, stepsPerDay],
+  );
+
+  const rows = useMemo(() => Array.from({ length: Math.max(predictions.length, detections.length) }, (_, index) => {
+    const prediction = predictions[index];
+    const detection = detections[index];
+    return {
+      // The CSV column is kept apart from the node: a column the model did not
+      // score has no node id, and its number is not one.
+      column: index,
+      sensor_node: prediction ? prediction.sensor_node : '',
+      model: prediction ? Boolean(prediction.leak_detected) : null,
+      statistical: detection ? detection.verdict : null,
+      methods: detection ? flaggedMethods(detection).join(', ') : '',
+      onset: detection && detection.onset !== -1 ? detection.onset : '',
+    };
+  }), [predictions, detections]);
+
+  const agreement = measureAgreement(rows.map((row) => row.model), rows.map((row) => row.statistical));
+
+  // Without the model the statistical verdicts still place leaks on the network.
+  const localisedPredictions = predictions.length > 0
+    ? predictions
+    : rows.filter((row) => row.statistical !== null).map((row) => ({ column: row.column, leak_detected: row.statistical }));
+
+  const getReport = () => ({
+    title: 'Leakage Detection',
+    sourceFile,
+    columns: [
+      { key: 'column', header: 'CSV Column' },
+      { key: 'sensor_node', header: 'Sensor Node' },
+      { key: 'model', header: 'Leak Detected (model)' },
+      { key: 'statistical', header: 'Leak Detected (statistical)' },
+      { key: 'methods', header: 'Flagged By' },
+      { key: 'onset', header: 'Onset (time step)' },
+    ],
+    rows: rows.map((row) => ({ ...row, model: formatVerdict(row.model), statistical: formatVerdict(row.statistical) })),
+    summary: [
+      `${leakingSensors.length} of ${predictions.length} sensors report a leak`,
+      `Statistical detector (${SENSITIVITY_LEVELS[sensitivity].label} sensitivity): ${rows.filter((row) => row.statistical).length} of ${detections.length} sensors flagged`,
+      ...(agreement.compared ? [`Model and detector agree on ${agreement.agree} of ${agreement.compared} sensors`] : []),
+    ],
+  });
+
   return (
     <div className="container mx-auto my-8 p-4 border rounded shadow">
-      <h3 className="text-lg font-semibold mb-4">Upload Pressure Data CSV File:</h3>
-      <form onSubmit={handleSubmit} className="mb-4">
-        <input type="file" accept=".csv" onChange={handleFileChange} className="mr-2" />
-        <button type="submit" className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded">
-          Check Leak
-        </button>
-      </form>
-
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold">Upload Pressure Data CSV File:</h3>
+        <ServiceStatus service="leakage" />
+      </div>
+      <FileUpload schema="leakage" onSubmit={handleSubmit} onParsed={handleParsed} submitLabel="Check Leak" isLoading={isLoading} error={error} />
+      <ReopenedRunNotice run={reopenedRun} />
+      {pressureRows.length > 0 && (
+        <div className="flex flex-wrap items-end gap-4 mb-4">
+          <label htmlFor="detectorSensitivity" className="text-sm">
+            Statistical detector sensitivity
+            <select id="detectorSensitivity" value={sensitivity} onChange={(e) => setSensitivity(e.target.value)} className={`${inputClass} block`}>
+              {Object.entries(SENSITIVITY_LEVELS).map(([key, level]) => (
+                <option key={key} value={key}>{level.label}</option>
+              ))}
+            </select>
+          </label>
+          <label htmlFor="detectorStepsPerDay" className="text-sm">
+            Readings per day
+            <input id="detectorStepsPerDay" type="number" min="1" value={stepsPerDay} onChange={(e) => setStepsPerDay(e.target.value)} className={`${inputClass} block w-24`} />
+          </label>
+          {agreement.compared > 0 && (
+            <p className="text-sm">
+              Model and statistical detector agree on {agreement.agree} of {agreement.compared} sensors ({Math.round((agreement.agree / agreement.compared) * 100)}%).
+            </p>
+          )}
+        </div>
+      )}
+      {rows.length > 0 && (
+        <div className="mb-4">
+          <ExportButtons getReport={getReport} />
+        </div>
+      )}
       {isLoading ? (
         <p>Loading...</p>
       ) : (
         <table className="w-full mx-auto">
           <thead>
             <tr>
+              <th className="py-2 px-4 border-b">CSV Column</th>
               <th className="py-2 px-4 border-b">Sensor Node</th>
               <th className="py-2 px-4 border-b">Leak Detected</th>
+              <th className="py-2 px-4 border-b">Statistical</th>
+              <th className="py-2 px-4 border-b">Flagged By</th>
+              <th className="py-2 px-4 border-b">Onset</th>
             </tr>
           </thead>
           <tbody>
-            {predictions
+            {rows
               .slice()
-              .sort((a, b) => ((b.leak_detected ? 1 : 0) - (a.leak_detected ? 1 : 0)))
-              .map((prediction, index) => {
+              .sort((a, b) => ((b.model ? 2 : 0) + (b.statistical ? 1 : 0)) - ((a.model ? 2 : 0) + (a.statistical ? 1 : 0)))
+              .map((row, index) => {
                 const isEven = (index % 2 === 0);
                 let rowClass = 'bg-gray-200';
                 if (isEven) rowClass = 'bg-white';
-                if (prediction.leak_detected) rowClass = 'bg-red-500 text-white';
+                if (row.statistical) rowClass = 'bg-yellow-200';
+                if (row.model) rowClass = 'bg-red-500 text-white';
                 return (
-                  <tr key={index} className={rowClass}>
-                    <td className="py-2 px-4 border-b">{prediction.sensor_node}</td>
-                    <td className="py-2 px-4 border-b">{prediction.leak_detected ? 'Yes' : 'No'}</td>
+                  <tr key={row.column} className={rowClass}>
+                    <td className="py-2 px-4 border-b">{row.column}</td>
+                    <td className="py-2 px-4 border-b">{row.sensor_node === '' ? '—' : row.sensor_node}</td>
+                    <td className="py-2 px-4 border-b">{formatVerdict(row.model)}</td>
+                    <td className="py-2 px-4 border-b">{formatVerdict(row.statistical)}</td>
+                    <td className="py-2 px-4 border-b">{row.methods}</td>
+                    <td className="py-2 px-4 border-b">{row.onset}</td>
                   </tr>
                 );
               })}
@@ -82,11 +181,15 @@ const LeakageDetection = () => {
         </table>
       )}
 
+      {pressureRows.length > 0 && <PressureChart rows={pressureRows} predictions={predictions} detections={detections} />}
+
+      {!isLoading && localisedPredictions.length > 0 && <LeakLocalisation predictions={localisedPredictions} />}
+
       {showModal && (
         <div className="fixed top-0 left-0 w-full h-full flex items-center justify-center bg-black bg-opacity-50 z-50">
           <div className="bg-white p-4 rounded shadow-lg">
             <h2 className="text-lg font-bold">Leak Detected!</h2>
-            <p>One or more sensor nodes have detected a leak.</p>
+            <p>Leak reported at sensor {leakingSensors.join(', ')}. The pipes to inspect are listed under Leak Localisation.</p>
             <button type="button" onClick={() => setShowModal(false)} className="bg-red-500 hover:bg-red-700 text-white font-bold py-2 px-4 rounded mt-4">
               Close
             </button>
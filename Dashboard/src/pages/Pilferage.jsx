@@ -1,86 +1,225 @@
 import React, { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { ExportButtons, FileUpload, MassBalance, ReopenedRunNotice, ServiceStatus } from '../components';
+import { useStateContext } from '../contexts/ContextProvider';
+import useReopenedRun from '../hooks/useReopenedRun';
+import {
+  categoriseFlows,
+  DEFAULT_PILFERAGE_THRESHOLDS,
+  loadPilferageThresholds,
+  PILFERAGE_CATEGORIES,
+  savePilferageThresholds,
+  validateThresholds,
+} from '../utils/pilferage';
+import { saveRun } from '../utils/runStore';
+import { postFile } from '../utils/serviceRegistry';
 
-const Pilferage = () => {
-  const [file, setFile] = useState(null);
-  const [pilferageData, setPilferageData] = useState({
-    warning: [],
-    high_risk: [],
-    pilferage: [],
-  });
+const inputClass = 'border rounded px-2 py-1 text-sm';
+
+const categoryClasses = {
+  warning: 'bg-yellow-100',
+  high_risk: 'bg-orange-200',
+  pilferage: 'bg-red-500 text-white',
+};
+
+const categoryLabel = (key) => PILFERAGE_CATEGORIES.find((category) => category.key === key).label;
+
+const formatNumber = (value, suffix = '') => (typeof value === 'number' ? `${value}${suffix}` : '—');
+
+// Runs saved before details were recorded only have the three sensor lists.
+const toDetails = (result) => {
+  const details = Object.values(result.details || {});
+  if (details.length) return details;
+  return PILFERAGE_CATEGORIES.flatMap(({ key }) => Object.values(result[key] || {}).map((sensor) => ({ sensor, category: key })));
+};
+
+const MODES = [
+  { key: 'flow', label: 'Flow percentiles' },
+  { key: 'zones', label: 'Zone mass balance' },
+];
+
+// Flow-percentile categorisation of sensors.
+const FlowPilferage = () => {
+  const { getServiceEndpoint, operatorName } = useStateContext();
+  const [thresholds, setThresholds] = useState(loadPilferageThresholds);
+  // Parsed rows of the chosen CSV, categorised in the browser until the service answers.
+  const [rows, setRows] = useState([]);
+  const [serviceResult, setServiceResult] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [sourceFile, setSourceFile] = useState('');
 
-  const handleFileChange = (event) => {
-    setFile(event.target.files[0]);
-  };
+  const reopenedRun = useReopenedRun('pilferage', (run) => {
+    setThresholds({ ...DEFAULT_PILFERAGE_THRESHOLDS, ...(run.parameters && run.parameters.thresholds) });
+    setServiceResult(run.results);
+    setRows([]);
+    setSourceFile(run.input.name);
+  });
 
-  const handleSubmit = async (event) => {
-    event.preventDefault();
-    if (!file) {
-      alert('Please select a file');
-      return;
-    }
+  const problems = validateThresholds(thresholds);
+
+  const updateThresholds = (next) => {
+    setThresholds(next);
+    savePilferageThresholds(next);
+    // The service's answer was for the old percentiles; recategorise here.
+    setServiceResult(null);
+  };
 
-    const formData = new FormData();
-    formData.append('file', file);
+  const handleParsed = ({ rows: parsedRows }, file) => {
+    setRows(parsedRows);
+    setServiceResult(null);
+    setSourceFile(file.name);
+  };
 
+  const handleSubmit = async (file) => {
+    if (problems.length) return;
     setIsLoading(true);
+    setError('');
+    setSourceFile(file.name);
     try {
-      const response = await fetch('http://localhost:5000/pilferage', {
-        method: 'POST',
-        body: formData,
-      });
-      if (!response.ok) {
-        throw new Error(`${response.status} ${response.statusText}`);
-      }
-      const data = await response.json();
-      setPilferageData(data);
-    } catch (error) {
-      alert('An error occurred while processing the file');
-      console.error(error);
+      const data = await postFile(getServiceEndpoint('pilferage'), file, thresholds);
+      // Older services return only the sensor lists.
+      const results = data.details ? data : { ...categoriseFlows(rows, thresholds), ...data };
+      setServiceResult(results);
+      saveRun({ type: 'pilferage', file, parameters: { thresholds }, results, user: operatorName })
+        .catch((saveError) => console.error('Error saving run:', saveError));
+    } catch (requestError) {
+      setError('An error occurred while processing the file. The sensors below are categorised in the browser.');
+      console.error(requestError);
     } finally {
       setIsLoading(false);
     }
   };
 
+  let result = null;
+  if (serviceResult) result = serviceResult;
+  else if (rows.length && !problems.length) result = categoriseFlows(rows, thresholds);
+  const details = result ? toDetails(result) : [];
+  const limits = (result && result.limits) || {};
+
+  const getReport = () => ({
+    title: 'Pilferage Detection',
+    sourceFile,
+    columns: [
+      { key: 'sensor', header: 'Sensor Node' },
+      { key: 'category', header: 'Category' },
+      { key: 'flow', header: 'Flow' },
+      { key: 'percentile', header: 'Percentile' },
+      { key: 'expected', header: 'Expected Demand' },
+      { key: 'deviation', header: 'Deviation (%)' },
+      { key: 'reason', header: 'Reason' },
+    ],
+    rows: details.map((detail) => ({ ...detail, category: categoryLabel(detail.category) })),
+    summary: PILFERAGE_CATEGORIES.map(({ key, label }) => (
+      `${label}: flow ≥ ${formatNumber(limits[key])} (${thresholds[key]}th percentile)`
+    )),
+  });
+
   return (
-    <div className="container mx-auto my-8 p-4 border rounded shadow">
-      <h3 className="text-lg font-semibold mb-4">Upload CSV File:</h3>
-      <form onSubmit={handleSubmit} className="mb-4">
-        <input type="file" accept=".csv" onChange={handleFileChange} className="mr-2" />
-        <button type="submit" className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded">
-          Check Pilferage
+    <>
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold">Upload CSV File:</h3>
+        <ServiceStatus service="pilferage" />
+      </div>
+      <FileUpload schema="pilferage" onSubmit={handleSubmit} onParsed={handleParsed} submitLabel="Check Pilferage" isLoading={isLoading} error={error} />
+      <ReopenedRunNotice run={reopenedRun} />
+
+      <div className="flex flex-wrap items-end gap-4 mb-4">
+        {PILFERAGE_CATEGORIES.map(({ key, label }) => (
+          <label key={key} htmlFor={`pilferage-${key}`} className="text-sm">
+            {label} percentile
+            <input
+              id={`pilferage-${key}`}
+              type="number"
+              min="0"
+              max="100"
+              step="any"
+              value={thresholds[key] ?? ''}
+              onChange={(e) => updateThresholds({ ...thresholds, [key]: e.target.value === '' ? null : Number(e.target.value) })}
+              className={`${inputClass} block w-24`}
+            />
+          </label>
+        ))}
+        <button type="button" onClick={() => updateThresholds(DEFAULT_PILFERAGE_THRESHOLDS)} className="text-sm text-blue-500 hover:underline">
+          Reset to 85 / 90 / 95
         </button>
-      </form>
-      {isLoading ? (
-        <p>Loading...</p>
-      ) : (
+      </div>
+      {problems.length > 0 && (
+        <ul className="mb-4 text-sm text-red-500 list-disc ml-4">
+          {problems.map((problem) => <li key={problem}>{problem}</li>)}
+        </ul>
+      )}
+
+      {isLoading && <p>Loading...</p>}
+      {!isLoading && result && (
         <div className="data-container">
-          <div className="mb-4">
-            <h4 className="text-md font-semibold">Warning Sensors:</h4>
-            <ul className="list-disc ml-4">
-              {pilferageData.warning.map((sensor, index) => (
-                <li key={index}>{sensor}</li>
-              ))}
-            </ul>
-          </div>
-          <div className="mb-4">
-            <h4 className="text-md font-semibold">High Risk Sensors:</h4>
-            <ul className="list-disc ml-4">
-              {pilferageData.high_risk.map((sensor, index) => (
-                <li key={index}>{sensor}</li>
-              ))}
-            </ul>
-          </div>
-          <div>
-            <h4 className="text-md font-semibold">Pilferage Sensors:</h4>
-            <ul className="list-disc ml-4">
-              {pilferageData.pilferage.map((sensor, index) => (
-                <li key={index}>{sensor}</li>
-              ))}
-            </ul>
+          <div className="flex justify-between items-center mb-2">
+            <p className="text-sm text-gray-500">
+              {serviceResult ? 'Categorised by the pilferage service.' : 'Categorised in the browser; Check Pilferage to confirm with the service.'}
+              {' '}
+              {PILFERAGE_CATEGORIES.filter(({ key }) => typeof limits[key] === 'number')
+                .map(({ key, label }) => `${label} from ${Math.round(limits[key] * 100) / 100}`).join(', ')}
+            </p>
+            {details.length > 0 && <ExportButtons getReport={getReport} />}
           </div>
+          {details.length === 0 ? (
+            <p>No sensor is above the warning percentile.</p>
+          ) : (
+            <table className="w-full mx-auto text-sm">
+              <thead>
+                <tr>
+                  <th className="py-2 px-4 border-b">Sensor Node</th>
+                  <th className="py-2 px-4 border-b">Category</th>
+                  <th className="py-2 px-4 border-b">Flow</th>
+                  <th className="py-2 px-4 border-b">Percentile</th>
+                  <th className="py-2 px-4 border-b">Expected Demand</th>
+                  <th className="py-2 px-4 border-b">Deviation</th>
+                  <th className="py-2 px-4 border-b">Reason</th>
+                </tr>
+              </thead>
+              <tbody>
+                {details.map((detail, index) => (
+                  <tr key={`${detail.sensor}-${index}`} className={categoryClasses[detail.category]}>
+                    <td className="py-2 px-4 border-b">{detail.sensor}</td>
+                    <td className="py-2 px-4 border-b">{categoryLabel(detail.category)}</td>
+                    <td className="py-2 px-4 border-b">{formatNumber(detail.flow)}</td>
+                    <td className="py-2 px-4 border-b">{formatNumber(detail.percentile, '%')}</td>
+                    <td className="py-2 px-4 border-b">{formatNumber(detail.expected)}</td>
+                    <td className="py-2 px-4 border-b">{typeof detail.deviation === 'number' ? `${detail.deviation > 0 ? '+' : ''}${detail.deviation}%` : '—'}</td>
+                    <td className="py-2 px-4 border-b">{detail.reason || ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
         </div>
       )}
+    </>
+  );
+};
+
+// The mode is kept in the address so Run History can re-open either one.
+const Pilferage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const mode = searchParams.get('mode') === 'zones' ? 'zones' : 'flow';
+
+  return (
+    <div className="container mx-auto my-8 p-4 border rounded shadow">
+      <div className="flex gap-2 mb-4" role="tablist">
+        {MODES.map(({ key, label }) => (
+          <button
+            key={key}
+            type="button"
+            role="tab"
+            aria-selected={mode === key}
+            onClick={() => setSearchParams(key === 'flow' ? {} : { mode: key })}
+            className={`px-4 py-2 rounded text-sm ${mode === key ? 'bg-blue-500 text-white' : 'bg-gray-200'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {mode === 'zones' ? <MassBalance /> : <FlowPilferage />}
     </div>
   );
 };
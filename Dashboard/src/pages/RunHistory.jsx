@@ -0,0 +1,155 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+
+import { Header } from '../components';
+import { diffRuns, reopenPath, RUN_TYPES, summarizeRun } from '../utils/runHistory';
+import { subscribeRuns } from '../utils/runStore';
+
+const formatDate = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : '—');
+
+const formatParameters = (parameters) => Object.entries(parameters)
+  // Water quality bands are too long for a table cell; the profile names them.
+  .filter(([key]) => key !== 'bands')
+  .map(([key, value]) => `${key}: ${value && typeof value === 'object' ? Object.values(value).join(' / ') : value ?? '—'}`)
+  .join(', ');
+
+const RunDiff = ({ before, after }) => {
+  if (before.type !== after.type) {
+    return <p className="text-gray-500">Only runs of the same analysis can be compared.</p>;
+  }
+  const changes = diffRuns(before, after);
+  const { itemLabel } = RUN_TYPES[before.type];
+  return (
+    <div>
+      <p className="mb-2 text-sm text-gray-500">
+        {formatDate(before.createdAt)} ({before.input.name}) → {formatDate(after.createdAt)} ({after.input.name})
+      </p>
+      {changes.length === 0 ? (
+        <p>Both runs have the same results.</p>
+      ) : (
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr>
+              <th className="py-2 px-4 border-b text-left">{itemLabel}</th>
+              <th className="py-2 px-4 border-b text-left">Before</th>
+              <th className="py-2 px-4 border-b text-left">After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {changes.map((change) => (
+              <tr key={change.item}>
+                <td className="py-2 px-4 border-b">{change.item}</td>
+                <td className="py-2 px-4 border-b">{change.before ?? 'Not in run'}</td>
+                <td className="py-2 px-4 border-b">{change.after ?? 'Not in run'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+const RunHistory = () => {
+  const navigate = useNavigate();
+  const [runs, setRuns] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [typeFilter, setTypeFilter] = useState('');
+  // Ids of the runs ticked for comparison, oldest pick first.
+  const [selected, setSelected] = useState([]);
+
+  useEffect(() => subscribeRuns(
+    (list) => {
+      setRuns(list);
+      setIsLoading(false);
+    },
+    (subscribeError) => {
+      console.error('Error loading run history:', subscribeError);
+      setError('Run history could not be loaded.');
+      setIsLoading(false);
+    },
+  ), []);
+
+  const visibleRuns = runs.filter((run) => RUN_TYPES[run.type] && (!typeFilter || run.type === typeFilter));
+
+  const toggleSelected = (id) => {
+    if (selected.includes(id)) {
+      setSelected(selected.filter((item) => item !== id));
+    } else {
+      // Keep the two most recent picks.
+      setSelected([...selected, id].slice(-2));
+    }
+  };
+
+  const compared = selected.map((id) => runs.find((run) => run.id === id)).filter(Boolean)
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+
+  return (
+    <div className="m-2 md:m-10 mt-24 p-2 md:p-10 bg-white rounded-3xl shadow-lg">
+      <Header category="Page" title="Run History" />
+      <div className="mb-4 flex flex-wrap items-center gap-4">
+        <select
+          aria-label="Analysis type"
+          value={typeFilter}
+          onChange={(e) => setTypeFilter(e.target.value)}
+          className="border rounded px-2 py-1"
+        >
+          <option value="">All analyses</option>
+          {Object.entries(RUN_TYPES).map(([key, type]) => <option key={key} value={key}>{type.label}</option>)}
+        </select>
+        <span className="text-sm text-gray-500">Tick two runs to compare them.</span>
+      </div>
+      {error && <p className="mb-4 text-red-500">{error}</p>}
+      {isLoading ? (
+        <p>Loading...</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white text-sm">
+            <thead>
+              <tr>
+                <th className="py-2 px-4 border-b">Compare</th>
+                <th className="py-2 px-4 border-b">Date</th>
+                <th className="py-2 px-4 border-b">Analysis</th>
+                <th className="py-2 px-4 border-b">Input File</th>
+                <th className="py-2 px-4 border-b">Parameters</th>
+                <th className="py-2 px-4 border-b">Results</th>
+                <th className="py-2 px-4 border-b">User</th>
+                <th className="py-2 px-4 border-b" aria-label="Actions" />
+              </tr>
+            </thead>
+            <tbody>
+              {visibleRuns.map((run) => (
+                <tr key={run.id}>
+                  <td className="py-2 px-4 border-b text-center">
+                    <input type="checkbox" aria-label={`Compare run ${run.id}`} checked={selected.includes(run.id)} onChange={() => toggleSelected(run.id)} />
+                  </td>
+                  <td className="py-2 px-4 border-b">{formatDate(run.createdAt)}</td>
+                  <td className="py-2 px-4 border-b">{RUN_TYPES[run.type].label}</td>
+                  <td className="py-2 px-4 border-b">{run.input ? run.input.name : '—'}</td>
+                  <td className="py-2 px-4 border-b">{formatParameters(run.parameters) || '—'}</td>
+                  <td className="py-2 px-4 border-b">{summarizeRun(run)}</td>
+                  <td className="py-2 px-4 border-b">{run.user}</td>
+                  <td className="py-2 px-4 border-b">
+                    <button type="button" onClick={() => navigate(reopenPath(run))} className="text-blue-500 hover:underline">
+                      Open
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {visibleRuns.length === 0 && <p className="mt-4 text-gray-500">No runs saved yet.</p>}
+        </div>
+      )}
+      {compared.length === 2 && (
+        <div className="mt-8">
+          <h3 className="text-lg font-semibold mb-2">Comparison</h3>
+          <RunDiff before={compared[0]} after={compared[1]} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RunHistory;
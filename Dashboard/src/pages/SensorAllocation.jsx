@@ -1,46 +1,179 @@
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
+import { ExportButtons, FileUpload, NetworkMap, ReopenedRunNotice, ServiceStatus } from '../components';
+import { useStateContext } from '../contexts/ContextProvider';
+import useReopenedRun from '../hooks/useReopenedRun';
+import { summarizeNetwork } from '../utils/networkGraph';
+import { saveRun } from '../utils/runStore';
+import { allocateSensors } from '../utils/sensorAllocation';
+import { postFile } from '../utils/serviceRegistry';
 
 const SensorAllocation = () => {
+  const { network, setNetwork, networkName, setNetworkName, setSensorNodes, getServiceEndpoint, operatorName } = useStateContext();
   const [apiData, setApiData] = useState({ mapping: {}, sensor_nodes: [] });
-  const [file, setFile] = useState(null);
+  const [budget, setBudget] = useState('');
+  const [elevationThreshold, setElevationThreshold] = useState(100);
+  const [coverage, setCoverage] = useState(null);
+  const [source, setSource] = useState('');
+  const [hoveredSensor, setHoveredSensor] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [inputFile, setInputFile] = useState(null);
 
-  const handleFileChange = (event) => {
-    setFile(event.target.files[0]);
+  const reopenedRun = useReopenedRun('sensorAllocation', (run) => {
+    setApiData({ mapping: run.results.mapping || {}, sensor_nodes: Object.values(run.results.sensor_nodes || {}) });
+    setCoverage(run.results.coverage ?? null);
+    setSource(run.parameters.source || '');
+  });
+
+  const handleParsed = (parsed, file) => {
+    setNetwork(parsed.network);
+    setNetworkName(file.name);
+    setInputFile(file);
+  };
+
+  const recordRun = (result, runSource) => {
+    saveRun({
+      type: 'sensorAllocation',
+      // The network may have been loaded on another page, leaving only its name.
+      file: inputFile || { name: networkName },
+      parameters: { budget: budget === '' ? null : Number(budget), elevationThreshold: Number(elevationThreshold), source: runSource },
+      results: { mapping: result.mapping, sensor_nodes: result.sensor_nodes, coverage: result.coverage ?? null },
+      user: operatorName,
+    }).catch((saveError) => console.error('Error saving run:', saveError));
   };
 
-  const handleSubmit = (event) => {
-    event.preventDefault();
+  const summary = network ? summarizeNetwork(network) : null;
 
-    if (!file) {
-      alert('Please select a file to upload.');
-      return;
+  // One colour per sensor, spread around the hue circle by the golden angle.
+  const sensorColors = useMemo(() => new Map(apiData.sensor_nodes.map((sensor, index) => [String(sensor), `hsl(${Math.round((index * 137.5) % 360)}, 65%, 50%)`])), [apiData.sensor_nodes]);
+
+  const getReport = () => ({
+    title: 'Sensor Allocation',
+    sourceFile: networkName,
+    columns: [
+      { key: 'node', header: 'Node' },
+      { key: 'sensor', header: 'Sensor Node' },
+      { key: 'isSensor', header: 'Is Sensor' },
+    ],
+    // The mapping only holds the nodes each sensor covers, so the sensors are
+    // listed first, each as its own sensor.
+    rows: [
+      ...apiData.sensor_nodes.map((sensor) => ({ node: String(sensor), sensor: String(sensor), isSensor: true })),
+      ...Object.entries(apiData.mapping)
+        .filter(([node]) => !sensorColors.has(node))
+        .map(([node, sensor]) => ({ node, sensor, isSensor: false })),
+    ],
+    summary: [
+      `${apiData.sensor_nodes.length} sensors, computed ${source === 'server' ? 'by the allocation service' : 'in the browser'}`,
+      ...(coverage !== null ? [`Coverage: ${(coverage * 100).toFixed(1)}%`] : []),
+    ],
+  });
+
+  const getNodeStyle = (node) => {
+    const sensorColor = sensorColors.get(node.id);
+    if (sensorColor) {
+      return { fill: sensorColor, radius: 9, stroke: '#111827', strokeWidth: 2, label: `Sensor node ${node.id}` };
     }
+    const sensor = apiData.mapping[node.id];
+    const isCovered = hoveredSensor !== null && String(sensor) === hoveredSensor;
+    return {
+      fill: sensorColors.get(String(sensor)) || '#9ca3af',
+      radius: 5,
+      stroke: isCovered ? '#111827' : undefined,
+      strokeWidth: isCovered ? 3 : 0,
+      label: sensor !== undefined ? `Node ${node.id} → sensor ${sensor}` : `Node ${node.id} (not mapped)`,
+    };
+  };
 
-    const formData = new FormData();
-    formData.append('file', file);
+  const runLocalAllocation = () => {
+    if (!network) {
+      setError('Please select a network file first.');
+      return;
+    }
+    setError('');
+    const result = allocateSensors(network, {
+      elevationThreshold: Number(elevationThreshold),
+      budget: budget === '' ? Infinity : Number(budget),
+    });
+    setApiData({ mapping: result.mapping, sensor_nodes: result.sensor_nodes });
+    // Lets the leakage page place sensors reported by column position.
+    setSensorNodes(result.sensor_nodes);
+    setCoverage(result.coverage);
+    setSource('browser');
+    recordRun(result, 'browser');
+  };
 
-    fetch('http://localhost:8080/sensor-allocation', {
-      method: 'POST',
-      body: formData,
-    })
-      .then((response) => response.json())
+  const handleSubmit = (file) => {
+    setIsLoading(true);
+    setError('');
+    postFile(getServiceEndpoint('sensorAllocation'), file)
       .then((data) => {
         setApiData({
           mapping: data.mapping,
           sensor_nodes: data.sensor_nodes,
         });
+        // The service's order is fixed by sorting, which also covers older services.
+        setSensorNodes(data.sensor_nodes.map(String).sort());
+        setCoverage(null);
+        setSource('server');
+        recordRun(data, 'server');
+      })
+      .catch((requestError) => {
+        console.error('Error fetching data:', requestError);
+        // The allocation service is unavailable; fall back to the in-browser port.
+        if (network) runLocalAllocation();
       })
-      .catch((error) => {
-        console.error('Error fetching data:', error);
+      .finally(() => {
+        setIsLoading(false);
       });
   };
 
   return (
     <div className="m-2 md:m-10 mt-24 p-4 md:p-8 bg-white rounded-3xl shadow-lg">
-      <form onSubmit={handleSubmit} style={{ marginBottom: '20px' }}>
-        <input type="file" onChange={handleFileChange} style={{ marginBottom: '10px' }} />
-        <button type="submit" style={{ padding: '5px 10px', borderRadius: '5px', border: 'none', backgroundColor: '#007bff', color: 'white', cursor: 'pointer' }}>Upload and Fetch Data</button>
-      </form>
+      <div style={{ marginBottom: '10px' }}>
+        <ServiceStatus service="sensorAllocation" />
+      </div>
+      <ReopenedRunNotice run={reopenedRun} />
+      <FileUpload schema="sensorAllocation" onSubmit={handleSubmit} onParsed={handleParsed} submitLabel="Upload and Fetch Data" isLoading={isLoading} error={error}>
+        <label htmlFor="sensorBudget">
+          Sensor budget
+          <input id="sensorBudget" type="number" min="0" placeholder="No limit" value={budget} onChange={(e) => setBudget(e.target.value)} style={{ marginLeft: '5px', width: '100px', border: '1px solid rgba(0, 0, 0, 0.45)', borderRadius: '5px', padding: '2px 5px' }} />
+        </label>
+        <label htmlFor="elevationThreshold">
+          Elevation threshold
+          <input id="elevationThreshold" type="number" value={elevationThreshold} onChange={(e) => setElevationThreshold(e.target.value)} style={{ marginLeft: '5px', width: '100px', border: '1px solid rgba(0, 0, 0, 0.45)', borderRadius: '5px', padding: '2px 5px' }} />
+        </label>
+        <button type="button" onClick={runLocalAllocation} style={{ padding: '5px 10px', borderRadius: '5px', border: 'none', backgroundColor: '#28a745', color: 'white', cursor: 'pointer' }}>Allocate in Browser</button>
+      </FileUpload>
+      {summary && (
+        <p style={{ marginBottom: '20px' }}>
+          {networkName}: {summary.junctions} junctions, {summary.reservoirs} reservoirs, {summary.tanks} tanks, {summary.pipes} pipes, {summary.pumps} pumps, {summary.valves} valves
+        </p>
+      )}
+      {source && (
+        <p style={{ marginBottom: '20px' }}>
+          {source === 'server' ? 'Computed by the allocation service' : 'Computed in the browser'}
+          {coverage !== null && ` · ${apiData.sensor_nodes.length} sensors · coverage ${(coverage * 100).toFixed(1)}%`}
+        </p>
+      )}
+      {apiData.sensor_nodes.length > 0 && (
+        <div style={{ marginBottom: '20px' }}>
+          <ExportButtons getReport={getReport} />
+        </div>
+      )}
+      {network && apiData.sensor_nodes.length > 0 && (
+        <div style={{ marginBottom: '20px' }}>
+          <NetworkMap
+            network={network}
+            getNodeStyle={getNodeStyle}
+            onNodeEnter={(node) => { if (sensorColors.has(node.id)) setHoveredSensor(node.id); }}
+            onNodeLeave={() => setHoveredSensor(null)}
+          />
+          <p style={{ fontSize: '0.9rem', color: 'rgba(0, 0, 0, 0.6)' }}>
+            Large outlined circles are sensor nodes; every other node takes the colour of the sensor it maps to. Hover a sensor to outline the nodes it covers.
+          </p>
+        </div>
+      )}
       <div style={{ display: 'flex', justifyContent: 'space-between' }}>
         <div style={{ flex: 1, border: '1px solid rgba(0, 0, 0, 0.45)', padding: '10px', marginRight: '10px', borderRadius: '8px', boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)' }}>
           <h2 style={{ fontSize: '1.5rem', marginBottom: '10px', borderBottom: '1px solid rgba(0, 0, 0, 0.45)' }}>Mapping Data</h2>
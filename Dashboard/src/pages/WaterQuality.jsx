@@ -1,73 +1,233 @@
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
 import './WaterQuality.css';
-import { FaUpload, FaSpinner } from 'react-icons/fa';
+import { FaUpload } from 'react-icons/fa';
+import { ExportButtons, FileUpload, ReopenedRunNotice, ServiceStatus } from '../components';
+import { useStateContext } from '../contexts/ContextProvider';
+import useReopenedRun from '../hooks/useReopenedRun';
+import { saveRun } from '../utils/runStore';
+import { postFile } from '../utils/serviceRegistry';
+import { WATER_QUALITY_FEATURES } from '../utils/uploadSchemas';
+import {
+  agreesWithModel,
+  assessSample,
+  getDefaultBands,
+  loadSelectedProfile,
+  loadWaterQualityProfiles,
+  POTABILITY_THRESHOLD,
+  saveSelectedProfile,
+  saveWaterQualityProfiles,
+  WATER_QUALITY_PROFILES,
+} from '../utils/waterQualityStandards';
 // import { BsFillBarChartFill } from 'react-icons/bs';
+
+const LIMIT_FIELDS = [
+  ['min', 'Min'],
+  ['max', 'Max'],
+  ['permissibleMin', 'Permissible min'],
+  ['permissibleMax', 'Permissible max'],
+];
+
+const formatReading = (value) => (typeof value === 'number' ? value.toFixed(2) : '—');
+
+const formatAgreement = (agrees) => {
+  if (agrees === null) return '—';
+  return agrees ? 'Yes' : 'No';
+};
+
+const BandsEditor = ({ profileKey, bands, onSelect, onChange, onReset }) => (
+  <details className="bands-editor">
+    <summary>Limit bands: {WATER_QUALITY_PROFILES.find((profile) => profile.key === profileKey).name}</summary>
+    <select aria-label="Threshold profile" value={profileKey} onChange={(event) => onSelect(event.target.value)}>
+      {WATER_QUALITY_PROFILES.map((profile) => <option key={profile.key} value={profile.key}>{profile.name}</option>)}
+    </select>
+    <table className="prediction-table">
+      <thead>
+        <tr>
+          <th>Parameter</th>
+          {LIMIT_FIELDS.map(([, label]) => <th key={label}>{label}</th>)}
+          <th>Source</th>
+        </tr>
+      </thead>
+      <tbody>
+        {WATER_QUALITY_FEATURES.map((key) => (
+          <tr key={key}>
+            <td>{bands[key].label}{bands[key].unit && ` (${bands[key].unit})`}</td>
+            {LIMIT_FIELDS.map(([field, label]) => (
+              <td key={field}>
+                <input
+                  type="number"
+                  step="any"
+                  aria-label={`${bands[key].label} ${label.toLowerCase()}`}
+                  value={bands[key][field] ?? ''}
+                  onChange={(event) => onChange(key, field, event.target.value === '' ? null : Number(event.target.value))}
+                />
+              </td>
+            ))}
+            <td>{bands[key].source}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+    <button type="button" className="reset-bands" onClick={onReset}>Reset to defaults</button>
+  </details>
+);
+
 function WaterQuality() {
-  const [file, setFile] = useState(null);
+  const { getServiceEndpoint, operatorName } = useStateContext();
+  const [samples, setSamples] = useState([]);
   const [predictions, setPredictions] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [sourceFile, setSourceFile] = useState('');
+  const [profiles, setProfiles] = useState(loadWaterQualityProfiles);
+  const [profileKey, setProfileKey] = useState(loadSelectedProfile);
+  const bands = profiles[profileKey];
 
-  const handleFileChange = (event) => {
-    const selected = event.target.files[0];
-    setFile(selected);
+  const assessments = useMemo(() => samples.map((row) => assessSample(row, bands)), [samples, bands]);
+  const comparisons = assessments.map((assessment, index) => agreesWithModel(assessment, predictions[index]));
+  const compared = comparisons.filter((agrees) => agrees !== null);
+
+  const updateBands = (next) => {
+    const nextProfiles = { ...profiles, [profileKey]: next };
+    setProfiles(nextProfiles);
+    saveWaterQualityProfiles(nextProfiles);
+  };
+
+  const handleBandChange = (key, field, value) => {
+    updateBands({ ...bands, [key]: { ...bands[key], [field]: value } });
   };
 
-  const handlePredict = () => {
-    if (file) {
-      setLoading(true);
-      const formData = new FormData();
-      formData.append('file', file);
+  const handleProfileSelect = (key) => {
+    setProfileKey(key);
+    saveSelectedProfile(key);
+  };
 
-      fetch('http://127.0.0.1:5200/predict', {
-        method: 'POST',
-        body: formData,
+  const reopenedRun = useReopenedRun('waterQuality', (run) => {
+    setSamples(Object.values(run.results.samples || {}));
+    setPredictions(Object.values(run.results.predictions || {}));
+    setSourceFile(run.input.name);
+    // Shown with the profile it was run under, without changing the saved choice.
+    if (profiles[run.parameters.profile]) setProfileKey(run.parameters.profile);
+  });
+
+  const recordRun = (file, runPredictions) => {
+    saveRun({
+      type: 'waterQuality',
+      file,
+      parameters: { profile: profileKey, bands },
+      results: { samples, predictions: runPredictions, verdicts: assessments.map((assessment) => assessment.verdict) },
+      user: operatorName,
+    }).catch((saveError) => console.error('Error saving run:', saveError));
+  };
+
+  const handleParsed = ({ rows }, file) => {
+    setSamples(rows);
+    setPredictions([]);
+    setSourceFile(file.name);
+  };
+
+  const getReport = () => ({
+    title: 'Water Quality',
+    sourceFile,
+    columns: [
+      { key: 'sample', header: 'Sample' },
+      ...WATER_QUALITY_FEATURES.map((key) => ({ key, header: bands[key].label })),
+      { key: 'potability', header: 'Potability (model)' },
+      { key: 'verdict', header: 'Verdict (rules)' },
+      { key: 'score', header: 'Score' },
+      { key: 'agrees', header: 'Agree' },
+      { key: 'violations', header: 'Violations' },
+    ],
+    rows: samples.map((row, index) => ({
+      ...row,
+      sample: index + 1,
+      potability: predictions[index],
+      verdict: assessments[index].verdict === 'pass' ? 'Pass' : 'Fail',
+      score: assessments[index].score,
+      agrees: comparisons[index],
+      violations: assessments[index].reasons,
+    })),
+    summary: [`Profile: ${WATER_QUALITY_PROFILES.find((profile) => profile.key === profileKey).name}`],
+  });
+
+  const handlePredict = (file) => {
+    setLoading(true);
+    setError('');
+    postFile(getServiceEndpoint('waterQuality'), file)
+      .then((data) => {
+        setPredictions(data.potability_prediction);
+        recordRun(file, data.potability_prediction);
       })
-        .then((response) => response.json())
-        .then((data) => {
-          setPredictions(data.potability_prediction);
-          setLoading(false);
-        })
-        .catch((error) => {
-          console.error('Error:', error);
-          setLoading(false);
-        });
-    }
+      .catch((requestError) => {
+        console.error('Error:', requestError);
+        recordRun(file, []);
+        // The rule-based columns need no service, so they stay usable.
+        setError('The potability service could not process the file; showing rule-based results only.');
+      })
+      .finally(() => {
+        setLoading(false);
+      });
   };
 
   return (
     <div className="WaterQuality">
       <header className="header">
         <h1><FaUpload /> Water Quality Prediction</h1>
+        <ServiceStatus service="waterQuality" showName={false} />
       </header>
       <main className="main-content">
-        <div className="file-upload">
-          {/* eslint-disable-next-line jsx-a11y/label-has-associated-control */}
-          <label htmlFor="fileInput" className="file-input-label">Choose CSV File</label>
-          <input type="file" id="fileInput" onChange={handleFileChange} aria-label="Upload CSV file" />
-          <button type="button" className="predict-button" onClick={handlePredict}>
-            {loading ? <FaSpinner className="spinner" /> : 'Predict Water Quality'}
-          </button>
-        </div>
+        <ReopenedRunNotice run={reopenedRun} />
+        <FileUpload schema="waterQuality" onSubmit={handlePredict} onParsed={handleParsed} submitLabel="Predict Water Quality" isLoading={loading} error={error} />
+        <BandsEditor profileKey={profileKey} bands={bands} onSelect={handleProfileSelect} onChange={handleBandChange} onReset={() => updateBands(getDefaultBands(profileKey))} />
         <div className="prediction">
-          {predictions.length > 0 && (
+          {samples.length > 0 && (
             <div className="prediction-results">
               <h2>Prediction Results</h2>
-              <table className="prediction-table">
-                <thead>
-                  <tr>
-                    <th>Sample</th>
-                    <th>Potability</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {predictions.map((potability, index) => (
-                    <tr key={index}>
-                      <td>{index + 1}</td>
-                      <td>{potability.toFixed(2)}</td>
+              <div className="export-buttons">
+                <ExportButtons getReport={getReport} />
+              </div>
+              {predictions.length > 0 && predictions.length !== samples.length && (
+                <p className="prediction-note">
+                  The service returned {predictions.length} predictions for {samples.length} samples (it drops duplicate rows), so predictions may not line up with samples.
+                </p>
+              )}
+              {compared.length > 0 && (
+                <p className="prediction-note">
+                  Model and rules agree on {compared.filter(Boolean).length} of {compared.length} samples (potability ≥ {POTABILITY_THRESHOLD} counts as potable).
+                </p>
+              )}
+              <div className="prediction-scroll">
+                <table className="prediction-table">
+                  <thead>
+                    <tr>
+                      <th>Sample</th>
+                      {WATER_QUALITY_FEATURES.map((key) => <th key={key}>{bands[key].label}</th>)}
+                      <th>Potability (model)</th>
+                      <th>Verdict (rules)</th>
+                      <th>Score</th>
+                      <th>Agree</th>
+                      <th>Violations</th>
                     </tr>
-                  ))}
-                </tbody>
-              </table>
+                  </thead>
+                  <tbody>
+                    {samples.map((row, index) => (
+                      <tr key={index}>
+                        <td>{index + 1}</td>
+                        {WATER_QUALITY_FEATURES.map((key) => (
+                          <td key={key} className={`band-${assessments[index].results[key]}`}>{formatReading(row[key])}</td>
+                        ))}
+                        <td>{formatReading(predictions[index])}</td>
+                        <td className={`verdict-${assessments[index].verdict}`}>{assessments[index].verdict === 'pass' ? 'Pass' : 'Fail'}</td>
+                        <td>{assessments[index].score ?? '—'}</td>
+                        <td className={comparisons[index] === false ? 'verdict-fail' : ''}>{formatAgreement(comparisons[index])}</td>
+                        <td className="reasons">
+                          {assessments[index].reasons.map((reason) => <div key={reason}>{reason}</div>)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
             </div>
           )}
         </div>
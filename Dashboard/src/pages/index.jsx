@@ -11,8 +11,10 @@ export { default as ComplainsData } from './ComplainsData';
 export { default as Dashboard } from './Dashboard';
 export { default as Editor } from './Editor';
 export { default as GisTracking } from './GisTracking';
+export { default as HydraulicSimulation } from './HydraulicSimulation';
 export { default as LeakageDetection } from './LeakageDetection';
 export { default as Pilferage } from './Pilferage';
+export { default as RunHistory } from './RunHistory';
 export { default as SensorAllocation } from './SensorAllocation';
 export { default as WaterQuality } from './WaterQuality';
 
@@ -0,0 +1,138 @@
+// Case handling for the complaints under 'Complains'. Besides what the
+// complaint form writes, a record can carry
+//   { status, assignee, priority, updatedAt, notes: { key: note }, history: { key: entry } }
+// where a note is { at, by, text } and a history entry, one per change of
+// status, assignee or priority, is { at, by, field, from, to, note? }.
+// Records written before case handling have none of these and read as new.
+// Reading and writing lives in complaintStore.js; this module only interprets
+// and checks cases.
+
+export const COMPLAINTS_PATH = 'Complains';
+
+// Number of complaints ever sent, kept next to them. The one counter every
+// page reads; it only changes together with a new complaint (see complaintStore.js).
+export const COMPLAINT_COUNT_PATH = 'reportedComplains';
+
+// What a complaint is about, chosen on the complaint form.
+export const COMPLAINT_TYPES = [
+  { key: 'leak', label: 'Leak' },
+  { key: 'contamination', label: 'Contamination' },
+  { key: 'low_pressure', label: 'Low pressure' },
+  { key: 'no_supply', label: 'No supply' },
+  { key: 'illegal_connection', label: 'Illegal connection' },
+];
+
+export const COMPLAINT_STATUSES = [
+  { key: 'new', label: 'New', className: 'bg-blue-100 text-blue-800' },
+  { key: 'assigned', label: 'Assigned', className: 'bg-purple-100 text-purple-800' },
+  { key: 'in_progress', label: 'In Progress', className: 'bg-yellow-100 text-yellow-800' },
+  { key: 'resolved', label: 'Resolved', className: 'bg-green-100 text-green-800' },
+  { key: 'rejected', label: 'Rejected', className: 'bg-gray-200 text-gray-700' },
+];
+
+export const COMPLAINT_PRIORITIES = [
+  { key: 'low', label: 'Low' },
+  { key: 'medium', label: 'Medium' },
+  { key: 'high', label: 'High' },
+  { key: 'urgent', label: 'Urgent' },
+];
+
+export const DEFAULT_STATUS = 'new';
+export const DEFAULT_PRIORITY = 'medium';
+
+// Statuses a case may move to from each status. Closed cases can be re-opened.
+export const STATUS_TRANSITIONS = {
+  new: ['assigned', 'rejected'],
+  assigned: ['in_progress', 'new', 'rejected'],
+  in_progress: ['resolved', 'assigned', 'rejected'],
+  resolved: ['in_progress'],
+  rejected: ['new'],
+};
+
+// Work on these needs someone to do it.
+const NEEDS_ASSIGNEE = ['assigned', 'in_progress'];
+
+export const statusLabel = (key) => (COMPLAINT_STATUSES.find((status) => status.key === key) || { label: key }).label;
+
+export const typeLabel = (key) => (COMPLAINT_TYPES.find((type) => type.key === key) || { label: key }).label;
+
+export const priorityLabel = (key) => (COMPLAINT_PRIORITIES.find((priority) => priority.key === key) || { label: key }).label;
+
+const byTime = (a, b) => (a.at || 0) - (b.at || 0);
+
+/**
+ * A complaint record with its case fields filled in and its notes and history
+ * as lists, oldest first.
+ * @param {string} id
+ * @param {Object} record
+ */
+export const toCase = (id, record) => ({
+  ...record,
+  id,
+  status: record.status || DEFAULT_STATUS,
+  priority: record.priority || DEFAULT_PRIORITY,
+  assignee: record.assignee || '',
+  notes: Object.entries(record.notes || {}).map(([key, note]) => ({ id: key, ...note })).sort(byTime),
+  history: Object.entries(record.history || {}).map(([key, entry]) => ({ id: key, ...entry })).sort(byTime),
+});
+
+/**
+ * Turns the snapshot value of COMPLAINTS_PATH into cases, in insertion order.
+ * @returns {Object[]}
+ */
+export const toCaseList = (value) => Object.entries(value || {}).map(([id, record]) => toCase(id, record));
+
+/**
+ * Problems that would stop a change to a case being saved.
+ * @param {Object} current the case as it is
+ * @param {{ status?: string, assignee?: string, priority?: string, note?: string }} changes
+ * @returns {string[]}
+ */
+export const validateCaseChange = (current, changes) => {
+  const problems = [];
+  const status = changes.status ?? current.status;
+  const assignee = (changes.assignee ?? current.assignee).trim();
+  if (status !== current.status && !STATUS_TRANSITIONS[current.status].includes(status)) {
+    problems.push(`A ${statusLabel(current.status).toLowerCase()} complaint cannot be moved to ${statusLabel(status).toLowerCase()}.`);
+  }
+  if (NEEDS_ASSIGNEE.includes(status) && !assignee) {
+    problems.push(`Set an assignee before marking the complaint ${statusLabel(status).toLowerCase()}.`);
+  }
+  if (status === 'rejected' && status !== current.status && !(changes.note || '').trim()) {
+    problems.push('Give a reason when rejecting a complaint.');
+  }
+  if (changes.priority && !COMPLAINT_PRIORITIES.some((priority) => priority.key === changes.priority)) {
+    problems.push(`Unknown priority "${changes.priority}".`);
+  }
+  return problems;
+};
+
+/**
+ * The fields a change sets on the record and the history entries recording
+ * it; fields left as they were are skipped.
+ * @returns {{ fields: Object, entries: Array<{ field: string, from: string, to: string, note?: string }> }}
+ */
+export const describeCaseChange = (current, changes) => {
+  const fields = {};
+  const entries = [];
+  ['status', 'assignee', 'priority'].forEach((field) => {
+    const value = field === 'assignee' && typeof changes.assignee === 'string' ? changes.assignee.trim() : changes[field];
+    if (value === undefined || value === current[field]) return;
+    fields[field] = value;
+    entries.push({ field, from: current[field], to: value });
+  });
+  const note = (changes.note || '').trim();
+  // A reason given with a status change belongs to that change in the trail.
+  const statusEntry = entries.find((entry) => entry.field === 'status');
+  if (note && statusEntry) statusEntry.note = note;
+  return { fields, entries };
+};
+
+/**
+ * One line describing a history entry, e.g. 'Status: New → Assigned'.
+ */
+export const formatHistoryEntry = (entry) => {
+  const format = { status: statusLabel, priority: priorityLabel }[entry.field] || ((value) => value || 'nobody');
+  const field = entry.field.charAt(0).toUpperCase() + entry.field.slice(1);
+  return `${field}: ${format(entry.from)} → ${format(entry.to)}${entry.note ? ` (${entry.note})` : ''}`;
+};
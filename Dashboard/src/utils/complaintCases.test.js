@@ -0,0 +1,50 @@
+/* eslint-env jest */
+import { describeCaseChange, formatHistoryEntry, toCase, toCaseList, validateCaseChange } from './complaintCases';
+
+describe('toCase', () => {
+  test('reads an old record as a new, unassigned case', () => {
+    expect(toCase('c1', { name: 'Asha', complain: 'No water' })).toMatchObject({
+      id: 'c1', status: 'new', priority: 'medium', assignee: '', notes: [], history: [],
+    });
+  });
+
+  test('lists notes and history oldest first', () => {
+    const [complaint] = toCaseList({
+      c1: {
+        status: 'assigned',
+        notes: { b: { at: 2, text: 'second' }, a: { at: 1, text: 'first' } },
+        history: { x: { at: 5, field: 'status', from: 'new', to: 'assigned' } },
+      },
+    });
+    expect(complaint.notes.map((note) => note.text)).toEqual(['first', 'second']);
+    expect(complaint.history[0]).toMatchObject({ id: 'x', to: 'assigned' });
+  });
+});
+
+describe('validateCaseChange', () => {
+  const fresh = toCase('c1', {});
+
+  test('follows the status lifecycle', () => {
+    expect(validateCaseChange(fresh, { status: 'resolved' })).toHaveLength(1);
+    expect(validateCaseChange(toCase('c1', { status: 'resolved', assignee: 'Ravi' }), { status: 'in_progress' })).toEqual([]);
+  });
+
+  test('needs an assignee for assigned work and a reason to reject', () => {
+    expect(validateCaseChange(fresh, { status: 'assigned' })).toEqual(['Set an assignee before marking the complaint assigned.']);
+    expect(validateCaseChange(fresh, { status: 'assigned', assignee: 'Ravi' })).toEqual([]);
+    expect(validateCaseChange(fresh, { status: 'rejected' })).toEqual(['Give a reason when rejecting a complaint.']);
+    expect(validateCaseChange(fresh, { status: 'rejected', note: 'Duplicate' })).toEqual([]);
+  });
+});
+
+describe('describeCaseChange', () => {
+  test('records only what changed, with the note on the status change', () => {
+    const { fields, entries } = describeCaseChange(toCase('c1', {}), { status: 'assigned', assignee: ' Ravi ', priority: 'medium', note: 'Ward 4 crew' });
+    expect(fields).toEqual({ status: 'assigned', assignee: 'Ravi' });
+    expect(entries).toEqual([
+      { field: 'status', from: 'new', to: 'assigned', note: 'Ward 4 crew' },
+      { field: 'assignee', from: '', to: 'Ravi' },
+    ]);
+    expect(entries.map(formatHistoryEntry)).toEqual(['Status: New → Assigned (Ward 4 crew)', 'Assignee: nobody → Ravi']);
+  });
+});
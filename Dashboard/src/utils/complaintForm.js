@@ -0,0 +1,67 @@
+import { COMPLAINT_TYPES, DEFAULT_PRIORITY, DEFAULT_STATUS } from './complaintCases';
+
+// The complaint form: what it checks before anything is sent and the record
+// it writes under 'Complains'.
+
+export const DESCRIPTION_LIMITS = { min: 10, max: 2000 };
+export const MAX_PHOTO_BYTES = 15 * 1024 * 1024;
+
+// Where the location map opens: the network area drawn on the GIS Tracking map.
+export const MAP_CENTER = [21.0725, 79.0686];
+
+export const EMPTY_COMPLAINT_FORM = {
+  name: '',
+  type: '',
+  description: '',
+  // { lat, lng, source: 'map' | 'gps', accuracy? }
+  location: null,
+  photo: null,
+};
+
+const isCoordinate = (value, limit) => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+
+/**
+ * Problems with the form, keyed by field; empty when it can be sent.
+ * @returns {Object<string, string>}
+ */
+export const validateComplaintForm = (form) => {
+  const problems = {};
+  const name = form.name.trim();
+  const description = form.description.trim();
+  if (!name) problems.name = 'Enter your name.';
+  else if (name.length > 100) problems.name = 'Keep the name under 100 characters.';
+  if (!COMPLAINT_TYPES.some((type) => type.key === form.type)) problems.type = 'Choose what the complaint is about.';
+  if (description.length < DESCRIPTION_LIMITS.min) problems.description = `Describe the problem in at least ${DESCRIPTION_LIMITS.min} characters.`;
+  else if (description.length > DESCRIPTION_LIMITS.max) problems.description = `Keep the description under ${DESCRIPTION_LIMITS.max} characters.`;
+  if (!form.location || !isCoordinate(form.location.lat, 90) || !isCoordinate(form.location.lng, 180)) {
+    problems.location = 'Pick the location on the map or use your current location.';
+  }
+  if (form.photo) {
+    if (!String(form.photo.type).startsWith('image/')) problems.photo = 'The photo must be an image file.';
+    else if (form.photo.size > MAX_PHOTO_BYTES) problems.photo = 'The photo must be smaller than 15 MB.';
+  }
+  return problems;
+};
+
+/**
+ * The record stored for a valid form, stamped with the time it was sent.
+ * Photo URLs are added once the photo is uploaded.
+ * @param {Date} now
+ */
+export const buildComplaintRecord = (form, now) => {
+  const { lat, lng, source, accuracy } = form.location;
+  return {
+    name: form.name.trim(),
+    type: form.type,
+    description: form.description.trim(),
+    date: now.toISOString(),
+    location: {
+      lat,
+      lng,
+      source,
+      ...(typeof accuracy === 'number' ? { accuracy: Math.round(accuracy) } : {}),
+    },
+    status: DEFAULT_STATUS,
+    priority: DEFAULT_PRIORITY,
+  };
+};
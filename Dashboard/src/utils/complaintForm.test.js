@@ -0,0 +1,43 @@
+/* eslint-env jest */
+import { buildComplaintRecord, EMPTY_COMPLAINT_FORM, validateComplaintForm } from './complaintForm';
+
+const validForm = {
+  ...EMPTY_COMPLAINT_FORM,
+  name: ' Asha ',
+  type: 'leak',
+  description: 'Water gushing from the main near the school gate',
+  location: { lat: 21.0731, lng: 79.0702, source: 'gps', accuracy: 12.4 },
+};
+
+describe('validateComplaintForm', () => {
+  test('accepts a complete form', () => {
+    expect(validateComplaintForm(validForm)).toEqual({});
+  });
+
+  test('reports each missing or bad field', () => {
+    expect(Object.keys(validateComplaintForm(EMPTY_COMPLAINT_FORM)).sort()).toEqual(['description', 'location', 'name', 'type']);
+    expect(validateComplaintForm({ ...validForm, type: 'noise' })).toHaveProperty('type');
+    expect(validateComplaintForm({ ...validForm, description: 'leak' })).toHaveProperty('description');
+    expect(validateComplaintForm({ ...validForm, location: { lat: 120, lng: 79 } })).toHaveProperty('location');
+  });
+
+  test('checks the photo type and size', () => {
+    expect(validateComplaintForm({ ...validForm, photo: { type: 'application/pdf', size: 10 } })).toHaveProperty('photo');
+    expect(validateComplaintForm({ ...validForm, photo: { type: 'image/jpeg', size: 20 * 1024 * 1024 } })).toHaveProperty('photo');
+    expect(validateComplaintForm({ ...validForm, photo: { type: 'image/jpeg', size: 1024 } })).toEqual({});
+  });
+});
+
+describe('buildComplaintRecord', () => {
+  test('stamps the date and opens a new case', () => {
+    expect(buildComplaintRecord(validForm, new Date(Date.UTC(2024, 2, 5, 8)))).toEqual({
+      name: 'Asha',
+      type: 'leak',
+      description: 'Water gushing from the main near the school gate',
+      date: '2024-03-05T08:00:00.000Z',
+      location: { lat: 21.0731, lng: 79.0702, source: 'gps', accuracy: 12 },
+      status: 'new',
+      priority: 'medium',
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import { COMPLAINT_PRIORITIES, COMPLAINT_STATUSES } from './complaintCases';
+
+// Search, filters, sort order and page of the Complaints table. The query
+// lives in the page address, so a filtered view can be shared as a link;
+// parameters at their default are left out of it.
+
+export const DEFAULT_COMPLAINT_QUERY = {
+  q: '',
+  type: '',
+  status: '',
+  location: '',
+  from: '',
+  to: '',
+  sort: 'date',
+  dir: 'desc',
+  page: 1,
+  pageSize: 25,
+};
+
+export const PAGE_SIZES = [10, 25, 50, 100];
+
+export const SORTABLE_COLUMNS = ['id', 'date', 'type', 'location', 'status', 'priority', 'assignee'];
+
+/**
+ * Reads the query from URLSearchParams, falling back to the defaults for
+ * missing or invalid values.
+ * @param {URLSearchParams} searchParams
+ */
+export const parseComplaintQuery = (searchParams) => {
+  const query = { ...DEFAULT_COMPLAINT_QUERY };
+  ['q', 'type', 'status', 'location', 'from', 'to'].forEach((key) => {
+    query[key] = searchParams.get(key) || '';
+  });
+  const sort = searchParams.get('sort');
+  if (SORTABLE_COLUMNS.includes(sort)) query.sort = sort;
+  if (['asc', 'desc'].includes(searchParams.get('dir'))) query.dir = searchParams.get('dir');
+  const page = parseInt(searchParams.get('page'), 10);
+  if (page > 0) query.page = page;
+  const pageSize = parseInt(searchParams.get('pageSize'), 10);
+  if (PAGE_SIZES.includes(pageSize)) query.pageSize = pageSize;
+  return query;
+};
+
+/**
+ * The query as search parameters, without the ones at their default.
+ * @returns {Object<string, string>}
+ */
+export const toSearchParams = (query) => Object.fromEntries(Object.entries(query)
+  .filter(([key, value]) => value !== DEFAULT_COMPLAINT_QUERY[key] && value !== '' && value !== undefined)
+  .map(([key, value]) => [key, String(value)]));
+
+/**
+ * Text of a complaint's location, which is either free text or a point
+ * with an optional address.
+ */
+export const locationText = (location) => {
+  if (!location) return '';
+  if (typeof location === 'string') return location;
+  if (location.address) return location.address;
+  if (typeof location.lat === 'number' && typeof location.lng === 'number') return `${location.lat.toFixed(5)}, ${location.lng.toFixed(5)}`;
+  return '';
+};
+
+/**
+ * Complaint time in milliseconds, or null when its date is missing or unreadable.
+ */
+export const complaintTime = (complaint) => {
+  if (typeof complaint.date === 'number') return complaint.date;
+  const time = Date.parse(complaint.date);
+  return Number.isNaN(time) ? null : time;
+};
+
+// Start of a yyyy-mm-dd day in local time; `endOfDay` gives the last moment of it.
+const dayBoundary = (day, endOfDay) => {
+  const [year, month, date] = day.split('-').map(Number);
+  if (!year || !month || !date) return null;
+  return endOfDay ? new Date(year, month - 1, date + 1).getTime() - 1 : new Date(year, month - 1, date).getTime();
+};
+
+const includesText = (haystack, needle) => String(haystack || '').toLowerCase().includes(needle);
+
+/**
+ * Complaints matching every filter of the query. Search words must all appear
+ * in the description (the form's `complain` text on older records).
+ */
+export const filterComplaints = (complaints, query) => {
+  const words = query.q.toLowerCase().split(/\s+/).filter(Boolean);
+  const location = query.location.toLowerCase().trim();
+  const from = query.from ? dayBoundary(query.from, false) : null;
+  const to = query.to ? dayBoundary(query.to, true) : null;
+  return complaints.filter((complaint) => {
+    const text = `${complaint.description || ''} ${complaint.complain || ''}`.toLowerCase();
+    if (!words.every((word) => text.includes(word))) return false;
+    if (query.type && complaint.type !== query.type) return false;
+    if (query.status && complaint.status !== query.status) return false;
+    if (location && !includesText(locationText(complaint.location), location)) return false;
+    if (from !== null || to !== null) {
+      const time = complaintTime(complaint);
+      if (time === null || (from !== null && time < from) || (to !== null && time > to)) return false;
+    }
+    return true;
+  });
+};
+
+const rank = (list, key) => list.findIndex((item) => item.key === key);
+
+const sortValue = (complaint, column) => {
+  switch (column) {
+    case 'date': return complaintTime(complaint);
+    case 'status': return rank(COMPLAINT_STATUSES, complaint.status);
+    case 'priority': return rank(COMPLAINT_PRIORITIES, complaint.priority);
+    case 'location': return locationText(complaint.location).toLowerCase();
+    default: return String(complaint[column] || '').toLowerCase();
+  }
+};
+
+/**
+ * Sorted copy of the complaints. Missing values sort last either way.
+ */
+export const sortComplaints = (complaints, column, dir) => {
+  const sign = dir === 'asc' ? 1 : -1;
+  return complaints
+    .map((complaint) => ({ complaint, value: sortValue(complaint, column) }))
+    .sort((a, b) => {
+      const aMissing = a.value === null || a.value === '';
+      const bMissing = b.value === null || b.value === '';
+      if (aMissing || bMissing) return aMissing - bMissing;
+      if (a.value < b.value) return -sign;
+      if (a.value > b.value) return sign;
+      return 0;
+    })
+    .map(({ complaint }) => complaint);
+};
+
+/**
+ * One page of a list; a page past the end shows the last one.
+ * @returns {{ items: Array, page: number, pageCount: number }}
+ */
+export const paginate = (items, page, pageSize) => {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(1, page), pageCount);
+  return { items: items.slice((current - 1) * pageSize, current * pageSize), page: current, pageCount };
+};
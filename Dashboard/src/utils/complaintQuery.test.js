@@ -0,0 +1,58 @@
+/* eslint-env jest */
+import { toCase } from './complaintCases';
+import { filterComplaints, paginate, parseComplaintQuery, sortComplaints, toSearchParams, DEFAULT_COMPLAINT_QUERY } from './complaintQuery';
+
+const complaints = [
+  toCase('a', { description: 'Pipe burst near the market', type: 'leak', date: '2024-03-02T10:00:00', location: 'Sitabuldi', priority: 'urgent' }),
+  toCase('b', { complain: 'Muddy water from the tap', type: 'contamination', date: '2024-03-05T08:00:00', location: { lat: 21.1, lng: 79.05, address: 'Dharampeth' } }),
+  toCase('c', { description: 'Low pressure in the morning', type: 'low_pressure', date: '2024-02-20T07:00:00', status: 'resolved', priority: 'low' }),
+  toCase('d', { description: 'Leak at the market road', type: 'leak' }),
+];
+
+const ids = (list) => list.map((complaint) => complaint.id);
+
+describe('parseComplaintQuery', () => {
+  test('round-trips through search parameters without defaults', () => {
+    const query = { ...DEFAULT_COMPLAINT_QUERY, q: 'market', type: 'leak', page: 2 };
+    const params = toSearchParams(query);
+    expect(params).toEqual({ q: 'market', type: 'leak', page: '2' });
+    expect(parseComplaintQuery(new URLSearchParams(params))).toEqual(query);
+  });
+
+  test('ignores invalid values', () => {
+    const query = parseComplaintQuery(new URLSearchParams('sort=name&dir=up&page=-3&pageSize=7'));
+    expect(query).toMatchObject({ sort: 'date', dir: 'desc', page: 1, pageSize: 25 });
+  });
+});
+
+describe('filterComplaints', () => {
+  const query = (overrides) => ({ ...DEFAULT_COMPLAINT_QUERY, ...overrides });
+
+  test('searches every word of the description, old and new fields', () => {
+    expect(ids(filterComplaints(complaints, query({ q: 'MARKET' })))).toEqual(['a', 'd']);
+    expect(ids(filterComplaints(complaints, query({ q: 'muddy tap' })))).toEqual(['b']);
+  });
+
+  test('filters by type, status, location and date range', () => {
+    expect(ids(filterComplaints(complaints, query({ type: 'leak' })))).toEqual(['a', 'd']);
+    expect(ids(filterComplaints(complaints, query({ status: 'resolved' })))).toEqual(['c']);
+    expect(ids(filterComplaints(complaints, query({ location: 'dharam' })))).toEqual(['b']);
+    expect(ids(filterComplaints(complaints, query({ from: '2024-03-01', to: '2024-03-02' })))).toEqual(['a']);
+  });
+});
+
+describe('sortComplaints', () => {
+  test('sorts by date and priority, keeping missing values last', () => {
+    expect(ids(sortComplaints(complaints, 'date', 'desc'))).toEqual(['b', 'a', 'c', 'd']);
+    expect(ids(sortComplaints(complaints, 'date', 'asc'))).toEqual(['c', 'a', 'b', 'd']);
+    expect(ids(sortComplaints(complaints, 'priority', 'desc'))).toEqual(['a', 'b', 'd', 'c']);
+  });
+});
+
+describe('paginate', () => {
+  test('clamps to the last page', () => {
+    expect(paginate([1, 2, 3, 4, 5], 2, 2)).toEqual({ items: [3, 4], page: 2, pageCount: 3 });
+    expect(paginate([1, 2, 3], 9, 2)).toEqual({ items: [3], page: 2, pageCount: 2 });
+    expect(paginate([], 1, 10)).toEqual({ items: [], page: 1, pageCount: 1 });
+  });
+});
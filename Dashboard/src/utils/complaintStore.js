@@ -0,0 +1,109 @@
+import { increment, onValue, push, ref, serverTimestamp, update } from 'firebase/database';
+import { getDownloadURL, ref as storageRef, uploadBytesResumable } from 'firebase/storage';
+
+import { database, storage } from '../firebaseConfig';
+import { COMPLAINT_COUNT_PATH, COMPLAINTS_PATH, describeCaseChange, toCaseList } from './complaintCases';
+import { PHOTO_SIZE, resizeImage, THUMBNAIL_SIZE } from './imageResize';
+
+// Storage folder holding each complaint's photo and thumbnail, by complaint key.
+export const COMPLAINT_IMAGES_PATH = 'complaints';
+
+/**
+ * Calls onChange with every complaint as a case, now and on each change.
+ * @returns {Function} unsubscribe
+ */
+export const subscribeComplaints = (onChange, onError) => onValue(
+  ref(database, COMPLAINTS_PATH),
+  (snapshot) => onChange(toCaseList(snapshot.val())),
+  onError,
+);
+
+/**
+ * Calls onChange with the complaint counter, now and on each change.
+ * @returns {Function} unsubscribe
+ */
+export const subscribeComplaintCount = (onChange, onError) => onValue(
+  ref(database, COMPLAINT_COUNT_PATH),
+  (snapshot) => onChange(snapshot.exists() ? Number(snapshot.val()) || 0 : 0),
+  onError,
+);
+
+/**
+ * Saves a change to a case in one multi-path update, so the record and its
+ * audit trail never disagree. A note given with a status change is kept on
+ * that history entry, otherwise it is added to the case's notes.
+ * @param {Object} current the case as shown when the change was made
+ * @param {{ status?: string, assignee?: string, priority?: string, note?: string }} changes
+ * @param {string} [user]
+ */
+export const saveCaseChange = async (current, changes, user) => {
+  const base = `${COMPLAINTS_PATH}/${current.id}`;
+  const by = user || 'anonymous';
+  const { fields, entries } = describeCaseChange(current, changes);
+  const updates = {};
+  Object.entries(fields).forEach(([field, value]) => {
+    updates[`${base}/${field}`] = value;
+  });
+  entries.forEach((entry) => {
+    updates[`${base}/history/${push(ref(database, `${base}/history`)).key}`] = { ...entry, at: serverTimestamp(), by };
+  });
+  const note = (changes.note || '').trim();
+  if (note && !fields.status) {
+    updates[`${base}/notes/${push(ref(database, `${base}/notes`)).key}`] = { text: note, at: serverTimestamp(), by };
+  }
+  if (!Object.keys(updates).length) return;
+  updates[`${base}/updatedAt`] = serverTimestamp();
+  await update(ref(database), updates);
+};
+
+const uploadBlob = (path, blob, onProgress) => new Promise((resolve, reject) => {
+  const task = uploadBytesResumable(storageRef(storage, path), blob, { contentType: 'image/jpeg' });
+  task.on(
+    'state_changed',
+    (snapshot) => onProgress(snapshot.bytesTransferred),
+    reject,
+    () => getDownloadURL(task.snapshot.ref).then(resolve, reject),
+  );
+});
+
+/**
+ * Resizes a complaint photo in the browser and uploads it with a thumbnail.
+ * @param {string} complaintId key the complaint is, or will be, stored under
+ * @param {File} file
+ * @param {Function} [onProgress] called with the share uploaded, 0–1
+ * @returns {Promise<{ imageUrl: string, thumbnailUrl: string, imagePath: string }>}
+ */
+export const uploadComplaintPhoto = async (complaintId, file, onProgress = () => {}) => {
+  const [photo, thumbnail] = await Promise.all([resizeImage(file, PHOTO_SIZE), resizeImage(file, THUMBNAIL_SIZE, 0.75)]);
+  const total = photo.size + thumbnail.size;
+  const sent = { photo: 0, thumbnail: 0 };
+  const report = (part) => (bytes) => {
+    sent[part] = bytes;
+    onProgress((sent.photo + sent.thumbnail) / total);
+  };
+  const imagePath = `${COMPLAINT_IMAGES_PATH}/${complaintId}/photo.jpg`;
+  const [imageUrl, thumbnailUrl] = await Promise.all([
+    uploadBlob(imagePath, photo, report('photo')),
+    uploadBlob(`${COMPLAINT_IMAGES_PATH}/${complaintId}/thumbnail.jpg`, thumbnail, report('thumbnail')),
+  ]);
+  return { imageUrl, thumbnailUrl, imagePath };
+};
+
+/**
+ * Stores a new complaint and counts it in one multi-path update, so two
+ * complaints sent at once both add to the counter and a failed write adds
+ * neither. The photo, if any, is uploaded first under the new key.
+ * @param {Object} record from buildComplaintRecord
+ * @param {File|null} photoFile
+ * @param {Function} [onProgress] photo upload progress, 0–1
+ * @returns {Promise<string>} the complaint's key
+ */
+export const createComplaint = async (record, photoFile, onProgress) => {
+  const { key } = push(ref(database, COMPLAINTS_PATH));
+  const photo = photoFile ? await uploadComplaintPhoto(key, photoFile, onProgress) : {};
+  await update(ref(database), {
+    [`${COMPLAINTS_PATH}/${key}`]: { ...record, ...photo },
+    [COMPLAINT_COUNT_PATH]: increment(1),
+  });
+  return key;
+};
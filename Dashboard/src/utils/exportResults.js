@@ -0,0 +1,134 @@
+import Papa from 'papaparse';
+import { Workbook } from '@syncfusion/ej2-excel-export';
+import { PdfDocument, PdfFontFamily, PdfFontStyle, PdfGrid, PdfPageOrientation, PdfSolidBrush, PdfColor, PdfStandardFont, PointF } from '@syncfusion/ej2-pdf-export';
+
+// Downloads of analysis results. Every results page describes what it shows as
+// a report and hands it to exportReport:
+//   { title, sourceFile, columns: [{ key, header }], rows: [{ [key]: value }], summary: [string] }
+// sourceFile is the uploaded input's name; summary lines are optional.
+
+export const EXPORT_FORMATS = [
+  { key: 'csv', label: 'CSV' },
+  { key: 'xlsx', label: 'Excel' },
+  { key: 'pdf', label: 'PDF' },
+];
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.join('; ');
+  return value;
+};
+
+/**
+ * Report rows as arrays of cell values, in column order.
+ * @returns {Array<Array<string|number>>}
+ */
+export const toTable = (report) => report.rows.map((row) => report.columns.map((column) => formatCell(row[column.key])));
+
+// e.g. 'Leakage Detection' at 14:05 → 'leakage-detection-2024-03-01-1405'.
+export const buildExportFileName = (title, date = new Date(), extension = '') => {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const pad = (number) => String(number).padStart(2, '0');
+  const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+  return `${slug}-${stamp}${extension && `.${extension}`}`;
+};
+
+const describeReport = (report, date) => [
+  `Generated: ${date.toLocaleString()}`,
+  ...(report.sourceFile ? [`Input file: ${report.sourceFile}`] : []),
+  ...(report.summary || []),
+];
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Plain data only, so the file can be loaded straight back into a spreadsheet
+// or one of the analysis services; the timestamp lives in the file name.
+const exportCsv = (report, date) => {
+  const csv = Papa.unparse({ fields: report.columns.map((column) => column.header), data: toTable(report) });
+  downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), buildExportFileName(report.title, date, 'csv'));
+};
+
+const exportXlsx = (report, date) => {
+  const textRow = (index, value, style) => ({ index, cells: [{ index: 1, value, style }] });
+  const details = describeReport(report, date);
+  const headerIndex = details.length + 3;
+  const rows = [
+    textRow(1, report.title, { bold: true, fontSize: 14 }),
+    ...details.map((line, index) => textRow(index + 2, line)),
+    {
+      index: headerIndex,
+      cells: report.columns.map((column, index) => ({ index: index + 1, value: column.header, style: { bold: true, backColor: '#DCE6F1' } })),
+    },
+    ...toTable(report).map((cells, rowIndex) => ({
+      index: headerIndex + rowIndex + 1,
+      cells: cells.map((value, index) => ({ index: index + 1, value })),
+    })),
+  ];
+  const workbook = new Workbook({
+    worksheets: [{
+      name: 'Results',
+      columns: report.columns.map((column, index) => ({ index: index + 1, width: 120 })),
+      rows,
+    }],
+  }, 'xlsx');
+  workbook.save(buildExportFileName(report.title, date, 'xlsx'));
+};
+
+const exportPdf = (report, date) => {
+  const pdf = new PdfDocument();
+  // Wide tables (the water quality breakdown) need the extra width.
+  if (report.columns.length > 6) pdf.pageSettings.orientation = PdfPageOrientation.Landscape;
+  const page = pdf.pages.add();
+  const brush = new PdfSolidBrush(new PdfColor(0, 0, 0));
+  const titleFont = new PdfStandardFont(PdfFontFamily.Helvetica, 16, PdfFontStyle.Bold);
+  const textFont = new PdfStandardFont(PdfFontFamily.Helvetica, 10);
+
+  page.graphics.drawString(report.title, titleFont, null, brush, 0, 0, null);
+  const details = describeReport(report, date);
+  details.forEach((line, index) => {
+    page.graphics.drawString(line, textFont, null, brush, 0, 28 + index * 14, null);
+  });
+
+  const grid = new PdfGrid();
+  grid.columns.add(report.columns.length);
+  grid.headers.add(1);
+  const header = grid.headers.getHeader(0);
+  report.columns.forEach((column, index) => {
+    header.cells.getCell(index).value = column.header;
+  });
+  toTable(report).forEach((cells) => {
+    const row = grid.rows.addRow();
+    cells.forEach((value, index) => {
+      row.cells.getCell(index).value = String(value);
+    });
+  });
+  grid.style.font = new PdfStandardFont(PdfFontFamily.Helvetica, 8);
+  // Long tables continue onto new pages on their own.
+  grid.draw(page, new PointF(0, 40 + details.length * 14));
+
+  pdf.save(buildExportFileName(report.title, date, 'pdf'));
+  pdf.destroy();
+};
+
+const exporters = { csv: exportCsv, xlsx: exportXlsx, pdf: exportPdf };
+
+/**
+ * Downloads a report in one of EXPORT_FORMATS.
+ * @param {Object} report
+ * @param {'csv'|'xlsx'|'pdf'} format
+ */
+export const exportReport = (report, format) => {
+  const exporter = exporters[format];
+  if (!exporter) throw new Error(`Unknown export format: ${format}`);
+  exporter(report, new Date());
+};
@@ -0,0 +1,19 @@
+/* eslint-env jest */
+import { buildExportFileName, toTable } from './exportResults';
+
+describe('toTable', () => {
+  test('orders cells by column and formats booleans, lists and blanks', () => {
+    const report = {
+      title: 'Leakage Detection',
+      columns: [{ key: 'sensor', header: 'Sensor' }, { key: 'leak', header: 'Leak' }, { key: 'notes', header: 'Notes' }],
+      rows: [{ leak: true, sensor: 'S1', notes: ['a', 'b'] }, { sensor: 'S2', leak: false }],
+    };
+    expect(toTable(report)).toEqual([['S1', 'Yes', 'a; b'], ['S2', 'No', '']]);
+  });
+});
+
+describe('buildExportFileName', () => {
+  test('slugs the title and stamps the local time', () => {
+    expect(buildExportFileName('Water Quality (BIS)', new Date(2024, 2, 1, 14, 5), 'pdf')).toBe('water-quality-bis-2024-03-01-1405.pdf');
+  });
+});
@@ -0,0 +1,35 @@
+/* eslint-env jest */
+import fs from 'fs';
+import path from 'path';
+import { parseInp, serializeInp } from './inpParser';
+import { LINK_RESULTS, NODE_RESULTS, simulateNetwork } from './hydraulicSimulation';
+
+const networkText = fs.readFileSync(path.resolve(__dirname, '../../../Network.inp'), 'utf8');
+
+describe('simulateNetwork', () => {
+  const progress = [];
+  const results = simulateNetwork(networkText, {}, (fraction) => progress.push(fraction));
+
+  test('reports every hour of the 24-hour run', () => {
+    expect(results.times).toHaveLength(25);
+    expect(results.times.slice(0, 3)).toEqual([0, 3600, 7200]);
+    expect(results.times[24]).toBe(86400);
+    expect(progress).toHaveLength(25);
+    expect(progress[24]).toBe(1);
+  });
+
+  test('collects a value per step for every node and link', () => {
+    expect(Object.keys(results.nodes)).toHaveLength(97);
+    expect(Object.keys(results.links)).toHaveLength(119);
+    NODE_RESULTS.forEach(({ key }) => expect(results.nodes['15'][key]).toHaveLength(25));
+    LINK_RESULTS.forEach(({ key }) => expect(results.links['10'][key]).toHaveLength(25));
+    expect(results.nodes['15'].pressure[0]).toBeCloseTo(16.02, 2);
+    expect(results.links['10'].flow[1]).toBeCloseTo(1978.41, 2);
+  });
+
+  test('applies the duration and demand overrides', () => {
+    const shorter = simulateNetwork(serializeInp(parseInp(networkText)), { durationHours: 6, demandMultiplier: 2 });
+    expect(shorter.times).toEqual([0, 3600, 7200, 10800, 14400, 18000, 21600]);
+    expect(shorter.nodes['15'].demand[0]).toBeCloseTo(results.nodes['15'].demand[0] * 2);
+  });
+});
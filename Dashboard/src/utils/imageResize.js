@@ -0,0 +1,51 @@
+// Shrinks photos in the browser before they are uploaded, so a phone picture
+// of a few megabytes is stored at a size the complaints table can show.
+
+// Longest side, in pixels, of the stored photo and of its thumbnail.
+export const PHOTO_SIZE = 1600;
+export const THUMBNAIL_SIZE = 320;
+
+/**
+ * Dimensions scaled down to fit a square of maxSize, keeping the aspect
+ * ratio; images that already fit are left alone.
+ * @returns {{ width: number, height: number }}
+ */
+export const fitWithin = (width, height, maxSize) => {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+};
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`${file.name} is not an image the browser can read`));
+  };
+  image.src = url;
+});
+
+/**
+ * Re-encodes an image file as a JPEG no larger than maxSize on its longest side.
+ * @param {File|Blob} file
+ * @returns {Promise<Blob>}
+ */
+export const resizeImage = async (file, maxSize, quality = 0.85) => {
+  const image = await loadImage(file);
+  const { width, height } = fitWithin(image.naturalWidth, image.naturalHeight, maxSize);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  // JPEG has no transparency; keep transparent PNG areas white rather than black.
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(image, 0, 0, width, height);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('The image could not be encoded'))), 'image/jpeg', quality);
+  });
+};
@@ -0,0 +1,14 @@
+/* eslint-env jest */
+import { fitWithin } from './imageResize';
+
+describe('fitWithin', () => {
+  test('scales the longest side down to the limit', () => {
+    expect(fitWithin(4000, 3000, 1600)).toEqual({ width: 1600, height: 1200 });
+    expect(fitWithin(1080, 1920, 320)).toEqual({ width: 180, height: 320 });
+  });
+
+  test('never enlarges or collapses an image', () => {
+    expect(fitWithin(800, 600, 1600)).toEqual({ width: 800, height: 600 });
+    expect(fitWithin(5000, 2, 320)).toEqual({ width: 320, height: 1 });
+  });
+});
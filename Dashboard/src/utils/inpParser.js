@@ -0,0 +1,332 @@
+// Parser and serializer for EPANET .inp network files.
+//
+// Sections the Dashboard works with are turned into plain objects; every other
+// section is kept verbatim so that serializeInp(parseInp(text)) loses nothing.
+
+/**
+ * @typedef {'junction' | 'reservoir' | 'tank'} NodeType
+ * @typedef {'pipe' | 'pump' | 'valve'} LinkType
+ *
+ * @typedef {Object} NetworkNode
+ * @property {string} id
+ * @property {NodeType} type
+ * @property {number} elevation  Junction/tank elevation, reservoir total head.
+ * @property {number} [demand]  Junctions only.
+ * @property {?string} pattern  Demand pattern (junctions) or head pattern (reservoirs).
+ * @property {number} [initLevel]  Tanks only, like the fields below.
+ * @property {number} [minLevel]
+ * @property {number} [maxLevel]
+ * @property {number} [diameter]
+ * @property {number} [minVolume]
+ * @property {?string} [volumeCurve]
+ * @property {?string} [overflow]
+ * @property {?number} x
+ * @property {?number} y
+ * @property {string} comment
+ *
+ * @typedef {Object} NetworkLink
+ * @property {string} id
+ * @property {LinkType} type
+ * @property {string} from
+ * @property {string} to
+ * @property {number} [length]  Pipes only.
+ * @property {number} [diameter]  Pipes and valves.
+ * @property {number} [roughness]  Pipes only.
+ * @property {number} [minorLoss]  Pipes and valves.
+ * @property {string} [status]  Pipes only.
+ * @property {Object<string, string>} [parameters]  Pumps only, e.g. { HEAD: '1' }.
+ * @property {string} [valveType]  Valves only.
+ * @property {string} [setting]  Valves only.
+ * @property {string} comment
+ *
+ * @typedef {Object} NetworkPattern
+ * @property {string} id
+ * @property {number[]} multipliers
+ * @property {string} comment
+ *
+ * @typedef {Object} NetworkCurve
+ * @property {string} id
+ * @property {{ x: number, y: number }[]} points
+ * @property {string} comment
+ *
+ * @typedef {Object} Network
+ * @property {NetworkNode[]} nodes
+ * @property {NetworkLink[]} links
+ * @property {NetworkPattern[]} patterns
+ * @property {NetworkCurve[]} curves
+ * @property {Object<string, string>} options  Keys keep the spelling used in the file.
+ * @property {{ name: string, lines: string[] }[]} raw  Sections that are not modelled.
+ * @property {string[]} sectionOrder
+ */
+
+export const MODELLED_SECTIONS = ['JUNCTIONS', 'RESERVOIRS', 'TANKS', 'PIPES', 'PUMPS', 'VALVES', 'COORDINATES', 'PATTERNS', 'CURVES', 'OPTIONS'];
+
+// OPTIONS keys made of two words; everything else is a single keyword.
+const TWO_WORD_OPTIONS = ['SPECIFIC GRAVITY', 'DEMAND MULTIPLIER', 'EMITTER EXPONENT', 'DEMAND MODEL', 'MINIMUM PRESSURE', 'REQUIRED PRESSURE', 'PRESSURE EXPONENT'];
+
+const toNumber = (value, fallback = 0) => {
+  if (value === undefined || value === '') return fallback;
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+const optional = (value) => (value === undefined || value === '' ? null : value);
+
+// Splits "a  b  c ;comment" into its fields and trailing comment.
+const splitLine = (line) => {
+  const commentStart = line.indexOf(';');
+  const data = commentStart === -1 ? line : line.slice(0, commentStart);
+  const comment = commentStart === -1 ? '' : line.slice(commentStart + 1).trim();
+  const fields = data.trim() ? data.trim().split(/\s+/) : [];
+  return { fields, comment };
+};
+
+export const createEmptyNetwork = () => ({
+  nodes: [],
+  links: [],
+  patterns: [],
+  curves: [],
+  options: {},
+  raw: [],
+  sectionOrder: [],
+});
+
+const sectionParsers = {
+  JUNCTIONS: (network, fields, comment) => {
+    const [id, elevation, demand, pattern] = fields;
+    network.nodes.push({ id, type: 'junction', elevation: toNumber(elevation), demand: toNumber(demand), pattern: optional(pattern), x: null, y: null, comment });
+  },
+  RESERVOIRS: (network, fields, comment) => {
+    const [id, head, pattern] = fields;
+    network.nodes.push({ id, type: 'reservoir', elevation: toNumber(head), pattern: optional(pattern), x: null, y: null, comment });
+  },
+  TANKS: (network, fields, comment) => {
+    const [id, elevation, initLevel, minLevel, maxLevel, diameter, minVolume, volumeCurve, overflow] = fields;
+    network.nodes.push({
+      id,
+      type: 'tank',
+      elevation: toNumber(elevation),
+      initLevel: toNumber(initLevel),
+      minLevel: toNumber(minLevel),
+      maxLevel: toNumber(maxLevel),
+      diameter: toNumber(diameter),
+      minVolume: toNumber(minVolume),
+      volumeCurve: optional(volumeCurve),
+      overflow: optional(overflow),
+      pattern: null,
+      x: null,
+      y: null,
+      comment,
+    });
+  },
+  PIPES: (network, fields, comment) => {
+    const [id, from, to, length, diameter, roughness, minorLoss, status] = fields;
+    network.links.push({ id, type: 'pipe', from, to, length: toNumber(length), diameter: toNumber(diameter), roughness: toNumber(roughness), minorLoss: toNumber(minorLoss), status: status || 'Open', comment });
+  },
+  PUMPS: (network, fields, comment) => {
+    const [id, from, to, ...rest] = fields;
+    const parameters = {};
+    for (let i = 0; i < rest.length; i += 2) {
+      parameters[rest[i].toUpperCase()] = rest[i + 1] || '';
+    }
+    network.links.push({ id, type: 'pump', from, to, parameters, comment });
+  },
+  VALVES: (network, fields, comment) => {
+    const [id, from, to, diameter, valveType, setting, minorLoss] = fields;
+    network.links.push({ id, type: 'valve', from, to, diameter: toNumber(diameter), valveType: (valveType || '').toUpperCase(), setting: setting || '0', minorLoss: toNumber(minorLoss), comment });
+  },
+  COORDINATES: (network, fields, comment, context) => {
+    const [id, x, y] = fields;
+    context.coordinates.set(id, { x: toNumber(x, null), y: toNumber(y, null) });
+  },
+  PATTERNS: (network, fields, comment, context) => {
+    const [id, ...values] = fields;
+    let pattern = network.patterns.find((item) => item.id === id);
+    if (!pattern) {
+      pattern = { id, multipliers: [], comment: context.pendingComment };
+      network.patterns.push(pattern);
+    }
+    pattern.multipliers.push(...values.map((value) => toNumber(value)));
+  },
+  CURVES: (network, fields, comment, context) => {
+    const [id, x, y] = fields;
+    let curve = network.curves.find((item) => item.id === id);
+    if (!curve) {
+      curve = { id, points: [], comment: context.pendingComment };
+      network.curves.push(curve);
+    }
+    curve.points.push({ x: toNumber(x), y: toNumber(y) });
+  },
+  OPTIONS: (network, fields) => {
+    if (!fields.length) return;
+    const twoWordKey = fields.length > 2 && TWO_WORD_OPTIONS.includes(`${fields[0]} ${fields[1]}`.toUpperCase());
+    const keyLength = twoWordKey ? 2 : 1;
+    Object.assign(network.options, { [fields.slice(0, keyLength).join(' ')]: fields.slice(keyLength).join(' ') });
+  },
+};
+
+/**
+ * Parses the text of an EPANET .inp file.
+ * @param {string} text
+ * @returns {Network}
+ */
+export const parseInp = (text) => {
+  const network = createEmptyNetwork();
+  const context = { coordinates: new Map(), pendingComment: '', sawLine: false };
+  let section = null;
+  let rawSection = null;
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.replace(/\s+$/, '');
+    const header = line.trim().match(/^\[([^\]]+)\]/);
+    if (header) {
+      section = header[1].trim().toUpperCase();
+      rawSection = null;
+      context.pendingComment = '';
+      context.sawLine = false;
+      if (section === 'END') return;
+      network.sectionOrder.push(section);
+      if (!MODELLED_SECTIONS.includes(section)) {
+        rawSection = { name: section, lines: [] };
+        network.raw.push(rawSection);
+      }
+      return;
+    }
+    if (rawSection) {
+      rawSection.lines.push(line);
+      return;
+    }
+    if (!section || section === 'END') return;
+
+    const { fields, comment } = splitLine(line);
+    if (!fields.length) {
+      // The first comment of a section is its column header; later ones
+      // describe the pattern or curve that follows them.
+      if (comment && context.sawLine) context.pendingComment = comment;
+      if (line.trim()) context.sawLine = true;
+      return;
+    }
+    context.sawLine = true;
+    sectionParsers[section](network, fields, comment, context);
+    context.pendingComment = '';
+  });
+
+  network.raw.forEach((rawEntry) => {
+    const { lines } = rawEntry;
+    while (lines.length && !lines[0].trim()) lines.shift();
+    while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+  });
+
+  network.nodes.forEach((node) => {
+    const coordinates = context.coordinates.get(node.id);
+    if (coordinates) Object.assign(node, coordinates);
+  });
+
+  return network;
+};
+
+const row = (values, comment) => {
+  const line = ` ${values.map((value) => (value === null || value === undefined ? '' : String(value)).padEnd(16)).join('\t')}`;
+  return comment !== undefined ? `${line}\t;${comment}` : line.replace(/\s+$/, '');
+};
+
+const ofType = (items, type) => items.filter((item) => item.type === type);
+
+const sectionWriters = {
+  JUNCTIONS: (network) => [
+    ';ID\tElev\tDemand\tPattern',
+    ...ofType(network.nodes, 'junction').map((node) => row([node.id, node.elevation, node.demand, node.pattern], node.comment)),
+  ],
+  RESERVOIRS: (network) => [
+    ';ID\tHead\tPattern',
+    ...ofType(network.nodes, 'reservoir').map((node) => row([node.id, node.elevation, node.pattern], node.comment)),
+  ],
+  TANKS: (network) => [
+    ';ID\tElevation\tInitLevel\tMinLevel\tMaxLevel\tDiameter\tMinVol\tVolCurve\tOverflow',
+    ...ofType(network.nodes, 'tank').map((node) => row([node.id, node.elevation, node.initLevel, node.minLevel, node.maxLevel, node.diameter, node.minVolume, node.volumeCurve, node.overflow], node.comment)),
+  ],
+  PIPES: (network) => [
+    ';ID\tNode1\tNode2\tLength\tDiameter\tRoughness\tMinorLoss\tStatus',
+    ...ofType(network.links, 'pipe').map((link) => row([link.id, link.from, link.to, link.length, link.diameter, link.roughness, link.minorLoss, link.status], link.comment)),
+  ],
+  PUMPS: (network) => [
+    ';ID\tNode1\tNode2\tParameters',
+    ...ofType(network.links, 'pump').map((link) => row([link.id, link.from, link.to, ...Object.entries(link.parameters).flat()], link.comment)),
+  ],
+  VALVES: (network) => [
+    ';ID\tNode1\tNode2\tDiameter\tType\tSetting\tMinorLoss',
+    ...ofType(network.links, 'valve').map((link) => row([link.id, link.from, link.to, link.diameter, link.valveType, link.setting, link.minorLoss], link.comment)),
+  ],
+  COORDINATES: (network) => [
+    ';Node\tX-Coord\tY-Coord',
+    ...network.nodes.filter((node) => node.x !== null && node.y !== null).map((node) => row([node.id, node.x, node.y])),
+  ],
+  PATTERNS: (network) => [
+    ';ID\tMultipliers',
+    ...network.patterns.flatMap((pattern) => {
+      const lines = pattern.comment ? [`;${pattern.comment}`] : [];
+      for (let i = 0; i < pattern.multipliers.length; i += 6) {
+        lines.push(row([pattern.id, ...pattern.multipliers.slice(i, i + 6)]));
+      }
+      return lines;
+    }),
+  ],
+  CURVES: (network) => [
+    ';ID\tX-Value\tY-Value',
+    ...network.curves.flatMap((curve) => [
+      ...(curve.comment ? [`;${curve.comment}`] : []),
+      ...curve.points.map((point) => row([curve.id, point.x, point.y])),
+    ]),
+  ],
+  OPTIONS: (network) => Object.entries(network.options).map(([key, value]) => row([key, value])),
+};
+
+/**
+ * Writes a network back out in .inp format. Sections keep the order they had
+ * in the parsed file; modelled sections missing from it are added before [END].
+ * @param {Network} network
+ * @returns {string}
+ */
+export const serializeInp = (network) => {
+  const order = [...network.sectionOrder];
+  MODELLED_SECTIONS.forEach((name) => {
+    if (!order.includes(name)) order.push(name);
+  });
+
+  const written = new Set();
+  const rawQueue = [...network.raw];
+  const blocks = [];
+  order.forEach((name) => {
+    if (sectionWriters[name]) {
+      if (written.has(name)) return;
+      written.add(name);
+      blocks.push([`[${name}]`, ...sectionWriters[name](network)]);
+      return;
+    }
+    const index = rawQueue.findIndex((entry) => entry.name === name);
+    if (index === -1) return;
+    const [entry] = rawQueue.splice(index, 1);
+    blocks.push([`[${name}]`, ...entry.lines]);
+  });
+  blocks.push(['[END]']);
+
+  return `${blocks.map((lines) => lines.join('\n')).join('\n\n')}\n`;
+};
+
+/**
+ * Reads a File (e.g. from an <input type="file">) and parses it.
+ * @param {File} file
+ * @returns {Promise<Network>}
+ */
+export const readInpFile = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      resolve(parseInp(reader.result));
+    } catch (error) {
+      reject(error);
+    }
+  };
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
@@ -0,0 +1,39 @@
+/* eslint-env jest */
+import fs from 'fs';
+import path from 'path';
+import { parseInp, serializeInp } from './inpParser';
+import { buildAdjacency, getNeighbours, summarizeNetwork } from './networkGraph';
+
+const networkText = fs.readFileSync(path.resolve(__dirname, '../../../Network.inp'), 'utf8');
+
+describe('parseInp', () => {
+  const network = parseInp(networkText);
+
+  test('reads every modelled section of Network.inp', () => {
+    expect(summarizeNetwork(network)).toEqual({ junctions: 92, reservoirs: 2, tanks: 3, pipes: 117, pumps: 2, valves: 0 });
+    expect(network.nodes.find((node) => node.id === '15')).toMatchObject({ type: 'junction', elevation: 32, demand: 1, pattern: '3', x: 38.68, y: 23.76 });
+    expect(network.nodes.find((node) => node.id === '1')).toMatchObject({ type: 'tank', elevation: 131.9, initLevel: 13.1, minLevel: 0.1, maxLevel: 32.1, diameter: 85 });
+    expect(network.links.find((link) => link.id === '330')).toMatchObject({ type: 'pipe', from: '60', to: '601', status: 'Closed' });
+    expect(network.links.find((link) => link.id === '10')).toMatchObject({ type: 'pump', from: 'Lake', to: '10', parameters: { HEAD: '1' } });
+    expect(network.patterns.map((pattern) => pattern.multipliers.length)).toEqual([24, 24, 24, 24, 24]);
+    expect(network.patterns[0].comment).toBe('General Default Demand Pattern');
+    expect(network.curves[1].points).toEqual([{ x: 0, y: 200 }, { x: 8000, y: 138 }, { x: 14000, y: 86 }]);
+    expect(network.options).toMatchObject({ Units: 'LPM', 'Specific Gravity': '1.0', Unbalanced: 'Continue 10', Quality: 'Chlorine mg/L' });
+  });
+
+  test('keeps sections it does not model', () => {
+    expect(network.raw.filter((section) => section.name === 'REACTIONS')).toHaveLength(2);
+    expect(network.raw.find((section) => section.name === 'CONTROLS').lines).toContain('Link 10 OPEN AT TIME 1');
+  });
+
+  test('round-trips through serializeInp without loss', () => {
+    const text = serializeInp(network);
+    expect(parseInp(text)).toEqual(network);
+    expect(serializeInp(parseInp(text))).toBe(text);
+  });
+
+  test('builds an undirected adjacency list', () => {
+    const adjacency = buildAdjacency(network);
+    expect(getNeighbours(adjacency, '601').sort()).toEqual(['60', '61']);
+  });
+});
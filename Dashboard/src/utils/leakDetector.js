@@ -0,0 +1,163 @@
+// Statistical leak detection on the pressure CSV sent to the leak service, as
+// a baseline for the model and a fallback while its server is down. Each
+// sensor's series is checked three ways:
+//  - z-score: readings far below the baseline mean for several steps in a row;
+//  - CUSUM: a lower cumulative sum that builds up under a small sustained drop;
+//  - night pressure: the minimum-night-flow idea applied to pressure. At night
+//    demand is lowest, so a leak is the main draw on the network and shows as
+//    night-time pressure falling from one day to the next.
+// A sensor is leaking when most of the methods that could run flag it.
+
+export const SENSITIVITY_LEVELS = {
+  low: { label: 'Low', zThreshold: 3, minRun: 5, cusumThreshold: 8, nightDrop: 0.05 },
+  medium: { label: 'Medium', zThreshold: 2.5, minRun: 3, cusumThreshold: 5, nightDrop: 0.03 },
+  high: { label: 'High', zThreshold: 2, minRun: 2, cusumThreshold: 3, nightDrop: 0.015 },
+};
+
+export const DEFAULT_DETECTOR_OPTIONS = {
+  sensitivity: 'medium',
+  // Share of the series, from the start, taken as leak-free.
+  baselineFraction: 0.25,
+  // CUSUM allowance, in standard deviations, below which drift is ignored.
+  cusumSlack: 0.5,
+  // Time steps per day and the night window (hours) for the night check.
+  stepsPerDay: 24,
+  nightStartHour: 2,
+  nightEndHour: 4,
+};
+
+const MIN_BASELINE = 5;
+
+const present = (values) => values.filter((value) => value !== null && value !== undefined);
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const standardDeviation = (values, average) => Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / values.length);
+
+/**
+ * Mean and spread of the leak-free start of a series.
+ * @returns {{ mean: number, std: number }|null} null when the start is too short
+ */
+export const baselineStats = (values, baselineFraction) => {
+  const baseline = present(values.slice(0, Math.max(MIN_BASELINE, Math.floor(values.length * baselineFraction))));
+  if (baseline.length < MIN_BASELINE) return null;
+  const average = mean(baseline);
+  // A perfectly flat baseline would make every change infinitely significant.
+  return { mean: average, std: standardDeviation(baseline, average) || Math.abs(average) * 0.001 || 1 };
+};
+
+/**
+ * First step where the z-score stays below -zThreshold for minRun steps.
+ * @returns {{ flagged: boolean, index: number, minZ: number }}
+ */
+export const detectZScore = (values, stats, { zThreshold, minRun }) => {
+  let run = 0;
+  let index = -1;
+  let minZ = 0;
+  values.forEach((value, step) => {
+    if (value === null || value === undefined) return;
+    const z = (value - stats.mean) / stats.std;
+    minZ = Math.min(minZ, z);
+    run = z < -zThreshold ? run + 1 : 0;
+    if (run >= minRun && index === -1) index = step - minRun + 1;
+  });
+  return { flagged: index !== -1, index, minZ };
+};
+
+/**
+ * Lower one-sided CUSUM on standardised readings.
+ * @returns {{ flagged: boolean, index: number, peak: number }} index is the first alarm
+ */
+export const detectCusum = (values, stats, { cusumThreshold }, slack) => {
+  let sum = 0;
+  let index = -1;
+  let peak = 0;
+  values.forEach((value, step) => {
+    if (value === null || value === undefined) return;
+    sum = Math.max(0, sum + (stats.mean - value) / stats.std - slack);
+    peak = Math.max(peak, sum);
+    if (sum > cusumThreshold && index === -1) index = step;
+  });
+  return { flagged: index !== -1, index, peak };
+};
+
+/**
+ * Compares each day's mean night-time pressure with the first day's.
+ * @returns {{ flagged: boolean, index: number, drop: number }|null} null with under two days of data.
+ *   drop is the largest fall as a share of the first night; index is the start of that night.
+ */
+export const detectNightDrop = (values, { nightDrop }, { stepsPerDay, nightStartHour, nightEndHour }) => {
+  const days = Math.floor(values.length / stepsPerDay);
+  if (days < 2) return null;
+  const stepsPerHour = stepsPerDay / 24;
+  const nights = Array.from({ length: days }, (_, day) => {
+    const start = day * stepsPerDay + Math.floor(nightStartHour * stepsPerHour);
+    const end = day * stepsPerDay + Math.max(Math.floor(nightStartHour * stepsPerHour) + 1, Math.ceil(nightEndHour * stepsPerHour));
+    const readings = present(values.slice(start, end));
+    return { start, average: readings.length ? mean(readings) : null };
+  }).filter((night) => night.average !== null);
+  if (nights.length < 2 || !nights[0].average) return null;
+
+  const reference = nights[0].average;
+  let worst = { drop: 0, index: -1 };
+  nights.slice(1).forEach((night) => {
+    const drop = (reference - night.average) / Math.abs(reference);
+    if (drop > worst.drop) worst = { drop, index: night.start };
+  });
+  return { flagged: worst.drop > nightDrop, index: worst.index, drop: worst.drop };
+};
+
+/**
+ * Runs every method on one sensor's series.
+ * @returns {{ verdict: boolean|null, onset: number, zScore: Object|null, cusum: Object|null, nightPressure: Object|null }}
+ *   verdict is null when the series is too short to judge; onset is the
+ *   earliest alarm of a flagging method, or -1.
+ */
+export const detectLeak = (values, options = {}) => {
+  const settings = { ...DEFAULT_DETECTOR_OPTIONS, ...options };
+  const level = SENSITIVITY_LEVELS[settings.sensitivity];
+  const stats = baselineStats(values, settings.baselineFraction);
+  if (!stats) return { verdict: null, onset: -1, zScore: null, cusum: null, nightPressure: null };
+
+  const methods = {
+    zScore: detectZScore(values, stats, level),
+    cusum: detectCusum(values, stats, level, settings.cusumSlack),
+    nightPressure: detectNightDrop(values, level, settings),
+  };
+  const ran = Object.values(methods).filter(Boolean);
+  const flagged = ran.filter((method) => method.flagged);
+  const onsets = flagged.map((method) => method.index).filter((index) => index !== -1);
+  return {
+    ...methods,
+    verdict: flagged.length * 2 > ran.length,
+    onset: onsets.length ? Math.min(...onsets) : -1,
+  };
+};
+
+/**
+ * Share of sensors where the model and the detector agree, over the sensors
+ * both have a verdict for.
+ * @param {Array<boolean|null>} modelVerdicts
+ * @param {Array<boolean|null>} detectorVerdicts
+ * @returns {{ agree: number, compared: number }}
+ */
+export const measureAgreement = (modelVerdicts, detectorVerdicts) => modelVerdicts.reduce((tally, model, index) => {
+  const detector = detectorVerdicts[index];
+  if (typeof model !== 'boolean' || typeof detector !== 'boolean') return tally;
+  return { agree: tally.agree + (model === detector ? 1 : 0), compared: tally.compared + 1 };
+}, { agree: 0, compared: 0 });
+
+export const METHOD_LABELS = {
+  zScore: 'Z-score',
+  cusum: 'CUSUM',
+  nightPressure: 'Night pressure',
+};
+
+/**
+ * Names of the methods that flagged a sensor, for the results table.
+ * @param {Object} detection result of detectLeak
+ * @returns {string[]}
+ */
+export const flaggedMethods = (detection) => Object.keys(METHOD_LABELS)
+  .filter((key) => detection[key] && detection[key].flagged)
+  .map((key) => METHOD_LABELS[key]);
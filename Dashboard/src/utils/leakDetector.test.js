@@ -0,0 +1,60 @@
+/* eslint-env jest */
+import { detectLeak, detectNightDrop, flaggedMethods, measureAgreement, SENSITIVITY_LEVELS } from './leakDetector';
+
+// Three days of hourly pressure with a daily swing and a little jitter.
+const pressure = (leakStep = Infinity, leakSize = 0) => Array.from({ length: 72 }, (_, step) => {
+  const hour = step % 24;
+  const daily = hour >= 1 && hour <= 5 ? 2 : 0;
+  const jitter = Math.sin(step * 1.7) * 0.3;
+  return 50 + daily + jitter - (step >= leakStep ? leakSize : 0);
+});
+
+describe('detectLeak', () => {
+  test('flags a sustained pressure drop and dates it', () => {
+    const result = detectLeak(pressure(40, 4));
+    expect(result.verdict).toBe(true);
+    expect(result.zScore.flagged).toBe(true);
+    expect(result.cusum.flagged).toBe(true);
+    expect(result.onset).toBeGreaterThanOrEqual(40);
+    expect(result.onset).toBeLessThan(44);
+    expect(flaggedMethods(result)).toEqual(expect.arrayContaining(['Z-score', 'CUSUM']));
+  });
+
+  test('leaves a healthy series alone', () => {
+    const result = detectLeak(pressure());
+    expect(result.verdict).toBe(false);
+    expect(result.onset).toBe(-1);
+  });
+
+  test('catches a smaller drop only at higher sensitivity', () => {
+    const series = pressure(40, 1.2);
+    expect(detectLeak(series, { sensitivity: 'low' }).verdict).toBe(false);
+    expect(detectLeak(series, { sensitivity: 'high' }).verdict).toBe(true);
+  });
+
+  test('gives no verdict on a series too short for a baseline', () => {
+    expect(detectLeak([50, 49, null, 48]).verdict).toBeNull();
+  });
+});
+
+describe('detectNightDrop', () => {
+  const options = { stepsPerDay: 24, nightStartHour: 2, nightEndHour: 4 };
+
+  test('compares night-time pressure day by day', () => {
+    const result = detectNightDrop(pressure(30, 3), SENSITIVITY_LEVELS.medium, options);
+    expect(result.flagged).toBe(true);
+    expect(result.drop).toBeCloseTo(3 / 52, 1);
+    expect(result.index % 24).toBe(2);
+    expect(detectNightDrop(pressure(), SENSITIVITY_LEVELS.medium, options).flagged).toBe(false);
+  });
+
+  test('needs at least two days', () => {
+    expect(detectNightDrop(pressure().slice(0, 30), SENSITIVITY_LEVELS.medium, options)).toBeNull();
+  });
+});
+
+describe('measureAgreement', () => {
+  test('counts sensors where both have a verdict', () => {
+    expect(measureAgreement([true, false, null, true], [true, true, false, null])).toEqual({ agree: 1, compared: 2 });
+  });
+});
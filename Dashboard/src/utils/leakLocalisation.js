@@ -0,0 +1,111 @@
+import { buildAdjacency, buildLinkIndex, buildNodeIndex } from './networkGraph';
+
+// Narrows a leak flagged at a sensor down to the pipes around it. Every node is
+// assigned to its nearest sensor along the pipes (by pipe length), which
+// splits the network into one region per sensor. A flagged sensor's region is
+// its leak zone: the leak sits closer to that sensor than to any quiet one.
+
+// Pumps and valves have no length; crossing one costs nothing.
+const linkLength = (link) => (link.type === 'pipe' && link.length > 0 ? link.length : 0);
+
+/**
+ * Matches the sensors reported by the leak service to network nodes. A sensor
+ * is the id the service reported and, when known, the CSV column it came
+ * from. A reported id is used as it is, and only a sensor without one is
+ * placed by its column through the sensor allocation (sensorNodes, the
+ * allocated node ids in sorted order).
+ * @param {import('./inpParser').Network} network
+ * @param {Array<{ id?: string|number, column?: number }>} sensors
+ * @param {string[]} [sensorNodes]
+ * @returns {Array<string|null>} the node id of each sensor, null when it does not resolve
+ */
+export const resolveSensorNodes = (network, sensors, sensorNodes = []) => {
+  const nodeIndex = buildNodeIndex(network);
+  return sensors.map(({ id, column }) => {
+    const key = id === undefined || id === null ? '' : String(id);
+    if (key !== '') return nodeIndex.has(key) ? key : null;
+    const node = Number.isInteger(column) ? sensorNodes[column] : undefined;
+    return node !== undefined && nodeIndex.has(String(node)) ? String(node) : null;
+  });
+};
+
+/**
+ * Multi-source shortest paths from every sensor.
+ * @returns {Map<string, { sensor: string, distance: number }>} node id -> nearest sensor
+ */
+export const assignToNearestSensor = (network, sensors) => {
+  const adjacency = buildAdjacency(network);
+  const links = buildLinkIndex(network);
+  const nearest = new Map(sensors.map((sensor) => [sensor, { sensor, distance: 0 }]));
+  const settled = new Set();
+
+  // The networks are a few hundred nodes at most, so a linear scan for the
+  // closest unsettled node is fast enough.
+  for (;;) {
+    let current = null;
+    nearest.forEach((entry, node) => {
+      if (!settled.has(node) && (current === null || entry.distance < nearest.get(current).distance)) current = node;
+    });
+    if (current === null) break;
+    settled.add(current);
+    const { sensor, distance } = nearest.get(current);
+    (adjacency.get(current) || []).forEach((edge) => {
+      const candidate = distance + linkLength(links.get(edge.link));
+      const known = nearest.get(edge.node);
+      if (!known || candidate < known.distance) nearest.set(edge.node, { sensor, distance: candidate });
+    });
+  }
+  return nearest;
+};
+
+const PIPE_REASONS = {
+  between: 'Between two leaking sensors',
+  inside: 'Inside the leak zone',
+  boundary: 'On the leak zone boundary',
+};
+
+/**
+ * Leak zones and a ranked shortlist of pipes to inspect.
+ * Pipes joining two flagged sensors' zones come first, then pipes inside a
+ * zone, then pipes leaving it; within each group the pipes whose middle is
+ * nearest the flagged sensor come first.
+ * @param {import('./inpParser').Network} network
+ * @param {{ flagged: string[], sensors: string[] }} sensors  Node ids; sensors includes the flagged ones.
+ * @returns {{ zoneNodes: Map<string, string>, pipes: Object[] }}
+ *   zoneNodes maps each node in a leak zone to its flagged sensor.
+ */
+export const localiseLeaks = (network, { flagged, sensors }) => {
+  const flaggedSet = new Set(flagged);
+  const nearest = assignToNearestSensor(network, [...new Set([...sensors, ...flagged])]);
+
+  const zoneNodes = new Map();
+  nearest.forEach(({ sensor }, node) => {
+    if (flaggedSet.has(sensor)) zoneNodes.set(node, sensor);
+  });
+
+  const rank = { between: 0, inside: 1, boundary: 2 };
+  const pipes = network.links
+    .filter((link) => link.type === 'pipe' && (zoneNodes.has(link.from) || zoneNodes.has(link.to)))
+    .map((link) => {
+      const fromSensor = zoneNodes.get(link.from);
+      const toSensor = zoneNodes.get(link.to);
+      let group = 'boundary';
+      if (fromSensor && toSensor) group = fromSensor === toSensor ? 'inside' : 'between';
+      // Distance along the pipes from the flagged sensor to the middle of this pipe.
+      const distances = [link.from, link.to].filter((node) => zoneNodes.has(node)).map((node) => nearest.get(node).distance);
+      return {
+        id: link.id,
+        from: link.from,
+        to: link.to,
+        length: link.length,
+        diameter: link.diameter,
+        sensors: [...new Set([fromSensor, toSensor].filter(Boolean))],
+        distance: Math.min(...distances) + linkLength(link) / 2,
+        group,
+        reason: PIPE_REASONS[group],
+      };
+    })
+    .sort((a, b) => rank[a.group] - rank[b.group] || a.distance - b.distance);
+
+  return { zoneNodes, pipes };
+};
@@ -0,0 +1,55 @@
+/* eslint-env jest */
+import fs from 'fs';
+import path from 'path';
+import { parseInp } from './inpParser';
+import { assignToNearestSensor, localiseLeaks, resolveSensorNodes } from './leakLocalisation';
+
+const network = parseInp(fs.readFileSync(path.resolve(__dirname, '../../../Network.inp'), 'utf8'));
+const sensors = ['103', '105', '111', '117', '119', '121', '127', '129', '141', '147', '15', '153', '159', '163', '169'];
+
+describe('resolveSensorNodes', () => {
+  test('places a sensor without an id by its CSV column through the allocation', () => {
+    expect(resolveSensorNodes(network, [{ column: 4 }, { id: '', column: 10 }, { column: 99 }], sensors)).toEqual(['119', '15', null]);
+  });
+
+  test('prefers the reported id over the column', () => {
+    // Column 10 of the allocation is sensor 15, but the service named junction 10.
+    expect(network.nodes.some((node) => node.id === '10')).toBe(true);
+    expect(resolveSensorNodes(network, [{ id: 10, column: 10 }, { id: '127', column: 0 }], sensors)).toEqual(['10', '127']);
+  });
+
+  test('does not guess a column for an id that is not on the network', () => {
+    expect(resolveSensorNodes(network, [{ id: 'zz', column: 4 }], sensors)).toEqual([null]);
+  });
+
+  test('uses the reported id without an allocation', () => {
+    expect(resolveSensorNodes(network, [{ id: '15', column: 0 }, { id: 'zz', column: 1 }, { column: 10 }])).toEqual(['15', null, null]);
+  });
+});
+
+describe('assignToNearestSensor', () => {
+  test('assigns every connected node to the sensor nearest along the pipes', () => {
+    const nearest = assignToNearestSensor(network, sensors);
+    expect(nearest.size).toBe(network.nodes.length);
+    expect(nearest.get('119')).toEqual({ sensor: '119', distance: 0 });
+    expect(nearest.get('120')).toEqual({ sensor: '119', distance: 730 });
+  });
+});
+
+describe('localiseLeaks', () => {
+  const { zoneNodes, pipes } = localiseLeaks(network, { flagged: ['119', '121'], sensors });
+
+  test('keeps the leak zone to nodes nearer a flagged sensor than a quiet one', () => {
+    expect(zoneNodes.get('120')).toBe('119');
+    expect(zoneNodes.get('123')).toBe('121');
+    expect([...zoneNodes.values()].every((sensor) => sensor === '119' || sensor === '121')).toBe(true);
+    expect(zoneNodes.has('15')).toBe(false);
+  });
+
+  test('ranks pipes between leaking sensors first, then by distance', () => {
+    expect(pipes.slice(0, 2).map((pipe) => pipe.id).sort()).toEqual(['122', '123']);
+    expect(pipes.every((pipe) => zoneNodes.has(pipe.from) || zoneNodes.has(pipe.to))).toBe(true);
+    const inside = pipes.filter((pipe) => pipe.group === 'inside');
+    expect(inside.map((pipe) => pipe.distance)).toEqual([...inside.map((pipe) => pipe.distance)].sort((a, b) => a - b));
+  });
+});
@@ -0,0 +1,118 @@
+// Water balance per district metered area (DMA). Each reading gives, for one
+// zone over one metering interval, the volume that entered it (Inflow), left it
+// for a neighbouring zone (Outflow) and was billed to customers (Billed):
+//
+//   non-revenue water = Inflow - Billed - Outflow
+//
+// Readings are summed over fixed time windows, and a zone is flagged when its
+// unaccounted water in any window exceeds the limit, either as a share of the
+// water it kept (Inflow - Outflow) or as a volume. Unlike a flow percentile this
+// tells theft and losses apart from legitimate high demand, which is billed.
+
+export const MASS_BALANCE_DEFAULTS = {
+  limit: 20,
+  // 'percent' of the water supplied to the zone, or 'volume' in the file's units.
+  limitUnit: 'percent',
+  windowHours: 24,
+};
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Timestamp of a reading in milliseconds. Plain numbers are read as hours
+ * from the start of the file.
+ * @returns {number|null}
+ */
+export const toTime = (value) => {
+  if (typeof value === 'number') return value * HOUR;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Matches a Zone cell to a DMA by id ('polygon-2'), full name or short name
+ * ('Zone B'), ignoring case.
+ * @returns {Object|undefined}
+ */
+export const resolveZone = (value, zones) => {
+  const key = String(value).trim().toLowerCase();
+  return zones.find((zone) => zone.id.toLowerCase() === key
+    || zone.name.toLowerCase() === key
+    || zone.name.split(' - ')[0].toLowerCase() === key);
+};
+
+const balance = (readings) => {
+  const totals = readings.reduce((sum, row) => ({
+    inflow: sum.inflow + (row.Inflow || 0),
+    outflow: sum.outflow + (row.Outflow || 0),
+    billed: sum.billed + (row.Billed || 0),
+  }), { inflow: 0, outflow: 0, billed: 0 });
+  const supplied = totals.inflow - totals.outflow;
+  const nrw = supplied - totals.billed;
+  return { ...totals, nrw, nrwPercent: supplied > 0 ? (nrw / supplied) * 100 : null };
+};
+
+const exceeds = (period, { limit, limitUnit }) => {
+  if (limitUnit === 'volume') return period.nrw > limit;
+  return period.nrwPercent !== null && period.nrwPercent > limit;
+};
+
+/**
+ * Balances the readings of a mass-balance CSV per zone and time window.
+ * Windows start at the earliest reading of the file so they line up across
+ * zones; rows without a usable timestamp or zone are counted in `skipped`.
+ * @param {Array<Object>} rows parsed rows with Zone, Timestamp, Inflow, Outflow and Billed
+ * @param {{ limit?: number, limitUnit?: string, windowHours?: number, zones: Array<{ id: string, name: string }> }} options
+ * @returns {{ zones: Array<Object>, skipped: number, relativeTime: boolean }} zones worst first, each
+ *   { id, name, known, inflow, outflow, billed, nrw, nrwPercent, windows, flaggedWindows, worst, flagged };
+ *   relativeTime is set when timestamps were hour offsets rather than dates
+ */
+export const computeMassBalance = (rows, options) => {
+  const settings = { ...MASS_BALANCE_DEFAULTS, ...options };
+  const windowLength = Math.max(settings.windowHours, 1 / 60) * HOUR;
+  const readings = rows
+    .map((row) => ({ ...row, time: toTime(row.Timestamp) }))
+    .filter((row) => row.time !== null && row.Zone !== null && row.Zone !== undefined && row.Zone !== '');
+  if (!readings.length) return { zones: [], skipped: rows.length, relativeTime: false };
+  const start = Math.min(...readings.map((row) => row.time));
+
+  const byZone = new Map();
+  readings.forEach((row) => {
+    const zone = resolveZone(row.Zone, settings.zones) || { id: String(row.Zone), name: String(row.Zone), unknown: true };
+    if (!byZone.has(zone.id)) byZone.set(zone.id, { zone, readings: [] });
+    byZone.get(zone.id).readings.push(row);
+  });
+
+  const zones = [...byZone.values()].map(({ zone, readings: zoneReadings }) => {
+    const windowMap = new Map();
+    zoneReadings.forEach((row) => {
+      const index = Math.floor((row.time - start) / windowLength);
+      if (!windowMap.has(index)) windowMap.set(index, []);
+      windowMap.get(index).push(row);
+    });
+    const measure = settings.limitUnit === 'volume' ? 'nrw' : 'nrwPercent';
+    const windows = [...windowMap.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([index, windowReadings]) => {
+        const period = { start: start + index * windowLength, end: start + (index + 1) * windowLength, ...balance(windowReadings) };
+        return { ...period, flagged: exceeds(period, settings) };
+      });
+    const flaggedWindows = windows.filter((period) => period.flagged);
+    const worst = windows.reduce((current, period) => (
+      !current || (period[measure] ?? -Infinity) > (current[measure] ?? -Infinity) ? period : current
+    ), null);
+    return {
+      id: zone.id,
+      name: zone.name,
+      known: !zone.unknown,
+      ...balance(zoneReadings),
+      windows,
+      flaggedWindows: flaggedWindows.length,
+      worst,
+      flagged: flaggedWindows.length > 0,
+    };
+  });
+
+  zones.sort((a, b) => (b.flaggedWindows - a.flaggedWindows) || ((b.nrwPercent ?? -Infinity) - (a.nrwPercent ?? -Infinity)));
+  return { zones, skipped: rows.length - readings.length, relativeTime: readings.every((row) => typeof row.Timestamp === 'number') };
+};
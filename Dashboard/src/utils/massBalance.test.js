@@ -0,0 +1,53 @@
+/* eslint-env jest */
+import { DMA_ZONES } from '../data/dmaZones';
+import { computeMassBalance, resolveZone, toTime } from './massBalance';
+
+// Two days of six-hourly readings: Zone A balances, Zone B loses 30% on day two.
+const rows = [0, 6, 12, 18, 24, 30, 36, 42].flatMap((hour) => [
+  { Zone: 'polygon-1', Timestamp: hour, Inflow: 100, Outflow: 20, Billed: 76 },
+  { Zone: 'Zone B', Timestamp: hour, Inflow: 50, Outflow: 0, Billed: hour < 24 ? 48 : 35 },
+]);
+
+describe('resolveZone', () => {
+  test('matches ids, full names and short names', () => {
+    expect(resolveZone('polygon-3', DMA_ZONES).name).toBe('Zone C - South Sector');
+    expect(resolveZone('zone c - south sector', DMA_ZONES).id).toBe('polygon-3');
+    expect(resolveZone('Zone C', DMA_ZONES).id).toBe('polygon-3');
+    expect(resolveZone('Zone Z', DMA_ZONES)).toBeUndefined();
+  });
+
+  test('toTime reads dates and hour offsets', () => {
+    expect(toTime(2)).toBe(2 * 60 * 60 * 1000);
+    expect(toTime('2024-01-01T00:00:00Z')).toBe(Date.UTC(2024, 0, 1));
+    expect(toTime('soon')).toBeNull();
+  });
+});
+
+describe('computeMassBalance', () => {
+  test('computes non-revenue water per zone and flags the leaky window', () => {
+    const { zones, skipped } = computeMassBalance(rows, { zones: DMA_ZONES, limit: 20, windowHours: 24 });
+    expect(skipped).toBe(0);
+    const [zoneB, zoneA] = zones;
+    expect(zoneB).toMatchObject({ id: 'polygon-2', flagged: true, flaggedWindows: 1 });
+    expect(zoneB.windows.map((period) => Math.round(period.nrwPercent))).toEqual([4, 30]);
+    expect(zoneB.worst.nrwPercent).toBeCloseTo(30);
+    expect(zoneA).toMatchObject({ id: 'polygon-1', flagged: false, inflow: 800, outflow: 160, billed: 608, nrw: 32 });
+    expect(zoneA.nrwPercent).toBeCloseTo(5);
+  });
+
+  test('averages out a short loss over a longer window', () => {
+    const { zones } = computeMassBalance(rows, { zones: DMA_ZONES, limit: 20, windowHours: 48 });
+    expect(zones.every((zone) => !zone.flagged)).toBe(true);
+  });
+
+  test('can limit by volume and keeps unknown zones', () => {
+    const { zones, skipped } = computeMassBalance([
+      ...rows,
+      { Zone: 'Depot', Timestamp: 0, Inflow: 10, Outflow: 0, Billed: 0 },
+      { Zone: 'Depot', Timestamp: 'not a date', Inflow: 10, Outflow: 0, Billed: 0 },
+    ], { zones: DMA_ZONES, limit: 9, limitUnit: 'volume', windowHours: 24 });
+    expect(skipped).toBe(1);
+    expect(zones.find((zone) => zone.id === 'Depot')).toMatchObject({ known: false, flagged: true, nrw: 10 });
+    expect(zones.find((zone) => zone.id === 'polygon-2').flagged).toBe(true);
+  });
+});
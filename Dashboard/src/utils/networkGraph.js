@@ -0,0 +1,40 @@
+// Graph helpers over the Network objects produced by inpParser.
+
+/**
+ * @param {import('./inpParser').Network} network
+ * @returns {Map<string, import('./inpParser').NetworkNode>}
+ */
+export const buildNodeIndex = (network) => new Map(network.nodes.map((node) => [node.id, node]));
+
+/**
+ * @param {import('./inpParser').Network} network
+ * @returns {Map<string, import('./inpParser').NetworkLink>}
+ */
+export const buildLinkIndex = (network) => new Map(network.links.map((link) => [link.id, link]));
+
+/**
+ * Undirected adjacency list: node id -> [{ node, link }] for every link touching it.
+ * @param {import('./inpParser').Network} network
+ * @returns {Map<string, { node: string, link: string }[]>}
+ */
+export const buildAdjacency = (network) => {
+  const adjacency = new Map(network.nodes.map((node) => [node.id, []]));
+  network.links.forEach((link) => {
+    if (!adjacency.has(link.from)) adjacency.set(link.from, []);
+    if (!adjacency.has(link.to)) adjacency.set(link.to, []);
+    adjacency.get(link.from).push({ node: link.to, link: link.id });
+    adjacency.get(link.to).push({ node: link.from, link: link.id });
+  });
+  return adjacency;
+};
+
+export const getNeighbours = (adjacency, nodeId) => (adjacency.get(nodeId) || []).map((edge) => edge.node);
+
+export const summarizeNetwork = (network) => ({
+  junctions: network.nodes.filter((node) => node.type === 'junction').length,
+  reservoirs: network.nodes.filter((node) => node.type === 'reservoir').length,
+  tanks: network.nodes.filter((node) => node.type === 'tank').length,
+  pipes: network.links.filter((link) => link.type === 'pipe').length,
+  pumps: network.links.filter((link) => link.type === 'pump').length,
+  valves: network.links.filter((link) => link.type === 'valve').length,
+});
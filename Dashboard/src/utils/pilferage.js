@@ -0,0 +1,121 @@
+// Flow-percentile pilferage categorisation, the same rule as finalpilferage.py:
+// each sensor is judged once, on its highest reading, and a reading at or above
+// the warning, high-risk or pilferage percentile of all Flow readings in the
+// file puts the sensor in that category. Both sides list whole-number sensor
+// ids and give the same reason text for each flagged sensor. The percentiles
+// are editable on the Pilferage page and kept in localStorage, and running the
+// rule here lets a file be checked while the pilferage service is down.
+//
+// Expected demand is the file's Expected_Flow column when it has one, and the
+// median flow of the file otherwise.
+
+const STORAGE_KEY = 'pilferageThresholds';
+
+export const PILFERAGE_CATEGORIES = [
+  { key: 'warning', label: 'Warning' },
+  { key: 'high_risk', label: 'High Risk' },
+  { key: 'pilferage', label: 'Pilferage' },
+];
+
+// Percentiles (0–100) of the Flow column, as in finalpilferage.py.
+export const DEFAULT_PILFERAGE_THRESHOLDS = { warning: 85, high_risk: 90, pilferage: 95 };
+
+export const loadPilferageThresholds = () => {
+  try {
+    return { ...DEFAULT_PILFERAGE_THRESHOLDS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch (error) {
+    return { ...DEFAULT_PILFERAGE_THRESHOLDS };
+  }
+};
+
+export const savePilferageThresholds = (thresholds) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(thresholds));
+};
+
+/**
+ * Problems with a set of percentiles; they must lie in 0–100 and rise from
+ * warning to pilferage.
+ * @returns {string[]}
+ */
+export const validateThresholds = (thresholds) => {
+  const problems = PILFERAGE_CATEGORIES
+    .filter(({ key }) => !(typeof thresholds[key] === 'number' && thresholds[key] >= 0 && thresholds[key] <= 100))
+    .map(({ label }) => `${label} must be a percentile between 0 and 100`);
+  if (problems.length) return problems;
+  if (!(thresholds.warning < thresholds.high_risk && thresholds.high_risk < thresholds.pilferage)) {
+    return ['Percentiles must rise from Warning to High Risk to Pilferage'];
+  }
+  return [];
+};
+
+/**
+ * Quantile with linear interpolation between readings, like pandas' default.
+ * @param {number[]} sorted ascending
+ * @param {number} q 0–1
+ */
+export const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Share of readings at or below a value, in percent.
+ * @param {number[]} sorted ascending
+ */
+export const percentileRank = (sorted, value) => {
+  const atOrBelow = sorted.filter((reading) => reading <= value).length;
+  return (atOrBelow / sorted.length) * 100;
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Categorises the rows of a pilferage CSV. A sensor with several readings is
+ * judged on its highest flow.
+ * @param {Array<Object>} rows parsed rows with Sensor_Node and Flow
+ * @param {{ warning: number, high_risk: number, pilferage: number }} thresholds percentiles
+ * @returns {{ warning: Array, high_risk: Array, pilferage: Array, limits: Object, details: Array<Object> }}
+ *   limits holds the flow at each percentile; details one entry per flagged
+ *   sensor, worst first, with its flow, percentile, expected demand, deviation
+ *   and the reason it was flagged.
+ */
+export const categoriseFlows = (rows, thresholds) => {
+  const readings = rows.filter((row) => typeof row.Flow === 'number');
+  const result = { warning: [], high_risk: [], pilferage: [], limits: {}, details: [] };
+  if (!readings.length) return result;
+
+  const sorted = readings.map((row) => row.Flow).sort((a, b) => a - b);
+  const median = quantile(sorted, 0.5);
+  PILFERAGE_CATEGORIES.forEach(({ key }) => {
+    result.limits[key] = quantile(sorted, thresholds[key] / 100);
+  });
+
+  const peaks = new Map();
+  readings.forEach((row) => {
+    const sensor = row.Sensor_Node;
+    if (!peaks.has(sensor) || row.Flow > peaks.get(sensor).Flow) peaks.set(sensor, row);
+  });
+
+  peaks.forEach((row, sensor) => {
+    const category = [...PILFERAGE_CATEGORIES].reverse().find(({ key }) => row.Flow >= result.limits[key]);
+    if (!category) return;
+    const expected = typeof row.Expected_Flow === 'number' ? row.Expected_Flow : median;
+    const deviation = expected ? ((row.Flow - expected) / Math.abs(expected)) * 100 : null;
+    const percentile = percentileRank(sorted, row.Flow);
+    const deviationText = deviation === null ? '' : `, ${Math.abs(round(deviation, 0))}% ${deviation >= 0 ? 'above' : 'below'} expected demand of ${round(expected)}`;
+    result[category.key].push(sensor);
+    result.details.push({
+      sensor,
+      category: category.key,
+      flow: row.Flow,
+      percentile: round(percentile, 1),
+      expected: round(expected),
+      deviation: deviation === null ? null : round(deviation, 1),
+      reason: `Flow ${round(row.Flow)} is at the ${round(percentile, 0)}th percentile, over the ${category.label} limit of ${round(result.limits[category.key])} (${thresholds[category.key]}th percentile)${deviationText}`,
+    });
+  });
+  result.details.sort((a, b) => b.flow - a.flow);
+  return result;
+};
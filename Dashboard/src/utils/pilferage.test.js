@@ -0,0 +1,72 @@
+/* eslint-env jest */
+import { categoriseFlows, DEFAULT_PILFERAGE_THRESHOLDS, percentileRank, quantile, validateThresholds } from './pilferage';
+
+// Twenty sensors with flows 10, 20, ... 200.
+const rows = Array.from({ length: 20 }, (_, index) => ({ Sensor_Node: index + 1, Flow: (index + 1) * 10 }));
+
+describe('quantile', () => {
+  test('interpolates between readings like pandas', () => {
+    expect(quantile([1, 2, 3, 4], 0.5)).toBe(2.5);
+    expect(quantile([10, 20, 30], 1)).toBe(30);
+    expect(quantile([10, 20, 30], 0.25)).toBe(15);
+  });
+
+  test('percentileRank counts readings at or below', () => {
+    expect(percentileRank([1, 2, 3, 4], 3)).toBe(75);
+  });
+});
+
+describe('categoriseFlows', () => {
+  test('matches the service at the default percentiles', () => {
+    const result = categoriseFlows(rows, DEFAULT_PILFERAGE_THRESHOLDS);
+    // Limits: 85th → 171.5, 90th → 181, 95th → 190.5.
+    expect(result.warning).toEqual([18]);
+    expect(result.high_risk).toEqual([19]);
+    expect(result.pilferage).toEqual([20]);
+    expect(result.limits.pilferage).toBeCloseTo(190.5);
+  });
+
+  test('explains each flagged sensor against expected demand', () => {
+    const [worst] = categoriseFlows(rows, DEFAULT_PILFERAGE_THRESHOLDS).details;
+    expect(worst).toMatchObject({ sensor: 20, category: 'pilferage', flow: 200, percentile: 100, expected: 105 });
+    expect(worst.deviation).toBeCloseTo(90.5);
+    expect(worst.reason).toContain('95th percentile');
+  });
+
+  test('uses Expected_Flow and a sensor\'s highest reading', () => {
+    const result = categoriseFlows([
+      ...rows,
+      { Sensor_Node: 3, Flow: 250, Expected_Flow: 200 },
+    ], DEFAULT_PILFERAGE_THRESHOLDS);
+    const sensor = result.details.find((detail) => detail.sensor === 3);
+    expect(sensor).toMatchObject({ category: 'pilferage', expected: 200, deviation: 25 });
+  });
+
+  test('lists a sensor once, on its peak, with the service\'s reason', () => {
+    const result = categoriseFlows([
+      ...rows,
+      { Sensor_Node: 20, Flow: 195 },
+      { Sensor_Node: 20, Flow: null },
+    ], DEFAULT_PILFERAGE_THRESHOLDS);
+    expect(result.pilferage).toEqual([20]);
+    expect(result.details.filter((detail) => detail.sensor === 20)).toHaveLength(1);
+    expect(result.details.map((detail) => detail.sensor)).toEqual([20, 19, 18]);
+    expect(result.details[0]).toMatchObject({ flow: 200, percentile: 100 });
+    expect(result.details[0].reason).toBe(
+      'Flow 200 is at the 100th percentile, over the Pilferage limit of 195 (95th percentile), 82% above expected demand of 110',
+    );
+  });
+
+  test('follows edited thresholds', () => {
+    const result = categoriseFlows(rows, { warning: 50, high_risk: 70, pilferage: 90 });
+    expect(result.warning.length + result.high_risk.length + result.pilferage.length).toBe(10);
+  });
+});
+
+describe('validateThresholds', () => {
+  test('requires rising percentiles within 0–100', () => {
+    expect(validateThresholds(DEFAULT_PILFERAGE_THRESHOLDS)).toEqual([]);
+    expect(validateThresholds({ warning: 90, high_risk: 85, pilferage: 95 })).toHaveLength(1);
+    expect(validateThresholds({ warning: 85, high_risk: 90, pilferage: 120 })).toHaveLength(1);
+  });
+});
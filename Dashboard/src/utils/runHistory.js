@@ -0,0 +1,108 @@
+// Analysis runs kept in the Realtime Database under RUNS_PATH, next to
+// 'Complains'. A run is
+//   { type, createdAt, user, input: { name, size, lastModified }, parameters, results }
+// where type is a RUN_TYPES key and results is whatever that page shows.
+// Reading and writing lives in runStore.js; this module only interprets runs.
+
+export const RUNS_PATH = 'AnalysisRuns';
+
+// The Realtime Database drops empty arrays and null array entries, so results
+// read back are normalised before use.
+const asArray = (value) => {
+  if (!value) return [];
+  return Array.isArray(value) ? value : Object.values(value);
+};
+
+/**
+ * Per run type: where it is re-opened and how its results read as
+ * { item → outcome } pairs, which is what the history page lists and diffs.
+ */
+export const RUN_TYPES = {
+  leakage: {
+    label: 'Leakage Detection',
+    route: '/leakage-detection',
+    itemLabel: 'Sensor',
+    describe: (results) => new Map(asArray(results.predictions).map((prediction) => [String(prediction.sensor_node), prediction.leak_detected ? 'Leak' : 'No leak'])),
+  },
+  pilferage: {
+    label: 'Pilferage',
+    route: '/pilferage',
+    itemLabel: 'Sensor',
+    describe: (results) => new Map([
+      ...asArray(results.warning).map((sensor) => [String(sensor), 'Warning']),
+      ...asArray(results.high_risk).map((sensor) => [String(sensor), 'High Risk']),
+      ...asArray(results.pilferage).map((sensor) => [String(sensor), 'Pilferage']),
+    ]),
+  },
+  massBalance: {
+    label: 'Zone Mass Balance',
+    route: '/pilferage?mode=zones',
+    itemLabel: 'Zone',
+    describe: (results) => new Map(asArray(results.zones).map((zone) => [zone.name, zone.flagged ? 'Unaccounted water' : 'Balanced'])),
+  },
+  waterQuality: {
+    label: 'Water Quality',
+    route: '/Water-Quality',
+    itemLabel: 'Sample',
+    describe: (results) => new Map(asArray(results.verdicts).map((verdict, index) => [String(index + 1), verdict])),
+  },
+  sensorAllocation: {
+    label: 'Sensor Allocation',
+    route: '/sensor-allocation',
+    itemLabel: 'Node',
+    describe: (results) => new Map(Object.entries(results.mapping || {}).map(([node, sensor]) => [node, `Sensor ${sensor}`])),
+  },
+};
+
+/**
+ * The parts of an uploaded File worth keeping with a run.
+ * @param {File} file
+ */
+export const describeFile = (file) => ({
+  name: file.name,
+  size: file.size,
+  lastModified: file.lastModified,
+});
+
+/**
+ * Turns the snapshot value of RUNS_PATH into runs, newest first.
+ * @returns {Object[]}
+ */
+export const toRunList = (value) => Object.entries(value || {})
+  .map(([id, run]) => ({ id, ...run, results: run.results || {}, parameters: run.parameters || {} }))
+  .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+
+/**
+ * Page address that re-opens a run, e.g. '/pilferage?mode=zones&run=-Nx1'.
+ */
+export const reopenPath = (run) => {
+  const { route } = RUN_TYPES[run.type];
+  return `${route}${route.includes('?') ? '&' : '?'}run=${run.id}`;
+};
+
+/**
+ * One line describing a run's outcome, e.g. '3 of 12 sensors: Leak'.
+ */
+export const summarizeRun = (run) => {
+  const outcomes = [...RUN_TYPES[run.type].describe(run.results).values()];
+  if (!outcomes.length) return 'No results';
+  const counts = outcomes.reduce((tally, outcome) => ({ ...tally, [outcome]: (tally[outcome] || 0) + 1 }), {});
+  return Object.entries(counts).map(([outcome, count]) => `${outcome}: ${count}`).join(', ');
+};
+
+/**
+ * Compares the outcomes of two runs of the same type, item by item.
+ * @returns {{ item: string, before: string|null, after: string|null }[]}
+ *   Only items whose outcome changed; null means absent from that run.
+ */
+export const diffRuns = (before, after) => {
+  if (before.type !== after.type) throw new Error('Only runs of the same type can be compared');
+  const { describe } = RUN_TYPES[before.type];
+  const beforeOutcomes = describe(before.results);
+  const afterOutcomes = describe(after.results);
+  const items = [...new Set([...beforeOutcomes.keys(), ...afterOutcomes.keys()])];
+  return items
+    .filter((item) => beforeOutcomes.get(item) !== afterOutcomes.get(item))
+    .map((item) => ({ item, before: beforeOutcomes.get(item) ?? null, after: afterOutcomes.get(item) ?? null }))
+    .sort((a, b) => a.item.localeCompare(b.item, undefined, { numeric: true }));
+};
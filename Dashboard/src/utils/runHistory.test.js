@@ -0,0 +1,43 @@
+/* eslint-env jest */
+import { diffRuns, reopenPath, summarizeRun, toRunList } from './runHistory';
+
+const leakageRun = (predictions) => ({ type: 'leakage', results: { predictions } });
+
+describe('toRunList', () => {
+  test('orders runs newest first and fills in missing parts', () => {
+    const runs = toRunList({ a: { type: 'pilferage', createdAt: 1 }, b: { type: 'leakage', createdAt: 2, results: { predictions: [] } } });
+    expect(runs.map((run) => run.id)).toEqual(['b', 'a']);
+    expect(runs[1]).toMatchObject({ results: {}, parameters: {} });
+  });
+});
+
+describe('reopenPath', () => {
+  test('adds the run to the page route, which may have a query already', () => {
+    expect(reopenPath({ id: 'r1', type: 'leakage' })).toBe('/leakage-detection?run=r1');
+    expect(reopenPath({ id: 'r2', type: 'massBalance' })).toBe('/pilferage?mode=zones&run=r2');
+  });
+});
+
+describe('summarizeRun', () => {
+  test('counts outcomes, including results stored as objects by the database', () => {
+    const run = { type: 'pilferage', results: { warning: { 0: 'S1', 2: 'S3' }, pilferage: ['S2'] } };
+    expect(summarizeRun(run)).toBe('Warning: 2, Pilferage: 1');
+    expect(summarizeRun({ type: 'leakage', results: {} })).toBe('No results');
+  });
+});
+
+describe('diffRuns', () => {
+  test('lists items whose outcome changed, appeared or disappeared', () => {
+    const before = leakageRun([{ sensor_node: 1, leak_detected: false }, { sensor_node: 2, leak_detected: true }, { sensor_node: 10, leak_detected: false }]);
+    const after = leakageRun([{ sensor_node: 1, leak_detected: true }, { sensor_node: 2, leak_detected: true }, { sensor_node: 3, leak_detected: false }]);
+    expect(diffRuns(before, after)).toEqual([
+      { item: '1', before: 'No leak', after: 'Leak' },
+      { item: '3', before: null, after: 'No leak' },
+      { item: '10', before: 'No leak', after: null },
+    ]);
+  });
+
+  test('refuses runs of different analyses', () => {
+    expect(() => diffRuns(leakageRun([]), { type: 'pilferage', results: {} })).toThrow();
+  });
+});
@@ -0,0 +1,41 @@
+import { get, onValue, push, ref, serverTimestamp, set } from 'firebase/database';
+
+import { database } from '../firebaseConfig';
+import { describeFile, RUNS_PATH, toRunList } from './runHistory';
+
+/**
+ * Stores one analysis run and resolves with its key. Saving is best effort:
+ * callers log a failure but keep showing their results.
+ * @param {{ type: string, file: File, parameters?: Object, results: Object, user?: string }} run
+ */
+export const saveRun = async ({ type, file, parameters = {}, results, user }) => {
+  const runRef = push(ref(database, RUNS_PATH));
+  // JSON round trip drops undefined values, which the Realtime Database rejects.
+  await set(runRef, JSON.parse(JSON.stringify({
+    type,
+    createdAt: serverTimestamp(),
+    user: user || 'anonymous',
+    input: describeFile(file),
+    parameters,
+    results,
+  })));
+  return runRef.key;
+};
+
+/**
+ * Calls onChange with every run, newest first, now and on each change.
+ * @returns {Function} unsubscribe
+ */
+export const subscribeRuns = (onChange, onError) => onValue(
+  ref(database, RUNS_PATH),
+  (snapshot) => onChange(toRunList(snapshot.val())),
+  onError,
+);
+
+/**
+ * @returns {Promise<Object|null>} the run with its id, or null when it is gone.
+ */
+export const fetchRun = async (id) => {
+  const snapshot = await get(ref(database, `${RUNS_PATH}/${id}`));
+  return snapshot.exists() ? toRunList({ [id]: snapshot.val() })[0] : null;
+};
@@ -0,0 +1,114 @@
+// Sensor placement, ported from sensor_allocation_final.py so the Dashboard can
+// allocate sensors without the Flask service on port 8080.
+
+/**
+ * Pipe graph used by the allocator. Junctions above the elevation threshold are
+ * left out together with every pipe touching them, as in create_graph_from_inp.
+ * @returns {Map<string, string[]>} node id -> neighbour ids, in pipe order
+ */
+export const buildPipeGraph = (network, elevationThreshold) => {
+  const skipNodes = new Set(network.nodes
+    .filter((node) => node.type === 'junction' && node.elevation > elevationThreshold)
+    .map((node) => node.id));
+  const graph = new Map();
+  network.links
+    .filter((link) => link.type === 'pipe' && !skipNodes.has(link.from) && !skipNodes.has(link.to))
+    .forEach((link) => {
+      if (!graph.has(link.from)) graph.set(link.from, []);
+      if (!graph.has(link.to)) graph.set(link.to, []);
+      graph.get(link.from).push(link.to);
+      graph.get(link.to).push(link.from);
+    });
+  return graph;
+};
+
+// Every pipe has the same weight, so the nearest neighbour is the first one.
+const findNearestNeighbours = (graph) => {
+  const nearest = new Map();
+  graph.forEach((neighbours, nodeId) => {
+    if (neighbours.length) nearest.set(nodeId, neighbours[0]);
+  });
+  return nearest;
+};
+
+const identifySensorNodes = (graph, nearest) => {
+  const counts = new Map();
+  nearest.forEach((neighbour) => counts.set(neighbour, (counts.get(neighbour) || 0) + 1));
+  const initialSensors = new Set([...counts].filter(([, count]) => count > 1).map(([nodeId]) => nodeId));
+
+  // Nodes whose nearest neighbour is not a sensor become sensors themselves.
+  const sensors = new Set(initialSensors);
+  nearest.forEach((neighbour, nodeId) => {
+    if (!initialSensors.has(neighbour)) sensors.add(nodeId);
+  });
+  return sensors;
+};
+
+const removeRedundantSensors = (graph, sensors) => {
+  const redundant = [...sensors].filter((sensor) => graph.get(sensor).every((neighbour) => sensors.has(neighbour)));
+  redundant.forEach((sensor) => sensors.delete(sensor));
+  return sensors;
+};
+
+// Maps every reachable node to its closest sensor by pipe count (multi-source BFS).
+const assignClosestSensors = (graph, sensors) => {
+  const assigned = new Map([...sensors].map((sensor) => [sensor, sensor]));
+  const queue = [...sensors];
+  while (queue.length) {
+    const nodeId = queue.shift();
+    graph.get(nodeId).forEach((neighbour) => {
+      if (!assigned.has(neighbour)) {
+        assigned.set(neighbour, assigned.get(nodeId));
+        queue.push(neighbour);
+      }
+    });
+  }
+  return assigned;
+};
+
+/**
+ * Chooses sensor nodes for a network and maps every other node to a sensor.
+ *
+ * Without a budget the result matches the Flask /sensor-allocation endpoint.
+ * With a budget only the sensors covering the most nodes are kept, and nodes
+ * left without a sensor are mapped to the closest remaining one.
+ *
+ * coverage is the share of graph nodes that are sensors or sit one pipe away
+ * from the sensor they are mapped to.
+ *
+ * @param {import('./inpParser').Network} network
+ * @param {{ elevationThreshold?: number, budget?: number }} [options]
+ * @returns {{ sensor_nodes: string[], mapping: Object<string, string>, coverage: number }}
+ */
+export const allocateSensors = (network, { elevationThreshold = 100, budget = Infinity } = {}) => {
+  const graph = buildPipeGraph(network, elevationThreshold);
+  const nearest = findNearestNeighbours(graph);
+  let sensors = removeRedundantSensors(graph, identifySensorNodes(graph, nearest));
+
+  let mapping = {};
+  nearest.forEach((neighbour, nodeId) => {
+    if (!sensors.has(nodeId)) mapping[nodeId] = neighbour;
+  });
+
+  if (sensors.size > budget) {
+    const coveredCounts = new Map([...sensors].map((sensor) => [sensor, 0]));
+    Object.values(mapping).forEach((sensor) => {
+      if (coveredCounts.has(sensor)) coveredCounts.set(sensor, coveredCounts.get(sensor) + 1);
+    });
+    const ranked = [...coveredCounts].sort((a, b) => b[1] - a[1]);
+    sensors = new Set(ranked.slice(0, Math.max(0, budget)).map(([sensor]) => sensor));
+
+    const closest = assignClosestSensors(graph, sensors);
+    mapping = {};
+    graph.forEach((neighbours, nodeId) => {
+      if (!sensors.has(nodeId) && closest.has(nodeId)) mapping[nodeId] = closest.get(nodeId);
+    });
+  }
+
+  const adjacentToSensor = Object.entries(mapping)
+    .filter(([nodeId, sensor]) => sensors.has(sensor) && graph.get(nodeId).includes(sensor)).length;
+  const coverage = graph.size ? (sensors.size + adjacentToSensor) / graph.size : 0;
+
+  // Sorted like the service's list, so a CSV column always means the same sensor.
+  return { sensor_nodes: [...sensors].sort(), mapping, coverage };
+};
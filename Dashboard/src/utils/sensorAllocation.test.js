@@ -0,0 +1,30 @@
+/* eslint-env jest */
+import fs from 'fs';
+import path from 'path';
+import { parseInp } from './inpParser';
+import { allocateSensors } from './sensorAllocation';
+
+const network = parseInp(fs.readFileSync(path.resolve(__dirname, '../../../Network.inp'), 'utf8'));
+
+describe('allocateSensors', () => {
+  test('matches sensor_allocation_final.py on Network.inp', () => {
+    const { sensor_nodes: sensorNodes, mapping } = allocateSensors(network);
+    // Sorted like the service, so CSV column i is always the same sensor.
+    expect(sensorNodes).toEqual(['103', '105', '111', '117', '119', '121', '127', '129', '141', '147', '15', '153', '159', '163', '169', '171', '179', '181', '183', '184', '187', '189', '193', '197', '199', '203', '207', '208', '211', '213', '217', '231', '239', '241', '255', '257', '267', '60', '61']);
+    expect(Object.keys(mapping)).toHaveLength(50);
+    expect(mapping).toMatchObject({ 101: '103', River: '60' });
+  });
+
+  test('keeps at most budget sensors and maps every node to one of them', () => {
+    const { sensor_nodes: sensorNodes, mapping, coverage } = allocateSensors(network, { budget: 10 });
+    expect(sensorNodes).toHaveLength(10);
+    expect(Object.values(mapping).every((sensor) => sensorNodes.includes(sensor))).toBe(true);
+    expect(coverage).toBeLessThan(allocateSensors(network).coverage);
+  });
+
+  test('drops junctions above the elevation threshold', () => {
+    const { sensor_nodes: sensorNodes, mapping } = allocateSensors(network, { elevationThreshold: 0 });
+    const high = network.nodes.filter((node) => node.type === 'junction' && node.elevation > 0).map((node) => node.id);
+    expect(high.some((id) => sensorNodes.includes(id) || id in mapping)).toBe(false);
+  });
+});
@@ -0,0 +1,103 @@
+// Backend services used by the analysis pages. Base URLs come from REACT_APP_*
+// env vars at build time and can be overridden per browser in the settings
+// panel; overrides are kept in localStorage.
+
+const STORAGE_KEY = 'serviceUrls';
+
+// process.env.REACT_APP_* must be read statically for react-scripts to inline it.
+export const SERVICES = [
+  {
+    key: 'waterQuality',
+    name: 'Water Quality',
+    path: '/predict',
+    defaultUrl: process.env.REACT_APP_WATER_QUALITY_URL || 'http://127.0.0.1:5200',
+  },
+  {
+    key: 'leakage',
+    name: 'Leakage Detection',
+    path: '/predict',
+    defaultUrl: process.env.REACT_APP_LEAKAGE_URL || 'http://localhost:8000',
+  },
+  {
+    key: 'pilferage',
+    name: 'Pilferage',
+    path: '/pilferage',
+    defaultUrl: process.env.REACT_APP_PILFERAGE_URL || 'http://localhost:5002',
+  },
+  {
+    key: 'sensorAllocation',
+    name: 'Sensor Allocation',
+    path: '/sensor-allocation',
+    defaultUrl: process.env.REACT_APP_SENSOR_ALLOCATION_URL || 'http://localhost:8080',
+  },
+];
+
+const findService = (key) => {
+  const service = SERVICES.find((item) => item.key === key);
+  if (!service) throw new Error(`Unknown service: ${key}`);
+  return service;
+};
+
+export const getDefaultServiceUrls = () => Object.fromEntries(SERVICES.map((service) => [service.key, service.defaultUrl]));
+
+export const loadServiceUrls = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    return { ...getDefaultServiceUrls(), ...stored };
+  } catch (error) {
+    return getDefaultServiceUrls();
+  }
+};
+
+// Only URLs that differ from the defaults are stored, so a later change to an
+// env var still reaches browsers that never touched that service.
+export const saveServiceUrls = (serviceUrls) => {
+  const defaults = getDefaultServiceUrls();
+  const overrides = Object.fromEntries(Object.entries(serviceUrls).filter(([key, url]) => url !== defaults[key]));
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+};
+
+/**
+ * Full endpoint URL for a service, e.g. 'http://localhost:5002/pilferage'.
+ * @param {Object<string, string>} serviceUrls  Base URLs keyed by service key.
+ * @param {string} key
+ */
+export const buildServiceEndpoint = (serviceUrls, key) => {
+  const service = findService(key);
+  const baseUrl = (serviceUrls[key] || service.defaultUrl).replace(/\/+$/, '');
+  return `${baseUrl}${service.path}`;
+};
+
+/**
+ * Resolves true when the service answers at all. The Flask endpoints only
+ * accept POST and none exposes a health route, so an opaque no-cors GET is
+ * used: any HTTP response means the server is up, a network error means down.
+ */
+export const checkServiceHealth = async (serviceUrls, key, timeoutMs = 5000) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    await fetch(buildServiceEndpoint(serviceUrls, key), { method: 'GET', mode: 'no-cors', signal: controller.signal });
+    return true;
+  } catch (error) {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * POSTs a file as multipart 'file' field, the shape every Flask endpoint reads,
+ * and returns the parsed JSON body. Extra form fields go alongside the file.
+ * @param {Object<string, string|number>} [fields]
+ */
+export const postFile = async (endpoint, file, fields = {}) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+  const response = await fetch(endpoint, { method: 'POST', body: formData });
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}`);
+  }
+  return response.json();
+};
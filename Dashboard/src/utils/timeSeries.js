@@ -0,0 +1,58 @@
+// Helpers for the pressure CSVs sent to the leak service: no header, one row
+// per time step, one column per sensor.
+
+/**
+ * Splits header-less CSV rows into one series per column. Empty or
+ * non-numeric cells become null so charts leave a gap.
+ * @param {Array<Array<*>>} rows
+ * @returns {Array<Array<number|null>>}
+ */
+export const toColumns = (rows) => {
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  return Array.from({ length: width }, (_, column) => rows.map((row) => (typeof row[column] === 'number' ? row[column] : null)));
+};
+
+/**
+ * Trailing moving average over the last `window` readings; gaps are skipped
+ * and a point with no readings in its window stays null.
+ * @param {Array<number|null>} values
+ * @param {number} window
+ * @returns {Array<number|null>}
+ */
+export const movingAverage = (values, window) => {
+  const size = Math.max(1, Math.floor(window));
+  let sum = 0;
+  let count = 0;
+  return values.map((value, index) => {
+    if (value !== null) {
+      sum += value;
+      count += 1;
+    }
+    const leaving = index >= size ? values[index - size] : null;
+    if (leaving !== null) {
+      sum -= leaving;
+      count -= 1;
+    }
+    return count ? sum / count : null;
+  });
+};
+
+/**
+ * Index of the largest fall between consecutive readings, the most likely
+ * onset of a leak in a pressure series.
+ * @returns {number} -1 when the series never falls
+ */
+export const steepestDrop = (values) => {
+  let best = -1;
+  let bestDrop = 0;
+  for (let index = 1; index < values.length; index += 1) {
+    if (values[index] !== null && values[index - 1] !== null) {
+      const drop = values[index - 1] - values[index];
+      if (drop > bestDrop) {
+        bestDrop = drop;
+        best = index;
+      }
+    }
+  }
+  return best;
+};
@@ -0,0 +1,22 @@
+/* eslint-env jest */
+import { movingAverage, steepestDrop, toColumns } from './timeSeries';
+
+describe('toColumns', () => {
+  test('splits rows into per-sensor series with gaps as null', () => {
+    expect(toColumns([[1, 2], [3, 'x'], [5]])).toEqual([[1, 3, 5], [2, null, null]]);
+  });
+});
+
+describe('movingAverage', () => {
+  test('averages the trailing window and skips gaps', () => {
+    expect(movingAverage([2, 4, 6, 8], 2)).toEqual([2, 3, 5, 7]);
+    expect(movingAverage([2, null, 6, null, null], 2)).toEqual([2, 2, 6, 6, null]);
+  });
+});
+
+describe('steepestDrop', () => {
+  test('finds the largest fall between consecutive readings', () => {
+    expect(steepestDrop([50, 49.5, 49.8, 44, 43.9])).toBe(3);
+    expect(steepestDrop([1, 2, 3])).toBe(-1);
+  });
+});
@@ -0,0 +1,102 @@
+import Papa from 'papaparse';
+
+import { readInpFile } from './inpParser';
+
+// Feature columns of the potability dataset, as named by the model behind
+// waterquality.py.
+export const WATER_QUALITY_FEATURES = ['ph', 'Hardness', 'Solids', 'Chloramines', 'Sulfate', 'Conductivity', 'Organic_carbon', 'Trihalomethanes', 'Turbidity'];
+
+// What each analysis backend expects from an uploaded file. Checked in the
+// browser before anything is sent.
+export const UPLOAD_SCHEMAS = {
+  waterQuality: {
+    format: 'csv',
+    header: true,
+    // waterquality.py drops Potability before predicting, so it must be present.
+    requiredColumns: [...WATER_QUALITY_FEATURES, 'Potability'],
+    numericColumns: WATER_QUALITY_FEATURES,
+  },
+  leakage: {
+    format: 'csv',
+    // Pressure readings without a header row: one row per time step, one column per sensor.
+    header: false,
+    numericColumns: 'all',
+  },
+  pilferage: {
+    format: 'csv',
+    header: true,
+    requiredColumns: ['Sensor_Node', 'Flow'],
+    numericColumns: ['Flow'],
+  },
+  // Metered volumes per district metered area and interval, for the mass balance.
+  massBalance: {
+    format: 'csv',
+    header: true,
+    requiredColumns: ['Zone', 'Timestamp', 'Inflow', 'Outflow', 'Billed'],
+    numericColumns: ['Inflow', 'Outflow', 'Billed'],
+  },
+  sensorAllocation: {
+    format: 'inp',
+  },
+  // A network loaded only for drawing, e.g. on the leakage page.
+  network: {
+    format: 'inp',
+  },
+};
+
+const parseCsv = (file, schema) => new Promise((resolve, reject) => {
+  Papa.parse(file, {
+    header: schema.header,
+    dynamicTyping: true,
+    skipEmptyLines: true,
+    complete: ({ data, meta, errors }) => resolve({ rows: data, fields: meta.fields || [], parseErrors: errors }),
+    error: reject,
+  });
+});
+
+const isMissing = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Lists the problems that would make the backend reject a parsed CSV.
+ * Empty cells are allowed; the services fill or ignore them.
+ * @returns {string[]}
+ */
+export const validateCsv = (schema, { rows, fields, parseErrors = [] }) => {
+  const problems = parseErrors.slice(0, 3).map((error) => `Row ${error.row + 1}: ${error.message}`);
+  if (!rows.length) return [...problems, 'The file has no data rows.'];
+
+  const missing = (schema.requiredColumns || []).filter((column) => !fields.includes(column));
+  if (missing.length) problems.push(`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}.`);
+
+  const numericColumns = schema.numericColumns === 'all'
+    ? Object.keys(rows[0])
+    : (schema.numericColumns || []).filter((column) => fields.includes(column));
+  numericColumns.forEach((column) => {
+    const badRow = rows.findIndex((row) => !isMissing(row[column]) && typeof row[column] !== 'number');
+    if (badRow !== -1) {
+      const label = schema.header ? `"${column}"` : `Column ${Number(column) + 1}`;
+      problems.push(`${label} must be numeric (row ${badRow + 1} has "${rows[badRow][column]}").`);
+    }
+  });
+  return problems;
+};
+
+const validateInp = (network) => {
+  const problems = [];
+  if (!network.nodes.length) problems.push('The file has no junctions, reservoirs or tanks.');
+  if (!network.links.some((link) => link.type === 'pipe')) problems.push('The file has no [PIPES] section.');
+  return problems;
+};
+
+/**
+ * Parses an uploaded file according to its schema.
+ * @returns {Promise<{ rows?: Object[], fields?: string[], network?: Object, problems: string[] }>}
+ */
+export const parseUpload = async (file, schema) => {
+  if (schema.format === 'inp') {
+    const network = await readInpFile(file);
+    return { network, problems: validateInp(network) };
+  }
+  const parsed = await parseCsv(file, schema);
+  return { ...parsed, problems: validateCsv(schema, parsed) };
+};
@@ -0,0 +1,24 @@
+/* eslint-env jest */
+import { UPLOAD_SCHEMAS, validateCsv } from './uploadSchemas';
+
+describe('validateCsv', () => {
+  test('reports missing columns and non-numeric values', () => {
+    const problems = validateCsv(UPLOAD_SCHEMAS.pilferage, {
+      rows: [{ Sensor_Node: 'S1', Flow: 4.2 }, { Sensor_Node: 'S2', Flow: 'n/a' }],
+      fields: ['Sensor_Node', 'Flow'],
+    });
+    expect(problems).toEqual(['"Flow" must be numeric (row 2 has "n/a").']);
+
+    expect(validateCsv(UPLOAD_SCHEMAS.pilferage, { rows: [{ Flow: 1 }], fields: ['Flow'] })).toEqual(['Missing column: Sensor_Node.']);
+  });
+
+  test('names columns by position when the file has no header', () => {
+    const problems = validateCsv(UPLOAD_SCHEMAS.leakage, { rows: [[1.2, 3.4], [1.1, 'x']], fields: [] });
+    expect(problems).toEqual(['Column 2 must be numeric (row 2 has "x").']);
+  });
+
+  test('accepts empty cells and rejects empty files', () => {
+    expect(validateCsv(UPLOAD_SCHEMAS.pilferage, { rows: [{ Sensor_Node: 'S1', Flow: null }], fields: ['Sensor_Node', 'Flow'] })).toEqual([]);
+    expect(validateCsv(UPLOAD_SCHEMAS.pilferage, { rows: [], fields: [] })).toEqual(['The file has no data rows.']);
+  });
+});
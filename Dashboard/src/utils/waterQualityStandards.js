@@ -0,0 +1,161 @@
+// Drinking water limits for the columns of the potability dataset, grouped in
+// profiles (WHO, BIS IS 10500, custom). Each band has an acceptable range and,
+// where the standard allows one, a wider permissible range: inside the first is
+// a pass, inside only the second a caution, outside both a failure. Profiles
+// are editable on the Water Quality page and edits are kept in localStorage.
+// Everything here runs in the browser, so samples can be checked while the
+// potability service is down.
+
+const STORAGE_KEY = 'waterQualityProfiles';
+const SELECTED_KEY = 'waterQualityProfile';
+
+// BIS IS 10500:2012 acceptable / permissible limits where BIS sets them, WHO
+// guideline values otherwise. Units follow the dataset.
+const BIS_BANDS = {
+  ph: { label: 'pH', unit: '', min: 6.5, max: 8.5, source: 'BIS' },
+  Hardness: { label: 'Hardness', unit: 'mg/L', max: 200, permissibleMax: 600, source: 'BIS' },
+  Solids: { label: 'Total dissolved solids', unit: 'mg/L', max: 500, permissibleMax: 2000, source: 'BIS' },
+  Chloramines: { label: 'Chloramines', unit: 'mg/L', max: 4, source: 'BIS' },
+  Sulfate: { label: 'Sulfate', unit: 'mg/L', max: 200, permissibleMax: 400, source: 'BIS' },
+  Conductivity: { label: 'Conductivity', unit: 'μS/cm', max: 400, source: 'WHO' },
+  Organic_carbon: { label: 'Organic carbon', unit: 'mg/L', max: 2, permissibleMax: 4, source: 'US EPA' },
+  Trihalomethanes: { label: 'Trihalomethanes', unit: 'μg/L', max: 80, source: 'WHO' },
+  Turbidity: { label: 'Turbidity', unit: 'NTU', max: 1, permissibleMax: 5, source: 'BIS' },
+};
+
+// WHO guideline values, with the acceptability (taste) thresholds used where
+// WHO sets no health-based value.
+const WHO_BANDS = {
+  ph: { label: 'pH', unit: '', min: 6.5, max: 8.5, source: 'WHO' },
+  Hardness: { label: 'Hardness', unit: 'mg/L', max: 500, source: 'WHO (taste)' },
+  Solids: { label: 'Total dissolved solids', unit: 'mg/L', max: 600, permissibleMax: 1000, source: 'WHO (taste)' },
+  Chloramines: { label: 'Chloramines', unit: 'mg/L', max: 3, source: 'WHO' },
+  Sulfate: { label: 'Sulfate', unit: 'mg/L', max: 250, permissibleMax: 500, source: 'WHO (taste)' },
+  Conductivity: { label: 'Conductivity', unit: 'μS/cm', max: 400, source: 'WHO' },
+  Organic_carbon: { label: 'Organic carbon', unit: 'mg/L', max: 2, permissibleMax: 4, source: 'US EPA' },
+  Trihalomethanes: { label: 'Trihalomethanes', unit: 'μg/L', max: 80, source: 'WHO' },
+  Turbidity: { label: 'Turbidity', unit: 'NTU', max: 1, permissibleMax: 5, source: 'WHO' },
+};
+
+export const WATER_QUALITY_PROFILES = [
+  { key: 'bis', name: 'BIS IS 10500', bands: BIS_BANDS },
+  { key: 'who', name: 'WHO', bands: WHO_BANDS },
+  // Starts from BIS and is meant to be edited.
+  { key: 'custom', name: 'Custom', bands: BIS_BANDS },
+];
+
+export const DEFAULT_PROFILE_KEY = 'bis';
+
+export const getDefaultBands = (profileKey) => WATER_QUALITY_PROFILES.find((profile) => profile.key === profileKey).bands;
+
+/**
+ * Bands of every profile keyed by profile key, with this browser's edits
+ * applied on top of the defaults.
+ * @returns {Object<string, Object>}
+ */
+export const loadWaterQualityProfiles = () => {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    stored = {};
+  }
+  return Object.fromEntries(WATER_QUALITY_PROFILES.map(({ key, bands }) => [
+    key,
+    Object.fromEntries(Object.entries(bands).map(([parameter, band]) => [parameter, { ...band, ...(stored[key] || {})[parameter] }])),
+  ]));
+};
+
+export const saveWaterQualityProfiles = (profiles) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+};
+
+export const loadSelectedProfile = () => {
+  const stored = localStorage.getItem(SELECTED_KEY);
+  return WATER_QUALITY_PROFILES.some((profile) => profile.key === stored) ? stored : DEFAULT_PROFILE_KEY;
+};
+
+export const saveSelectedProfile = (profileKey) => {
+  localStorage.setItem(SELECTED_KEY, profileKey);
+};
+
+const isLimit = (limit) => typeof limit === 'number' && !Number.isNaN(limit);
+
+const describeRange = (min, max) => {
+  if (isLimit(min) && isLimit(max)) return `${min}–${max}`;
+  if (isLimit(max)) return `≤ ${max}`;
+  if (isLimit(min)) return `≥ ${min}`;
+  return null;
+};
+
+// e.g. 'Sulfate 250 mg/L is outside the acceptable range (≤ 200)'.
+const describeBreach = (value, band, status) => {
+  const unit = band.unit ? ` ${band.unit}` : '';
+  const reading = `${band.label} ${Number(value.toFixed(2))}${unit}`;
+  const acceptable = describeRange(band.min, band.max);
+  if (status === 'caution') return `${reading} is outside the acceptable range (${acceptable}) but permissible`;
+  const permissible = describeRange(
+    isLimit(band.permissibleMin) ? band.permissibleMin : band.min,
+    isLimit(band.permissibleMax) ? band.permissibleMax : band.max,
+  );
+  return `${reading} is outside the ${permissible === acceptable ? 'acceptable' : 'permissible'} range (${permissible})`;
+};
+
+/**
+ * Places one reading in its band.
+ * @returns {'pass'|'caution'|'fail'|'missing'}
+ */
+export const classifyValue = (value, band) => {
+  if (typeof value !== 'number' || Number.isNaN(value)) return 'missing';
+  const below = isLimit(band.min) && value < band.min;
+  const above = isLimit(band.max) && value > band.max;
+  if (!below && !above) return 'pass';
+
+  // Without a permissible limit on the breached side, leaving the acceptable range fails.
+  const permissible = below ? band.permissibleMin : band.permissibleMax;
+  if (!isLimit(permissible)) return 'fail';
+  const withinPermissible = below ? value >= permissible : value <= permissible;
+  return withinPermissible ? 'caution' : 'fail';
+};
+
+// Share of a parameter's weight that a reading earns towards the score.
+const STATUS_CREDIT = { pass: 1, caution: 0.5, fail: 0 };
+
+/**
+ * Checks every banded parameter of one sample row.
+ * A sample fails when any reading is outside its permissible range; cautions
+ * are reported as violations but do not fail it. Missing readings are skipped.
+ * The score is 0–100: full credit for a pass, half for a caution, none for a
+ * failure, averaged over the readings present.
+ * @returns {{ verdict: 'pass'|'fail', score: number|null, results: Object<string, string>,
+ *   violations: { parameter: string, value: number, status: string, message: string }[], reasons: string[] }}
+ */
+export const assessSample = (row, bands) => {
+  const results = {};
+  const violations = [];
+  Object.entries(bands).forEach(([parameter, band]) => {
+    const status = classifyValue(row[parameter], band);
+    results[parameter] = status;
+    if (status === 'fail' || status === 'caution') {
+      violations.push({ parameter, value: row[parameter], status, message: describeBreach(row[parameter], band, status) });
+    }
+  });
+  const checked = Object.values(results).filter((status) => status !== 'missing');
+  const score = checked.length
+    ? Math.round((100 * checked.reduce((sum, status) => sum + STATUS_CREDIT[status], 0)) / checked.length)
+    : null;
+  const verdict = checked.includes('fail') ? 'fail' : 'pass';
+  return { verdict, score, results, violations, reasons: violations.map((violation) => violation.message) };
+};
+
+// Potability above this is read as "potable" when comparing with the rules.
+export const POTABILITY_THRESHOLD = 0.5;
+
+/**
+ * Whether the model and the rules reach the same verdict for a sample.
+ * @returns {boolean|null} null while there is no prediction to compare.
+ */
+export const agreesWithModel = (assessment, potability) => {
+  if (typeof potability !== 'number') return null;
+  return (potability >= POTABILITY_THRESHOLD) === (assessment.verdict === 'pass');
+};
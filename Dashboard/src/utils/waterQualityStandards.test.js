@@ -0,0 +1,47 @@
+/* eslint-env jest */
+import { agreesWithModel, assessSample, classifyValue, getDefaultBands } from './waterQualityStandards';
+
+const DEFAULT_WATER_QUALITY_BANDS = getDefaultBands('bis');
+
+describe('classifyValue', () => {
+  test('separates acceptable, permissible and failing readings', () => {
+    const { Sulfate, ph } = DEFAULT_WATER_QUALITY_BANDS;
+    expect(classifyValue(150, Sulfate)).toBe('pass');
+    expect(classifyValue(300, Sulfate)).toBe('caution');
+    expect(classifyValue(450, Sulfate)).toBe('fail');
+    expect(classifyValue(5.9, ph)).toBe('fail');
+    expect(classifyValue(null, ph)).toBe('missing');
+  });
+});
+
+describe('assessSample', () => {
+  test('fails a sample with any reading outside its permissible range and explains why', () => {
+    const { verdict, score, results, reasons } = assessSample({ ph: 7, Sulfate: 300, Turbidity: 6.2, Hardness: null }, DEFAULT_WATER_QUALITY_BANDS);
+    expect(verdict).toBe('fail');
+    expect(score).toBe(50);
+    expect(results).toMatchObject({ ph: 'pass', Sulfate: 'caution', Turbidity: 'fail', Hardness: 'missing' });
+    expect(reasons).toEqual([
+      'Sulfate 300 mg/L is outside the acceptable range (≤ 200) but permissible',
+      'Turbidity 6.2 NTU is outside the permissible range (≤ 5)',
+    ]);
+  });
+
+  test('passes a sample with only cautions', () => {
+    expect(assessSample({ ph: 7.2, Sulfate: 250 }, DEFAULT_WATER_QUALITY_BANDS).verdict).toBe('pass');
+  });
+
+  test('profiles apply different limits', () => {
+    const sample = { Sulfate: 230 };
+    expect(assessSample(sample, getDefaultBands('bis')).results.Sulfate).toBe('caution');
+    expect(assessSample(sample, getDefaultBands('who')).results.Sulfate).toBe('pass');
+  });
+});
+
+describe('agreesWithModel', () => {
+  test('compares the rule verdict with the model potability', () => {
+    const failing = assessSample({ Turbidity: 6 }, getDefaultBands('bis'));
+    expect(agreesWithModel(failing, 0.2)).toBe(true);
+    expect(agreesWithModel(failing, 0.8)).toBe(false);
+    expect(agreesWithModel(failing, undefined)).toBeNull();
+  });
+});
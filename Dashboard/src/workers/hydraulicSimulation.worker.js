@@ -0,0 +1,15 @@
+/* eslint-disable no-restricted-globals */
+import { simulateNetwork } from '../utils/hydraulicSimulation';
+
+// Runs simulateNetwork off the main thread so long extended-period runs don't
+// freeze the page. Messages out: { type: 'progress' | 'result' | 'error' }.
+self.onmessage = ({ data }) => {
+  try {
+    const results = simulateNetwork(data.inpText, data.overrides, (fraction) => {
+      self.postMessage({ type: 'progress', fraction });
+    });
+    self.postMessage({ type: 'result', results });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -1,3 +1,5 @@
+import math
+
 from flask import Flask, request, jsonify
 import pandas as pd
 from flask_cors import CORS
@@ -5,6 +7,28 @@ from flask_cors import CORS
 app = Flask(__name__)
 CORS(app)  # Enable CORS for all routes
 
+# The Dashboard runs the same rule in Dashboard/src/utils/pilferage.js while
+# this service is down, so the two must give the same lists for the same CSV:
+# each sensor is judged once, on its highest flow, ids are whole numbers where
+# they can be, and numbers in the reason are rounded and printed the way
+# JavaScript does.
+CATEGORY_LABELS = {'warning': 'Warning', 'high_risk': 'High Risk', 'pilferage': 'Pilferage'}
+
+
+def js_round(value, digits=2):
+    # Math.round rounds halves up, where Python's round() rounds them to even
+    return math.floor(value * 10 ** digits + 0.5) / 10 ** digits
+
+
+def js_number(value):
+    # 200.0 prints as 200 and 171.5 as 171.5, like a JavaScript number
+    return str(int(value)) if float(value).is_integer() else repr(float(value))
+
+
+def sensor_id(value):
+    value = value.item() if hasattr(value, 'item') else value
+    return int(value) if isinstance(value, float) and value.is_integer() else value
+
 @app.route('/pilferage', methods=['POST'])
 def check_pilferage():
     try:
@@ -12,32 +36,81 @@ def check_pilferage():
         csv_file = request.files['file']
         
         # Read CSV into a DataFrame
-        data = pd.read_csv(csv_file)
+        data = pd.read_csv(csv_file).dropna(subset=['Flow'])
         
+        # Percentiles (0-100) for each category; the Dashboard may send its own
+        warning_percentile = float(request.form.get('warning', 85))
+        high_risk_percentile = float(request.form.get('high_risk', 90))
+        pilferage_percentile = float(request.form.get('pilferage', 95))
+        if not 0 <= warning_percentile < high_risk_percentile < pilferage_percentile <= 100:
+            return jsonify({'error': 'Percentiles must rise from warning to pilferage within 0-100'}), 400
+
         # Calculate percentiles
-        warning_threshold = data['Flow'].quantile(0.85)
-        high_risk_threshold = data['Flow'].quantile(0.90)
-        pilferage_threshold = data['Flow'].quantile(0.95)
+        warning_threshold = data['Flow'].quantile(warning_percentile / 100)
+        high_risk_threshold = data['Flow'].quantile(high_risk_percentile / 100)
+        pilferage_threshold = data['Flow'].quantile(pilferage_percentile / 100)
+
+        # Expected demand: the Expected_Flow column if present, else the median flow
+        median_flow = data['Flow'].median()
+
+        # Each sensor's highest reading, in the order sensors first appear
+        peaks = data.loc[data.groupby('Sensor_Node', sort=False)['Flow'].idxmax()]
         
         # Initialize lists to store sensor numbers for different categories
         warning = []
         high_risk = []
         pilferage = []
+        details = []
         
         # Check flow rates and categorize sensor numbers
-        for index, row in data.iterrows():
+        for index, row in peaks.iterrows():
+            sensor = sensor_id(row['Sensor_Node'])
             if warning_threshold <= row['Flow'] < high_risk_threshold:
-                warning.append(row['Sensor_Node'])
+                category, limit, percentile = 'warning', warning_threshold, warning_percentile
+                warning.append(sensor)
             elif high_risk_threshold <= row['Flow'] < pilferage_threshold:
-                high_risk.append(row['Sensor_Node'])
+                category, limit, percentile = 'high_risk', high_risk_threshold, high_risk_percentile
+                high_risk.append(sensor)
             elif row['Flow'] >= pilferage_threshold:
-                pilferage.append(row['Sensor_Node'])
+                category, limit, percentile = 'pilferage', pilferage_threshold, pilferage_percentile
+                pilferage.append(sensor)
+            else:
+                continue
+
+            flow = float(row['Flow'])
+            expected = row['Expected_Flow'] if 'Expected_Flow' in data.columns and pd.notna(row['Expected_Flow']) else median_flow
+            expected = float(expected)
+            deviation = (flow - expected) / abs(expected) * 100 if expected else None
+            rank = float((data['Flow'] <= flow).mean() * 100)
+            deviation_text = '' if deviation is None else (
+                f", {js_number(abs(js_round(deviation, 0)))}% {'above' if deviation >= 0 else 'below'}"
+                f" expected demand of {js_number(js_round(expected))}"
+            )
+            details.append({
+                'sensor': sensor,
+                'category': category,
+                'flow': flow,
+                'percentile': js_round(rank, 1),
+                'expected': js_round(expected),
+                'deviation': None if deviation is None else js_round(deviation, 1),
+                'reason': (
+                    f"Flow {js_number(js_round(flow))} is at the {js_number(js_round(rank, 0))}th percentile,"
+                    f" over the {CATEGORY_LABELS[category]} limit of {js_number(js_round(float(limit)))}"
+                    f" ({js_number(percentile)}th percentile){deviation_text}"
+                ),
+            })
 
         # Prepare response
         response = {
             'warning': warning,
             'high_risk': high_risk,
-            'pilferage': pilferage
+            'pilferage': pilferage,
+            'limits': {
+                'warning': float(warning_threshold),
+                'high_risk': float(high_risk_threshold),
+                'pilferage': float(pilferage_threshold),
+            },
+            'details': sorted(details, key=lambda detail: detail['flow'], reverse=True),
         }
         
         return jsonify(response), 200
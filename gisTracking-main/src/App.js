@@ -1,40 +1,81 @@
-  import React, { useState } from "react";
-  import { MapContainer, Marker, Popup, TileLayer, Polyline, Polygon, useMapEvents } from "react-leaflet";
+  import React, { useCallback, useEffect, useRef, useState } from "react";
+  import { FeatureGroup, MapContainer, Marker, Tooltip, TileLayer, Polyline, Polygon, useMapEvents } from "react-leaflet";
+  import { EditControl } from "react-leaflet-draw";
   import MarkerClusterGroup from "react-leaflet-cluster";
   import "./App.css";
-  import { Icon, divIcon } from "leaflet";
+  import { divIcon } from "leaflet";
   import "leaflet/dist/leaflet.css";
-  import { uploadJSONToFirestore , uploadJSONDynamically , uploadPolylinesToFirestore } from './FireApp'; // Import the function
-
-  const customIcon = new Icon({
-    iconUrl: "https://cdn-icons-png.flaticon.com/512/5968/5968526.png",
-    iconSize: [20, 20],
-  });
-
+  import "leaflet-draw/dist/leaflet.draw.css";
+  import {
+    uploadJSONDynamically,
+    uploadPipelineToFirestore,
+    subscribeToNodes,
+    subscribeToPipelines,
+    subscribeToZones,
+    seedNetworkFromHardcodedData,
+    seedZonesFromHardcodedData,
+    uploadZoneToFirestore,
+    saveGeometryEdits,
+    deleteGeometry,
+    newNodeDocument,
+    updateNodeInFirestore,
+    deleteNodeFromFirestore,
+    moveNodeInFirestore,
+  } from './FireApp';
+  import { NODE_STATUSES, nodeIcon, statusColor, worstStatus } from './nodeStatus';
+  import NodeEditor from './NodeEditor';
+  import { layerPositions, newZone, snapToNodes } from './networkDrawing';
+
+  // How long a node or pipe that just changed in Firestore stays highlighted.
+  const HIGHLIGHT_MS = 4000;
+
+  // A 'waternetwork' document as a map marker.
+  const toMarker = (node) => ({ ...node, geocode: [node.latitude, node.longitude] });
+
+  // Sized by the number of nodes, coloured by the worst status among them, with
+  // a badge counting the nodes that have a problem.
   const createClusterCustomIcon = function (cluster) {
     const count = cluster.getChildCount();
+    const statuses = cluster.getAllChildMarkers().map((marker) => marker.options.icon.options.nodeStatus || "normal");
+    const worst = worstStatus(statuses);
+    const flagged = statuses.filter((status) => status !== "normal").length;
     let size = 'small';
-    let color = '#007bff';
-    
+
     if (count > 20) {
       size = 'large';
-      color = '#dc3545'; // Red for large clusters
     } else if (count > 10) {
       size = 'medium';
-      color = '#ffc107'; // Yellow for medium clusters
-    } else {
-      size = 'small';
-      color = '#28a745'; // Green for small clusters
     }
-    
+
+    const badge = flagged ? `<span class="cluster-badge">${flagged}</span>` : "";
     return new divIcon({
-      html: `<div class="cluster-icon cluster-${size}" style="background-color: ${color}; color: white; border-radius: 50%; display: flex; align-items: center; justify-content: center; font-weight: bold; box-shadow: 0 2px 4px rgba(0,0,0,0.3);">${count}</div>`,
+      html: `<div class="cluster-icon cluster-${size}" style="background-color: ${statusColor(worst)}; color: white; border-radius: 50%; display: flex; align-items: center; justify-content: center; font-weight: bold; box-shadow: 0 2px 4px rgba(0,0,0,0.3);">${count}${badge}</div>`,
       className: "custom-marker-cluster",
       iconSize: [40, 40],
     });
   };
 
-
+  // Explains the marker and cluster symbols.
+  function NetworkLegend() {
+    return (
+      <div className="network-legend">
+        <h4>Nodes</h4>
+        {NODE_STATUSES.map((status) => (
+          <div key={status.key} className="legend-row">
+            <span className="node-marker legend-symbol" style={{ backgroundColor: status.color }}></span>
+            {status.badge && (
+              <span className="node-badge legend-badge" style={{ backgroundColor: status.color }}>{status.badge}</span>
+            )}
+            <span>{status.label}</span>
+          </div>
+        ))}
+        <p className="legend-note">
+          A node shows a badge for each problem reported on it and takes the colour of the worst one.
+          Clusters take the colour of the worst node inside; the small number counts nodes with a problem.
+        </p>
+      </div>
+    );
+  }
 
   export default function App() {
     const [userCoordinates, setUserCoordinates] = useState({
@@ -50,349 +91,6 @@
     const [selectedPolygon, setSelectedPolygon] = useState(null);
     const [showPolygonInfo, setShowPolygonInfo] = useState(false);
 
-    // Polygon data with dummy outbreak risk information - matching the screenshot colors
-    const polygonData = [
-      {
-        id: "polygon-1",
-        name: "Zone A - North Sector",
-        positions: [
-          [21.072451, 79.067663], // Node23
-          [21.072551, 79.069261], // Node67
-          [21.072176, 79.069309], // Node68
-          [21.070994, 79.069374], // Node73
-          [21.070689, 79.069374], // Node80
-          [21.070659, 79.068746], // Node79
-          [21.070479, 79.067856], // Node87
-          [21.070015, 79.067354], // Node11
-          [21.072451, 79.067663], // Node23 again to close
-        ],
-        color: 'orange',
-        fillColor: 'orange',
-        averageOutbreakRisk: 65.5,
-        recentReportedCases: 3,
-        weatherCondition: "Light rainfall",
-        priorityLevel: "Medium",
-        waterQuality: "pH slightly unsafe",
-        recommendedAction: "Monitor water source"
-      },
-      {
-        id: "polygon-2", 
-        name: "Zone B - High Risk Area",
-        positions: [
-          [21.072571, 79.066826], // Node24
-          [21.072451, 79.067663], // Node23
-          [21.072095, 79.067609], // Node38
-          [21.071775, 79.067550], // Node37
-          [21.071395, 79.067521], // Node15
-          [21.071435, 79.067078], // Node36
-          [21.071495, 79.066676], // Node35
-          [21.071880, 79.066724], // Node34
-          [21.072236, 79.066788], // Node25
-        ],
-        color: 'red',
-        fillColor: 'red',
-        averageOutbreakRisk: 87.4,
-        recentReportedCases: 8,
-        weatherCondition: "Storm conditions",
-        priorityLevel: "High",
-        waterQuality: "Contaminated - immediate action needed",
-        recommendedAction: "Emergency response required"
-      },
-      {
-        id: "polygon-3",
-        name: "Zone C - South Sector", 
-        positions: [
-          [21.070015, 79.067354], // Node11
-          [21.070479, 79.067856], // Node87
-          [21.070659, 79.068746], // Node79
-          [21.070689, 79.069374], // Node80
-          [21.070614, 79.069658], // Node81
-          [21.070534, 79.070559], // Node82
-          [21.070544, 79.071267], // Node78
-          [21.069708, 79.072185], // Node93
-          [21.069568, 79.071112], // Node94
-          [21.069860, 79.068613], // Node16
-          [21.070015, 79.067354], // Node11 (close polygon)
-        ],
-        color: 'green',
-        fillColor: 'lightgreen',
-        averageOutbreakRisk: 8.7,
-        recentReportedCases: 1,
-        weatherCondition: "Partly cloudy",
-        priorityLevel: "Low",
-        waterQuality: "Good quality",
-        recommendedAction: "Routine check"
-      },
-      {
-        id: "polygon-4",
-        name: "Zone D - Upper Right",
-        positions: [
-          [21.073317, 79.069218], // Node63
-          [21.073357, 79.069594], // Node64
-          [21.073392, 79.069969], // Node65
-          [21.073412, 79.070302], // Node66
-          [21.072281, 79.070420], // Node71
-          [21.072246, 79.070077], // Node70
-          [21.072231, 79.069690], // Node69
-          [21.072551, 79.069261], // Node67
-          [21.073317, 79.069218], // Node63 again to close
-        ],
-        color: 'green',
-        fillColor: 'lightgreen',
-        averageOutbreakRisk: 15.2,
-        recentReportedCases: 0,
-        weatherCondition: "Clear skies",
-        priorityLevel: "Low",
-        waterQuality: "Excellent quality",
-        recommendedAction: "Continue monitoring"
-      },
-      {
-        id: "polygon-5",
-        name: "Zone E - Central Orange",
-        positions: [
-          [21.072551, 79.069261], // Node67
-          [21.072231, 79.069690], // Node69
-          [21.070944, 79.069787], // Node74
-          [21.070614, 79.069658], // Node81
-          [21.070689, 79.069374], // Node80
-          [21.070994, 79.069374], // Node73
-          [21.072176, 79.069309], // Node68
-          [21.072551, 79.069261], // Node67 again to close
-        ],
-        color: 'orange',
-        fillColor: 'orange',
-        averageOutbreakRisk: 42.3,
-        recentReportedCases: 2,
-        weatherCondition: "Heavy rainfall",
-        priorityLevel: "Medium",
-        waterQuality: "pH levels concerning",
-        recommendedAction: "Increase monitoring frequency"
-      },
-      {
-        id: "polygon-6",
-        name: "Zone F - South Green",
-        positions: [
-          [21.072231, 79.069690], // Node69
-          [21.072246, 79.070077], // Node70
-          [21.072281, 79.070420], // Node71
-          [21.071580, 79.070500], // Node72
-          [21.070819, 79.070763], // Node77
-          [21.070544, 79.071267], // Node78
-          [21.070534, 79.070559], // Node82
-          [21.070614, 79.069658], // Node81
-          [21.070944, 79.069787], // Node74
-          [21.072231, 79.069690], // Node69 again to close
-        ],
-        color: 'green',
-        fillColor: 'lightgreen',
-        averageOutbreakRisk: 12.8,
-        recentReportedCases: 0,
-        weatherCondition: "Clear skies",
-        priorityLevel: "Low",
-        waterQuality: "Good quality",
-        recommendedAction: "Continue routine checks"
-      },
-      {
-        id: "polygon-7",
-        name: "Zone G - Central Large",
-        positions: [
-          [21.071395, 79.067521], // Node15
-          [21.070015, 79.067354], // Node11
-          [21.067926, 79.066375], // Node62
-          [21.067962, 79.066011], // Node14
-          [21.067991, 79.065570], // Node61
-          [21.068086, 79.064541], // Node60
-          [21.068407, 79.064586], // Node8
-          [21.068837, 79.064682], // Node7
-          [21.069256, 79.064727], // Node5
-          [21.070308, 79.065248], // Node2
-          [21.070579, 79.066300], // Node57
-          [21.070829, 79.066595], // Node21
-          [21.071495, 79.066676], // Node35
-          [21.071435, 79.067078], // Node36
-          [21.071395, 79.067521], // Node15 again to close
-        ],
-        color: 'green',
-        fillColor: 'lightgreen',
-        averageOutbreakRisk: 5.1,
-        recentReportedCases: 0,
-        weatherCondition: "Clear skies",
-        priorityLevel: "Low",
-        waterQuality: "Excellent quality",
-        recommendedAction: "Maintain current monitoring"
-      },
-      {
-        id: "polygon-8",
-        name: "Zone H - East Orange",
-        positions: [
-          [21.069256, 79.064727], // Node5
-          [21.070394, 79.064868], // Node52
-          [21.071019, 79.064964], // Node53
-          [21.071179, 79.065055], // Node44
-          [21.071665, 79.065511], // Node17
-          [21.071250, 79.065469], // Node18
-          [21.070747, 79.065341], // Node1
-          [21.070308, 79.065248], // Node2
-          [21.069256, 79.064727], // Node5 again to close
-        ],
-        color: 'orange',
-        fillColor: 'orange',
-        averageOutbreakRisk: 38.9,
-        recentReportedCases: 1,
-        weatherCondition: "Moderate rainfall",
-        priorityLevel: "Medium",
-        waterQuality: "Slightly elevated contamination",
-        recommendedAction: "Investigate source"
-      },
-      {
-        id: "polygon-9",
-        name: "Zone I - High Risk Red",
-        positions: [
-          [21.071665, 79.065511], // Node17
-          [21.071635, 79.065903], // Node33
-          [21.071565, 79.066305], // Node19
-          [21.071495, 79.066676], // Node35
-          [21.071096, 79.066184], // Node95
-          [21.070747, 79.065341], // Node1
-          [21.071665, 79.065511], // Node17 (close polygon)
-        ],
-        color: 'red',
-        fillColor: 'red',
-        averageOutbreakRisk: 92.1,
-        recentReportedCases: 12,
-        weatherCondition: "Severe weather",
-        priorityLevel: "High",
-        waterQuality: "Severely contaminated",
-        recommendedAction: "Immediate evacuation and treatment"
-      },
-      {
-        id: "polygon-10",
-        name: "Zone J - West Orange",
-        positions: [
-          [21.070747, 79.065341], // Node1
-          [21.071096, 79.066184], // Node95
-          [21.071495, 79.066676], // Node35
-          [21.070829, 79.066595], // Node21
-          [21.070579, 79.066300], // Node57
-          [21.070308, 79.065248], // Node2
-          [21.070747, 79.065341], // Node1 (close polygon)
-        ],
-        color: 'orange',
-        fillColor: 'orange',
-        averageOutbreakRisk: 28.3,
-        recentReportedCases: 1,
-        weatherCondition: "Light rain",
-        priorityLevel: "Medium",
-        waterQuality: "Good quality",
-        recommendedAction: "Standard monitoring"
-      },
-      {
-        id: "polygon-11",
-        name: "Zone K - Safe Area",
-        positions: [
-          [21.071775, 79.064771], // Node40
-          [21.071845, 79.064385], // Node41
-          [21.071310, 79.064288], // Node42
-          [21.071235, 79.064664], // Node43
-          [21.071775, 79.064771], // Node40 (close polygon)
-        ],
-        color: 'green',
-        fillColor: 'lightgreen',
-        averageOutbreakRisk: 3.2,
-        recentReportedCases: 0,
-        weatherCondition: "Clear skies",
-        priorityLevel: "Low",
-        waterQuality: "Excellent quality",
-        recommendedAction: "Maintain current monitoring"
-      },
-      {
-        id: "polygon-12",
-        name: "Zone L - Industrial Area",
-        positions: [
-          [21.071665, 79.065511], // Node17
-          [21.071720, 79.065147], // Node39
-          [21.071775, 79.064771], // Node40
-          [21.071235, 79.064664], // Node43
-          [21.071019, 79.064964], // Node53
-          [21.071665, 79.065511], // Node17 (close polygon)
-        ],
-        color: 'green',
-        fillColor: 'lightgreen',
-        averageOutbreakRisk: 18.3,
-        recentReportedCases: 1,
-        weatherCondition: "Light rain",
-        priorityLevel: "Low",
-        waterQuality: "Good quality",
-        recommendedAction: "Standard monitoring"
-      },
-      {
-        id: "polygon-13",
-        name: "Zone M - Residential North",
-        positions: [
-          [21.072211, 79.063371], // Node45
-          [21.072211, 79.063532], // Node46
-          [21.072171, 79.064144], // Node47
-          [21.071845, 79.064385], // Node41
-          [21.071310, 79.064288], // Node42
-          [21.071204, 79.063972], // Node49
-          [21.071159, 79.063505], // Node48
-          [21.072211, 79.063371], // Node45 (close polygon)
-        ],
-        color: 'green',
-        fillColor: 'lightgreen',
-        averageOutbreakRisk: 7.5,
-        recentReportedCases: 0,
-        weatherCondition: "Clear skies",
-        priorityLevel: "Low",
-        waterQuality: "Good quality",
-        recommendedAction: "Continue routine checks"
-      },
-      {
-        id: "polygon-14",
-        name: "Zone N - Critical Red",
-        positions: [
-          [21.072576, 79.064600], // Node55
-          [21.072911, 79.064573], // Node54
-          [21.072756, 79.065672], // Node28
-          [21.072416, 79.065629], // Node29
-          [21.072576, 79.064600], // Node55 (closing)
-        ],
-        color: 'red',
-        fillColor: 'red',
-        averageOutbreakRisk: 95.8,
-        recentReportedCases: 15,
-        weatherCondition: "Extreme weather",
-        priorityLevel: "High",
-        waterQuality: "Critically contaminated",
-        recommendedAction: "Immediate emergency response"
-      },
-      {
-        id: "polygon-15",
-        name: "Zone O - Large Green",
-        positions: [
-          [21.072576, 79.064600], // Node55
-          [21.072416, 79.065629], // Node29
-          [21.072756, 79.065672], // Node28
-          [21.072696, 79.066059], // Node27
-          [21.072631, 79.066418], // Node26
-          [21.072571, 79.066826], // Node24
-          [21.071495, 79.066676], // Node35
-          [21.071665, 79.065511], // Node17
-          [21.071845, 79.064385], // Node41
-          [21.072171, 79.064144], // Node47
-          [21.072576, 79.064600], // Node55 (closing)
-        ],
-        color: 'green',
-        fillColor: 'lightgreen',
-        averageOutbreakRisk: 11.2,
-        recentReportedCases: 0,
-        weatherCondition: "Clear skies",
-        priorityLevel: "Low",
-        waterQuality: "Good quality",
-        recommendedAction: "Continue routine monitoring"
-      }
-    ];
-
     // Function to handle polygon click
     const handlePolygonClick = (polygonData) => {
       setSelectedPolygon(polygonData);
@@ -432,723 +130,108 @@
     }
     
 
-    const [markers, setMarkers] = useState([
-      
-  {
-        geocode:[21.071880,79.066724],
-        popUp:"Node34"
-      },
-  {
-        geocode:[21.071495,79.066676],
-        popUp:"Node35"
-      },
-  {
-        geocode:[21.071435,79.067078],
-        popUp:"Node36"
-      },
-  {
-        geocode:[21.071775,79.067550],
-        popUp:"Node37"
-      },
-  {
-        geocode:[21.072095,79.067609],
-        popUp:"Node38"
-      },{
-        geocode:[21.071720,79.065147],
-        popUp:"Node39"
-      },
-
-  {
-        geocode:[21.071775,79.064771],
-        popUp:"Node40"
-      },
-
-  {
-        geocode:[21.071845,79.064385],
-        popUp:"Node41"
-      },
-
-  {
-        geocode:[21.071310,79.064288],
-        popUp:"Node42"
-      },
-
-  {
-        geocode:[21.071235,79.064664],
-        popUp:"Node43"
-      },
-
-  {
-        geocode:[21.071179,79.065055],
-        popUp:"Node44"
-      },
-      {
-        geocode:[21.072211,79.063371],
-        popUp:"Node45"
-      },
-
-  {
-        geocode:[21.072211,79.063532],
-        popUp:"Node46"
-      },
-
-  {
-        geocode:[21.072171,79.064144],
-        popUp:"Node47"
-      },
-
-  {
-        geocode:[21.071159,79.063505],
-        popUp:"Node48"
-      },
-
-  {
-        geocode:[21.071204,79.063972],
-        popUp:"Node49"
-      },
-
-      
-
-  {
-        geocode:[21.070394,79.064868],
-        popUp:"Node52"
-      },
-
-  {
-        geocode:[21.071019,79.064964],
-        popUp:"Node53"
-      },{
-        geocode:[21.072911,79.064573],
-        popUp:"Node54"
-      },
-  {
-        geocode:[21.072576,79.064600],
-        popUp:"Node55"
-      },
-
-  {
-        geocode:[21.071179,79.065892],
-        popUp:"Node56"
-      },
-  {
-        geocode:[21.070579,79.066300],
-        popUp:"Node57"
-      },
-
-  {
-        geocode:[21.070183,79.066257],
-        popUp:"Node58"
-      },
-
-  {
-        geocode:[21.068316,79.065603],
-        popUp:"Node59"
-      },
-
-  {
-        geocode:[21.068086,79.064541],
-        popUp:"Node60"
-      },
-
-  {
-        geocode:[21.067991,79.065570],
-        popUp:"Node61"
-      },
-
-  {
-        geocode:[21.067926,79.066375],
-        popUp:"Node62"
-      },
-
-  {
-        geocode:[21.073317,79.069218],
-        popUp:"Node63"
-      },
-
-
-  {
-        geocode:[21.073357,79.069594],
-        popUp:"Node64"
-      },
-  {
-    geocode:[21.071096,79.066184],
-    popUp:"Node95"
-  },
-
-  {
-        geocode:[21.073392,79.069969],
-        popUp:"Node65"
-      },
-
-
-  {
-        geocode:[21.073412,79.070302],
-        popUp:"Node66"
-      },
-
-
-  {
-        geocode:[21.072551,79.069261],
-        popUp:"Node67"
-      },
-
-
-  {
-        geocode:[21.072176,79.069309],
-        popUp:"Node68"
-      },
-
-
-  {
-        geocode:[21.072231,79.069690],
-        popUp:"Node69"
-      },
-
-
-  {
-        geocode:[21.072246,79.070077],
-        popUp:"Node70"
-      },
-
-
-  {
-        geocode:[21.072281,79.070420],
-        popUp:"Node71"
-      },
-
-
-  {
-        geocode:[21.071580,79.070500],
-        popUp:"Node72"
-      },
-
-
-  {
-        geocode:[21.070994,79.069374],
-        popUp:"Node73"
-      },
-
-
-  {
-        geocode:[21.070944,79.069787],
-        popUp:"Node74"
-      },
-
-
-  {
-        geocode:[21.070879,79.070173],
-        popUp:"Node75"
-      },
-
-
-  {
-        geocode:[21.070844,79.070516],
-        popUp:"Node76"
-      },
-
-
-  {
-        geocode:[21.070819,79.070763],
-        popUp:"Node77"
-      },
-
-
-  {
-        geocode:[21.070544,79.071267],
-        popUp:"Node78"
-      },
-
-
-
-  {
-        geocode:[21.070659,79.068746],
-        popUp:"Node79"
-      },
-
-  {
-        geocode:[21.070689,79.069374],
-        popUp:"Node80"
-      },
-
-
-  {
-        geocode:[21.070614,79.069658],
-        popUp:"Node81"
-      },
-
-
-  {
-        geocode:[21.070534,79.070559],
-        popUp:"Node82"
-      },
-
-
-  {
-        geocode:[21.070414,79.070543],
-        popUp:"Node83"
-      },
-
-
-
-  {
-        geocode:[21.070338,79.071219],
-        popUp:"Node84"
-      },
-
-
-  {
-        geocode:[21.070343,79.071225],
-        popUp:"Node85"
-      },{
-        geocode:[21.070163,79.071198],
-        popUp:"Node86"
-      },
-
-
-  {
-        geocode:[21.070479,79.067856],
-        popUp:"Node87"
-      },
-
-
-  {
-        geocode:[21.070348,79.068660],
-        popUp:"Node88"
-      },
-
-
-
-  {
-        geocode:[21.070258,79.069572],
-        popUp:"Node89"
-      },
-
-
-  {
-        geocode:[21.070133,79.070500],
-        popUp:"Node90"
-      },
-
-
-
-  {
-        geocode:[21.070033,21.070033],
-        popUp:"Node91"
-      },
-
-
-  {
-        geocode:[21.069848,79.071139],
-        popUp:"Node92"
-      },
-
-
-
-  {
-        geocode:[21.069708,79.072185],
-        popUp:"Node93"
-      },
-
-
-  {
-        geocode:[21.069568,79.071112],
-        popUp:"Node94"
-      },
-
-
-      {
-        geocode:[21.072756,79.065672],
-        popUp:"Node28"
-      },
-  {
-        geocode:[21.072416,79.065629],
-        popUp:"Node29"
-      },
-  {
-        geocode:[21.072055,79.065560],
-        popUp:"Node30"
-      },
-  {
-        geocode:[21.072060,79.065565],
-        popUp:"Node31"
-      },
-  {
-        geocode:[21.072136,79.065045],
-        popUp:"Node32"
-      },
-  {
-        geocode:[21.071635,79.065903],
-        popUp:"Node33"
-      },
-      {
-        geocode:[21.072696,79.066059],
-        popUp:"Node27"
-      },
-      {
-        geocode:[21.072631,79.066418],
-        popUp:"Node26"
-      },
-      {
-        geocode:[21.072236,79.066788],
-        popUp:"Node25"
-      },
-      {
-        geocode:[21.072571,79.066826],
-        popUp:"Node24"
-      },
-        {
-          geocode:[21.072451,79.067663],
-          popUp:"Node23"
-        },
-        {
-          geocode:[21.070744,79.066949],
-          popUp:"Node22"
-        },
-        {
-        geocode:[21.070829,79.066595],
-        popUp:"Node21"
-      },
-      {
-        geocode:[21.070844,79.066177],
-        popUp:"Node20"
-      },
-    
-      {
-        geocode:[21.071565,79.066305],
-        popUp:"Node19"
-      },
-      {
-        geocode:[21.071665,79.065511],
-        popUp: "Node17"
-      },
-      {
-        geocode: [21.071250,79.065469],
-        popUp: "Node18"
-      },
-      {
-        geocode: [21.070747,79.065341],
-        popUp: "Node 1"
-      },
-      {
-        geocode: [21.070308,79.065248],
-        popUp: "Node 2"
-      },
-      {
-        geocode: [21.070211,79.065853],
-        popUp: "Node 3"
-      },
-      {
-        geocode: [21.069082,79.065665],
-        popUp: "Node 4"
-      },
-      {
-        geocode: [21.069256,79.064727],
-        popUp: "Node 5"
-      },
-      {
-        geocode: [21.068633,79.065626],
-        popUp: "Node 6"
-      },
-      {
-        geocode: [21.068837,79.064682],
-        popUp: "Node 7"
-      },
-      {
-        geocode: [21.068407,79.064586],
-        popUp: "Node 8"
-      },
-      {
-        geocode: [21.070102,79.066756],
-        popUp: "Node 9"
-      },
-      {
-        geocode: [21.070545,79.066820],
-        popUp: "Node 10"
-      },
-      {
-        geocode : [21.070015,79.067354],    
-        popUp: "Node 11"
-      },
-      {
-        geocode: [21.069682,79.066709],
-        popUp: "Node 12"
-      },
-      {
-        geocode: [21.069764,79.066254],
-        popUp: "Node 13"
-      },
-      {
-        geocode: [21.067962,79.066011],
-        popUp: "Node 14"
-      },
-      {
-        geocode: [21.071395,79.067521],
-        popUp: "Node 15"
-      },
-      {
-        geocode: [21.069860,79.068613],
-        popUp: "Node 16"
-      }
-    ]);
-    const [userPolylines, setUserPolylines] = useState([
-      // ...existing polylines...
-      [
-        [21.072911, 79.064573], // Node54
-        [21.072756, 79.065672], // Node28
-      ],
-      [
-      [21.072756, 79.065672], // Node28
-      [21.072696, 79.066059], // Node27
-    ],
-    [
-      [21.072696, 79.066059], // Node27
-      [21.072631, 79.066418], // Node26
-      [21.072571, 79.066826], // Node24
-      [21.072451, 79.067663], // Node23
-    ],
-    [
-      [21.071395, 79.067521], // Node15
-      [21.071775, 79.067550], // Node37
-      [21.072095, 79.067609], // Node38
-      [21.072451, 79.067663], // Node23
-    ],[
-      [21.072756, 79.065672], // Node28
-      [21.072416, 79.065629], // Node29
-      [21.072055, 79.065560], // Node30
-      [21.071665, 79.065511], // Node17
-      [21.071250, 79.065469], // Node18
-    ],[
-      [21.071250, 79.065469], // Node18
-      [21.070747, 79.065341], // Node1
-    ],
-      [
-          [21.1490, 79.0890], // Start coordinate
-          [21.1467, 79.0867], // End coordinate
-        ],
-        
-        [
-          [21.070747,79.065341],  //Node1
-          [21.070308,79.065248],  //Node2
-        ],
-        [
-          [21.070308,79.065248],  //Node2
-          [21.070211,79.065853],  //Node3
-        ],
-        [
-          [21.070211,79.065853],  //Node3
-          [21.069082,79.065665],  //Node4
-        ],
-        [
-          [21.069082,79.065665],  //Node4
-          [21.069256,79.064727],  //Node5
-        ],
-        [
-          [21.069082,79.065665],  //Node4
-          [21.068633,79.065626],  //Node6
-        ],
-        [
-          [21.069256,79.064727],  //Node5
-          [21.068837,79.064682],  //Node7
-        ],
-        [
-          [21.068837,79.064682],  //Node7
-          [21.068407,79.064586],  //Node8
-        ],
-        [[21.070394,79.064868],[21.069256,79.064727]], // Node52 → Node5
-    [[21.071775,79.067550],[21.071775,79.067550]],
-        ,
-        [
-          [21.071179,79.065914],
-          [21.071096,79.066184]
-        ],
-        [
-          [21.070211,79.065853],  //Node3
-          [21.070102,79.066756],  //Node9 
-        ],
-        [
-          [21.070102,79.066756],  //Node9 
-          [21.070545,79.066820],  //Node10
-        ],
-        [
-          [21.070015,79.067354],  //Node11
-          [21.070102,79.066756],  //Node9 
-        ],
-        [
-          [21.069682,79.066709],  //Node12
-          [21.070102,79.066756],  //Node9 
-        ],
-        [
-          [21.069764,79.066254],  //Node13
-          [21.069682,79.066709],  //Node12
-        ],
-        [
-          [21.069764,79.066254],  //Node13
-          [21.067962,79.066011],  //Node14
-        ],
-        [
-          [21.070015,79.067354],  //Node11
-          [21.071395,79.067521],  //Node15
-        ],
-        [
-    [21.070394,79.064868], // Node52
-    [21.071019,79.064964], // Node53
-  ]
-    
-  
-  ,[
-    [21.071845,79.064385], // Node41
-    [21.071775,79.064771], // Node40
-    [21.071720,79.065147], // Node39
-    [21.071665,79.065511], // Node17
-    [21.071635,79.065903], // Node33
-    [21.071565,79.066305], // Node19
-    [21.071495,79.066676], // Node35
-    [21.071435,79.067078], // Node36
-    [21.071395,79.067521], // Node15
-  ]
-  ,[
-    [21.070994,79.069374], // Node73
-    [21.070944,79.069787], // Node74
-    [21.070879,79.070173], // Node75
-    [21.070844,79.070516], // Node76
-    [21.070819,79.070763], // Node77
-  ]
-  ,[
-    [21.070659,79.068746], // Node79
-    [21.070689,79.069374], // Node80
-    [21.070614,79.069658], // Node81
-    [21.070534,79.070559], // Node82
-  ]
-  ,[
-    [21.070659,79.068746], // Node79
-    [21.070348,79.068660], // Node88
-    [21.069860,79.068613], // Node16
-  ]
-  ,[
-    [21.070479,79.067856], // Node87
-    [21.070348,79.068660], // Node88
-    [21.070258,79.069572], // Node89
-    [21.070133,79.070500], // Node90
-    [21.070163,79.071198], // Node86
-  ]
-  ,[
-    [21.070544,79.071267], // Node78
-    [21.070338,79.071219], // Node84
-    [21.070163,79.071198], // Node86
-    [21.069848,79.071139], // Node92
-    [21.069568,79.071112], // Node94
-  ]
-  ,[
-    [21.073317,79.069218], // Node63
-    [21.073357,79.069594], // Node64
-    [21.073392,79.069969], // Node65
-    [21.073412,79.070302], // Node66
-  ]
-  ,[
-    [21.072176,79.069309], // Node68
-    [21.072231,79.069690], // Node69
-    [21.072246,79.070077], // Node70
-    [21.072281,79.070420], // Node71
-  ]
-  ,[
-    [21.073317,79.069218], // Node63
-    [21.072551,79.069261], // Node67
-    [21.072176,79.069309], // Node68
-    [21.070994,79.069374], // Node73
-    [21.070689,79.069374], // Node80
-  ]
-  ,[
-    [21.073357,79.069594], // Node64
-    [21.072231,79.069690], // Node69
-    [21.070944,79.069787], // Node74
-  ]
-  ,[
-    [21.073392,79.069969], // Node65
-    [21.072246,79.070077], // Node70
-    [21.070879,79.070173], // Node75
-  ]
-  ,[
-      [21.073412,79.070302], // Node66
-      [21.072281,79.070420], // Node71
-    ],
-    [
-      [21.071580,79.070500], // Node72
-      [21.070844,79.070516], // Node76
-    ],
-    [
-      [21.072451,79.067663], // Node23
-      [21.072551,79.069261], // Node67
-    ],
-    [
-      [21.070534,79.070559], // Node82
-      [21.070414,79.070543], // Node83
-    ],[[21.070414,79.070543],[21.070133,79.070500]], // Node83 → Node90
-    [[21.070414,79.070543],[21.070338,79.071219]], // Node83 → Node84
-    [[21.069848,79.071139],[21.069708,79.072185]], // Node92 → Node93
-    [[21.069860,79.068613],[21.069568,79.071112]], // Node16 → Node94
-    [[21.068086,79.064541],[21.067991,79.065570],[21.067962,79.066011],[21.067926,79.066375]], // Node60 → Node61 → Node14 → Node62
-    [[21.068633,79.065626],[21.068316,79.065603],[21.067991,79.065570]], // Node6 → Node59 → Node61
-    [[21.068407,79.064586],[21.068086,79.064541]],[[21.067926,79.066375],[21.069682,79.066709]], // Node62 → Node12
-    [[21.068837,79.064682],[21.068633,79.065626]], // Node7 → Node6
-    [[21.068407,79.064586],[21.068316,79.065603]], // Node8 → Node59
-    
-    [[21.071159,79.063505],[21.071204,79.063972]], // Node48 → Node49
-    [[21.071204,79.063972],[21.072171,79.064144]], // Node49 → Node47
-    [[21.071845,79.064385],[21.071310,79.064288]], // Node41 → Node42
-    [[21.071775,79.064771],[21.071235,79.064664]], // Node40 → Node43
-    [[21.071720,79.065147],[21.071179,79.065055]], // Node39 → Node44
-    [[21.072136,79.065045],[21.072055,79.065560]], // Node32 → Node30
-    [[21.072416,79.065629],[21.072576,79.064600]], // Node27 → Node33
-    [[21.072571,79.066826],[21.072236,79.066788]],
-    [[21.071775,79.067550],[21.071775,79.067550]], // Node34 → Node37
-    [[21.072236,79.066788],[21.072095,79.067609]], // Node25 → Node38
-    [[21.071635,79.065903],[21.071179,79.065892]], // Node33 → Node56
-    [[21.071250,79.065469],[21.071179,79.065892]], // Node18 → Node56
-  // Node19 → Node20
-    // Node35 → Node21
-    [[21.071435,79.067078],[21.070744,79.066949]],
-    [
-    [21.072696,79.066059], // Node27
-    [21.071635,79.065903], // Node33
-  ]
-  ,[
-    [21.072631,79.066418], // Node26
-    [21.071565,79.066305], // Node19
-    [21.071096,79.066184], // Node95
-    [21.070844,79.066177], // Node20
-  ]
-  ,
-  [
-    [21.072236,79.066788], // Node25
-    [21.07188,79.066724], // Node34
-    [21.071495,79.066676], // Node35
-  ]
-  ,
-  [
-    [21.071775,79.067550], // Node34
-    [21.071775,79.067550], // Node37
-  ]
-  ,
-        [
-          [21.070015,79.067354],  //Node11
-          [21.069860,79.068613],  //Node16
-        ],
-        [
-    [21.071495,79.066676], // Node35
-    [21.070829,79.066595], // Node21
-  ],
-  [
-    [21.070747,79.065341], // Node1
-    [21.070579,79.066300], // Node57
-  ]
-  ,
-  [
-    [21.070579,79.066300], // Node57
-    [21.070183,79.066257], // Node58
-  ]
-
+    // The network comes from Firestore and stays live: nodes from 'waternetwork',
+    // pipes from 'pipelines'.
+    const [markers, setMarkers] = useState([]);
+    const [pipelines, setPipelines] = useState([]);
+    const [networkStatus, setNetworkStatus] = useState("loading"); // "loading" | "ready" | "error"
+    const [networkReloads, setNetworkReloads] = useState(0);
+    // Document id -> when it last changed, for items that are highlighted.
+    const [highlighted, setHighlighted] = useState({});
+
+    const clusterGroupRef = useRef(null);
+    // Pipes and zones, the layers the drawing tools can edit and delete.
+    const drawnItemsRef = useRef(null);
+    const [zones, setZones] = useState([]);
+    // What went wrong with the last drawing, edit or delete.
+    const [drawingMessage, setDrawingMessage] = useState("");
+    // Set when the starter network could not be written; what is already
+    // stored still loads, so this is only a notice.
+    const [seedMessage, setSeedMessage] = useState("");
+    // EditControl keeps the handlers it was mounted with, so they read the
+    // nodes through a ref.
+    const markersRef = useRef(markers);
+    markersRef.current = markers;
+
+    // Cluster icons are only drawn when clusters change, so redraw them when a
+    // node's status may have.
+    useEffect(() => {
+      if (clusterGroupRef.current) clusterGroupRef.current.refreshClusters();
+    }, [markers]);
+
+    const highlight = useCallback((ids) => {
+      if (!ids.length) return;
+      const changedAt = Date.now();
+      setHighlighted((prev) => ({ ...prev, ...Object.fromEntries(ids.map((id) => [id, changedAt])) }));
+      setTimeout(() => {
+        setHighlighted((prev) => {
+          // Leave items that changed again in the meantime to their own timer.
+          const next = { ...prev };
+          ids.forEach((id) => {
+            if (next[id] === changedAt) delete next[id];
+          });
+          return next;
+        });
+      }, HIGHLIGHT_MS);
+    }, []);
+
+    useEffect(() => {
+      let cancelled = false;
+      let unsubscribes = [];
+      const onError = () => {
+        if (!cancelled) setNetworkStatus("error");
+      };
+      const loadNetwork = async () => {
+        setNetworkStatus("loading");
+        setSeedMessage("");
+        // The seed batch reaches the listeners as an ordinary change, so
+        // nothing is highlighted while it is being written; otherwise a first
+        // run would flash the whole network.
+        let isSeeding = true;
+        const highlightChanges = (ids) => {
+          if (!isSeeding) highlight(ids);
+        };
+        // Ready once nodes, pipelines and zones have all arrived.
+        const waitingFor = new Set(["nodes", "pipelines", "zones"]);
+        const arrived = (name) => {
+          waitingFor.delete(name);
+          if (!waitingFor.size) setNetworkStatus("ready");
+        };
+        unsubscribes = [
+          subscribeToNodes((nodeData, changedIds) => {
+            setMarkers(nodeData.map(toMarker));
+            highlightChanges(changedIds);
+            arrived("nodes");
+          }, onError),
+          subscribeToPipelines((pipelineData, changedIds) => {
+            setPipelines(pipelineData);
+            highlightChanges(changedIds);
+            arrived("pipelines");
+          }, onError),
+          subscribeToZones((zoneData) => {
+            setZones(zoneData);
+            arrived("zones");
+          }, onError),
+        ];
+        // Seeding only fills empty collections, and its writes reach the map
+        // through the subscriptions above. Offline, or without access to
+        // 'migrations', the stored network is still shown.
+        try {
+          await seedNetworkFromHardcodedData();
+          await seedZonesFromHardcodedData();
+        } catch (error) {
+          if (!cancelled) setSeedMessage("The starter network could not be added; showing what is already stored.");
+        } finally {
+          isSeeding = false;
+        }
+      };
+      loadNetwork();
+      return () => {
+        cancelled = true;
+        unsubscribes.forEach((unsubscribe) => unsubscribe());
+      };
+    }, [networkReloads, highlight]);
 
-    ]);
     const [currentPolylineStart, setCurrentPolylineStart] = useState({
       latitude: "",
       longitude: "",
@@ -1158,32 +241,18 @@
       longitude: "",
     });
 
-    const handleAddMarker = () => {
+    const handleAddMarker = async () => {
       if (
         (userCoordinates.latitude && userCoordinates.longitude) &&
         userCoordinates.popUp
       ) {
-        const newMarker = {
-          geocode: [
-            parseFloat(userCoordinates.latitude),
-            parseFloat(userCoordinates.longitude),
-          ],
-
-          popUp: userCoordinates.popUp,
-        };
-        const jsonDataForNode ={
-          latitude: parseFloat(userCoordinates.latitude),
-          longitude:parseFloat(userCoordinates.longitude),
-          popUp: userCoordinates.popUp,
-          IsContaminated : 0,
-          IsLeaking : 0,
-          CaseOfProliferation : 0,
-        };
-        uploadJSONDynamically(jsonDataForNode); // Replace 'unique_document_name' with a unique identifier for the document
-      
-    
-
-        setMarkers((prevMarkers) => [...prevMarkers, newMarker]);
+        const jsonDataForNode = newNodeDocument(
+          parseFloat(userCoordinates.latitude),
+          parseFloat(userCoordinates.longitude),
+          userCoordinates.popUp,
+        );
+        // The node listener puts it on the map.
+        await uploadJSONDynamically(jsonDataForNode);
 
         setUserCoordinates({
           latitude: "",
@@ -1214,7 +283,8 @@
           ],
         ];
 
-        setUserPolylines((prevPolylines) => [...prevPolylines, newPolyline]);
+        uploadPipelineToFirestore({ positions: newPolyline, color: "blue" })
+          .catch(() => setDrawingMessage("The pipe could not be saved. Please try again."));
         setCurrentPolylineStart({
           latitude: "",
           longitude: "",
@@ -1229,6 +299,57 @@
       }
     };
 
+    // A drawn shape is saved and then comes back through the listeners, so the
+    // layer leaflet-draw left behind is taken off the map.
+    const handleDrawCreated = async (e) => {
+      drawnItemsRef.current.removeLayer(e.layer);
+      const positions = snapToNodes(layerPositions(e.layer), markersRef.current);
+      setDrawingMessage("");
+      try {
+        if (e.layerType === "polyline") {
+          await uploadPipelineToFirestore({ positions, color: "blue" });
+        } else if (e.layerType === "polygon") {
+          const name = (window.prompt("Name of the new zone") || "").trim();
+          if (!name) return;
+          await uploadZoneToFirestore(newZone(name, positions));
+        }
+      } catch (error) {
+        setDrawingMessage("The new shape could not be saved. Please try again.");
+      }
+    };
+
+    const handleDrawEdited = async (e) => {
+      const edits = [];
+      e.layers.eachLayer((layer) => {
+        const { networkKind, networkId } = layer.options;
+        if (networkId) edits.push({ kind: networkKind, id: networkId, positions: snapToNodes(layerPositions(layer), markersRef.current) });
+      });
+      if (!edits.length) return;
+      setDrawingMessage("");
+      try {
+        await saveGeometryEdits(edits);
+      } catch (error) {
+        setDrawingMessage("The changes could not be saved; the map shows the saved shapes again.");
+        setNetworkReloads((count) => count + 1);
+      }
+    };
+
+    const handleDrawDeleted = async (e) => {
+      const items = [];
+      e.layers.eachLayer((layer) => {
+        const { networkKind, networkId } = layer.options;
+        if (networkId) items.push({ kind: networkKind, id: networkId });
+      });
+      if (!items.length) return;
+      setDrawingMessage("");
+      try {
+        await deleteGeometry(items);
+      } catch (error) {
+        setDrawingMessage("The shapes could not be deleted. Please try again.");
+        e.layers.eachLayer((layer) => drawnItemsRef.current.addLayer(layer));
+      }
+    };
+
     const handleMapClick = (e) => {
       console.log("Using the function");
       const { lat, lng } = e.latlng;
@@ -1250,42 +371,36 @@
       });
     };
 
-    const handleMarkerClick = (coordinates) => {
+    const handleMarkerClick = (marker) => {
+      const coordinates = marker.geocode;
       console.log(`Clicked Marker: Lat ${coordinates[0]}, Lng ${coordinates[1]}`);
       setCurrentPolylineEnd({
           latitude:coordinates[0],
           longitude:coordinates[1]
       })
-      // You can perform any desired actions with the coordinates here
+      setEditingNodeId(marker.id);
     };
 
+    // The node open in the editor; it closes if the node is deleted elsewhere.
+    const [editingNodeId, setEditingNodeId] = useState(null);
+    const editingNode = markers.find((marker) => marker.id === editingNodeId);
 
-    const getCoordinatesAsJSON = () => {
-      const coordinatesJSON = markers.map((marker) => ({
-        latitude: marker.geocode[0],
-        longitude: marker.geocode[1],
-        popUp: marker.popUp,
-        IsContaminated : 0,
-        IsLeaking : 0,
-        CaseOfProliferation : 0,
-      }));
-
-      // Call the upload function from FireApp.js
-      uploadJSONToFirestore(coordinatesJSON);
+    const handleDeleteNode = async () => {
+      await deleteNodeFromFirestore(editingNodeId);
+      setEditingNodeId(null);
     };
 
-    const getPolylinesAsJSON = () => {
-      const polylinesJSON = userPolylines.map((polyline) => ({
-        coordinates: polyline.map((coord) => ({
-          latitude: coord[0],
-          longitude: coord[1],
-        })),
-      }));
-    
-      // Call the upload function from FireApp.js to upload the polylines to Firestore
-      uploadPolylinesToFirestore(polylinesJSON);
+    const handleNodeDragEnd = async (marker, e) => {
+      const { lat, lng } = e.target.getLatLng();
+      try {
+        await moveNodeInFirestore(marker, parseFloat(lat.toFixed(6)), parseFloat(lng.toFixed(6)), pipelines);
+      } catch (error) {
+        // Put the marker back where Firestore still has it.
+        e.target.setLatLng(marker.geocode);
+      }
     };
 
+
     return (
       <div>
         <br />
@@ -1321,7 +436,6 @@
           }
         />
         <button onClick={handleAddMarker}>Add Marker</button>
-        <button onClick={() => console.log(getPolylinesAsJSON())}>GetCoordinates</button>
 
         <hr />
 
@@ -1372,367 +486,133 @@
         />
         <button onClick={handleAddPolyline}>Add Polyline</button>
 
-        <MapContainer center={[21.069082, 79.065665]} zoom={20}>
-          <MyComponent />
-          {userPolylines.map((polyline, index) => (
-            <Polyline key={index} positions={polyline} color="blue" />
-          ))}
-          {/* Red polyline between Node34 and Node37 */}
-          <Polyline
-            positions={[
-              [21.071880, 79.066724], // Node34
-              [21.071775, 79.067550], // Node37
-            ]}
-            color="red"
-            weight={4}
-          />
-          <Polyline
-            positions={[[21.072095, 79.067609],
-        [21.072236, 79.066788]]}
-            color="red"
-            weight={4}
-          />
-          {/* Polyline: 87 → 88 → 89 → 90 → 86 */}
-  <Polyline positions={[[21.070479,79.067856],[21.070348,79.068660]]} color="green" />
-  <Polyline positions={[[21.070348,79.068660],[21.070258,79.069572]]} color="green" />
-  <Polyline positions={[[21.070258,79.069572],[21.070133,79.070500]]} color="green" />
-  <Polyline positions={[[21.070133,79.070500],[21.070163,79.071198]]} color="green" />
-
-  {/* Polyline: 79 → 88 → 16 */}
-  <Polyline positions={[[21.070659,79.068746],[21.070348,79.068660]]} color="green" />
-  <Polyline positions={[[21.070348,79.068660],[21.069860,79.068613]]} color="green" />
-
-  {/* Polyline: 82 → 83 → 90 */}
-  <Polyline positions={[[21.070534,79.070559],[21.070414,79.070543]]} color="green" />
-  <Polyline positions={[[21.070414,79.070543],[21.070133,79.070500]]} color="green" />
-
-  {/* Polyline: 83 → 84 */}
-  <Polyline positions={[[21.070414,79.070543],[21.070338,79.071219]]} color="green" />
-
-  {/* Polyline: 78 → 84 → 86 → 92 → 94 */}
-  <Polyline positions={[[21.070544,79.071267],[21.070338,79.071219]]} color="green" />
-  <Polyline positions={[[21.070338,79.071219],[21.070163,79.071198]]} color="green" />
-  <Polyline positions={[[21.070163,79.071198],[21.069848,79.071139]]} color="green" />
-  <Polyline positions={[[21.069848,79.071139],[21.069568,79.071112]]} color="green" />
-
-  <Polyline
-    positions={[
-      [21.072211, 79.063532], // Node46
-      [21.071159, 79.063505], // Node48
-    ]}
-    pathOptions={{ color: 'green' }}
-  />
-  <Polyline
-    positions={[
-      [21.072171, 79.064144], // Node47
-      [21.071204, 79.063972], // Node49
-    ]}
-    pathOptions={{ color: 'green' }}
-  />
-  <Polyline
-    positions={[
-      [21.072416, 79.065629], // Node29
-      [21.072055, 79.06556], // Node30
-      [21.071665, 79.065511], // Node17
-    ]}
-    pathOptions={{ color: 'green' }}
-  />
-  <Polyline
-    positions={[
-      [21.072136,79.065045], // Node32
-      [21.072055, 79.06556], // Node30
-    ]}
-    pathOptions={{ color: 'green' }}
-  />
-  <Polyline
-    positions={[
-      [21.072696, 79.066059], // Node27
-      [21.071635, 79.065903], // Node33
-    ]}
-    pathOptions={{ color: 'green' }}
-  />
-  <Polyline
-    positions={[
-      [21.072631, 79.066418], // Node26
-      [21.071565, 79.066305], // Node19
-    ]}
-    pathOptions={{ color: 'green' }}
-  />
-  {/* 36 → 22 */}
-  <Polyline
-    positions={[
-      [21.071435, 79.067078], // Node36
-      [21.070744, 79.066949], // Node22
-    ]}
-    pathOptions={{ color: 'green' }}
-  />
-
-  <Polyline
-    positions={[
-      [21.070545, 79.06682], // Node10
-      [21.070102, 79.066756], // Node9
-      [21.070102,79.066756],
-      [21.069682,79.066709],
-      [21.067926,79.066375]
-    ]}
-    pathOptions={{ color: 'green' }}
-  />
-  <Polyline
-  positions={[
-    [21.070308, 79.065248], // Node 2
-    [21.070211, 79.065853], // Node 3
-    [21.070102, 79.066756], // Node 9
-    [21.070015, 79.067354], // Node 11
-  ]}
-  pathOptions={{ color: 'green' }}
-/>
-<Polyline
-  positions={[
-    [21.070579,79.0663], // Node 57
-    [21.070183,79.066257], // Node 58
-  ]}
-  pathOptions={{ color: 'green' }}
-/>
-<Polyline
-  positions={[
-    [21.070211,79.065853], // Node 57
-    [21.069082,79.065665],
-    [21.068633,79.065626],
-    [21.068316,79.065603],
-    [21.067991,79.06557] // Node 58
-  ]}
-  pathOptions={{ color: 'green' }}
-/>
-<Polyline
-  positions={[
-    [21.069764,79.066254], // Node 57
-    [21.067962,79.066011], // Node 58
-  ]}
-  pathOptions={{ color: 'green' }}
-/>
-
-<Polyline
-  positions={[
-    [21.069764,79.066254], // Node 57
-    [21.069682,79.066709], // Node 58
-  ]}
-  pathOptions={{ color: 'green' }}
-/>
-
-<Polyline
-  positions={[
-    [21.069256,79.064727],
-    [21.069082,79.065665], 
-  ]}
-  pathOptions={{ color: 'green' }}
-/>
-<Polyline
-  positions={[
-    [21.068837,79.064682], 
-    [21.068633,79.065626], 
-  ]}
-  pathOptions={{ color: 'green' }}
-/>
-<Polyline
-  positions={[
-    [21.068407,79.064586], 
-    [21.068316,79.065603], 
-  ]}
-  pathOptions={{ color: 'green' }}
-/>
-<Polyline
-  positions={[
-    [21.07172,79.065147], 
-    [21.071179,79.065055], 
-  ]}
-  pathOptions={{ color: 'green' }}
-/>
-<Polyline
-  positions={[
-    [21.073357,79.069594], 
-    [21.072231,79.06969], 
-  ]}
-  pathOptions={{ color: 'green' }}
-/>
-
-<Polyline
-  positions={[
-    [21.073392,79.069969], 
-    [21.072246,79.070077], 
-    [21.070879,79.070173]
-  ]}
-  pathOptions={{ color: 'green' }}
-/>
-<Polyline
-  positions={[
-    [21.072176,79.069309], 
-    [21.072231,79.06969], 
-  ]}
-  pathOptions={{ color: 'green' }}
-/>
-<Polyline
-  positions={[
-    [21.07158,79.0705], 
-    [21.070844,79.070516], 
-  ]}
-  pathOptions={{ color: 'green' }}
-/>
-<Polyline
-  positions={[ 
-    [21.070994,79.069374], 
-    [21.070944,79.069787],
-    [21.070879,79.070173],
-    [21.070844,79.070516],
-    [21.070819,79.070763] 
-  ]}
-  pathOptions={{ color: 'green' }}
-/>
-<Polyline
-  positions={[
-    [21.069848,79.071139], 
-    [21.069708,79.072185], 
-  ]}
-  pathOptions={{ color: 'green' }}
-/>
-<Polyline
-  positions={[
-    [21.072176,79.069309], 
-    [21.072231,79.06969], 
-  ]}
-  pathOptions={{ color: 'orange' }}
-/>
-<Polyline
-  positions={[
-    [21.070994,79.069374], 
-    [21.070944,79.069787], 
-  ]}
-  pathOptions={{ color: 'orange' }}
-/>
-<Polyline
-  positions={[
-    [21.072095,79.067609], 
-    [21.072176,79.069309], 
-  ]}
-  pathOptions={{ color: 'orange' }}
-/>
-<Polyline
-  positions={[
-    [21.071775,79.06755], 
-    [21.070994,79.069374], 
-  ]}
-  pathOptions={{ color: 'orange' }}
-/>
-<Polyline
-  positions={[
-    [21.071395,79.067521], 
-    [21.070659,79.068746], 
-  ]}
-  pathOptions={{ color: 'orange' }}
-/>
-
-<Polyline
-  positions={[
-    [21.070394,79.064868], 
-    [21.070308,79.065248], 
-  ]}
-  pathOptions={{ color: 'orange' }}
-/>
-
-<Polyline
-  positions={[
-    [21.070747,79.065341], 
-    [21.070579,79.0663], 
-  ]}
-  pathOptions={{ color: 'orange' }}
-/>
-
-<Polyline
-  positions={[
-    [21.071096,79.066184], 
-    [21.070844,79.066177], 
-  ]}
-  pathOptions={{ color: 'orange' }}
-/>
-
-<Polyline
-  positions={[
-    [21.07125,79.065469], 
-    [21.071179,79.065892], 
-    [21.071096,79.066184]
-  ]}
-  pathOptions={{ color: 'red' }}
-/>
-
-<Polyline
-  positions={[
-    [21.071635,79.065903], 
-    [21.071179,79.065892], 
-  ]}
-  pathOptions={{ color: 'red' }}
-/>
-<Polyline
-  positions={[
-    [21.071565,79.066305], 
-    [21.071096,79.066184], 
-  ]}
-  pathOptions={{ color: 'red' }}
-/>
-
-
+        {networkStatus === "loading" && (
+          <p className="network-status">Loading the water network…</p>
+        )}
+        {networkStatus === "error" && (
+          <p className="network-status network-status-error">
+            The water network could not be loaded.{" "}
+            <button onClick={() => setNetworkReloads((count) => count + 1)}>Try again</button>
+          </p>
+        )}
+        {seedMessage && (
+          <p className="network-status">{seedMessage}</p>
+        )}
+        {drawingMessage && (
+          <p className="network-status network-status-error">{drawingMessage}</p>
+        )}
 
-          {/* Dynamic Polygons with Click Handlers */}
-          {polygonData.map((polygon) => (
-            <Polygon
-              key={polygon.id}
-              positions={polygon.positions}
-              pathOptions={{ 
-                color: polygon.color, 
-                fillColor: polygon.fillColor, 
-                fillOpacity: 0.3,
-                weight: 2
-              }}
-              eventHandlers={{
-                click: () => handlePolygonClick(polygon)
-              }}
+        <div className="map-wrapper">
+          <MapContainer center={[21.069082, 79.065665]} zoom={20}>
+            <MyComponent />
+            <FeatureGroup ref={drawnItemsRef}>
+              {/* Draw pipes (snapped to nearby nodes) and zones; edit or delete existing ones */}
+              <EditControl
+                position="topleft"
+                onCreated={handleDrawCreated}
+                onEdited={handleDrawEdited}
+                onDeleted={handleDrawDeleted}
+                draw={{
+                  polyline: { shapeOptions: { color: "blue", weight: 3 } },
+                  polygon: { allowIntersection: false, shapeOptions: { color: "blue", fillColor: "lightblue" } },
+                  rectangle: false,
+                  circle: false,
+                  circlemarker: false,
+                  marker: false,
+                }}
+              />
+              {pipelines.map((pipeline) => (
+                <Polyline
+                  // Leaflet only applies className when a path is created, so a
+                  // highlighted pipe is drawn afresh, and again once it ends.
+                  key={highlighted[pipeline.id] ? `${pipeline.id}-${highlighted[pipeline.id]}` : pipeline.id}
+                  positions={pipeline.positions}
+                  // Kept on the layer's options so drawing edits can be saved to the right document.
+                  networkKind="pipeline"
+                  networkId={pipeline.id}
+                  pathOptions={{
+                    color: pipeline.color,
+                    weight: pipeline.weight,
+                    className: highlighted[pipeline.id] ? "network-highlight-pipe" : undefined,
+                  }}
+                />
+              ))}
+
+              {/* Zones, with their risk information on click */}
+              {zones.map((zone) => (
+                <Polygon
+                  key={zone.id}
+                  positions={zone.positions}
+                  networkKind="zone"
+                  networkId={zone.id}
+                  pathOptions={{
+                    color: zone.color,
+                    fillColor: zone.fillColor,
+                    fillOpacity: 0.3,
+                    weight: 2
+                  }}
+                  eventHandlers={{
+                    click: () => handlePolygonClick(zone)
+                  }}
+                />
+              ))}
+            </FeatureGroup>
+
+            <TileLayer
+              attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
             />
-          ))}
-
-
-
-          <TileLayer
-            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            <MarkerClusterGroup
+              ref={clusterGroupRef}
+              chunkedLoading
+              iconCreateFunction={createClusterCustomIcon}
+              maxClusterRadius={120}
+              disableClusteringAtZoom={18}
+              spiderfyOnMaxZoom={false}
+              showCoverageOnHover={true}
+              zoomToBoundsOnClick={true}
+              removeOutsideVisibleBounds={true}
+              animate={true}
+              animateAddingMarkers={true}
+              maxZoom={17}
+              spiderfyDistanceMultiplier={1.5}
+              polygonOptions={{
+                fillColor: '#007bff',
+                color: '#007bff',
+                weight: 2,
+                opacity: 0.3,
+                fillOpacity: 0.1
+              }}
+            >
+              {markers.map((marker) => (
+                <Marker
+                  key={marker.id}
+                  position={marker.geocode}
+                  icon={nodeIcon(marker, Boolean(highlighted[marker.id]))}
+                  // Only the node being edited can be dragged, so a stray drag cannot move the network.
+                  draggable={marker.id === editingNodeId}
+                  eventHandlers={{
+                    click: () => handleMarkerClick(marker),
+                    dragend: (e) => handleNodeDragEnd(marker, e),
+                  }}
+                >
+                  <Tooltip>{marker.popUp}</Tooltip>
+                </Marker>
+              ))}
+            </MarkerClusterGroup>
+          </MapContainer>
+          <NetworkLegend />
+        </div>
+
+        {editingNode && (
+          <NodeEditor
+            key={editingNode.id}
+            node={editingNode}
+            onSave={(changes) => updateNodeInFirestore(editingNode.id, changes)}
+            onDelete={handleDeleteNode}
+            onClose={() => setEditingNodeId(null)}
           />
-          <MarkerClusterGroup
-            chunkedLoading
-            iconCreateFunction={createClusterCustomIcon}
-            maxClusterRadius={120}
-            disableClusteringAtZoom={18}
-            spiderfyOnMaxZoom={false}
-            showCoverageOnHover={true}
-            zoomToBoundsOnClick={true}
-            removeOutsideVisibleBounds={true}
-            animate={true}
-            animateAddingMarkers={true}
-            maxZoom={17}
-            spiderfyDistanceMultiplier={1.5}
-            polygonOptions={{
-              fillColor: '#007bff',
-              color: '#007bff',
-              weight: 2,
-              opacity: 0.3,
-              fillOpacity: 0.1
-            }}
-          >
-            {markers.map((marker, index) => (
-              <Marker key={index} position={marker.geocode} icon={customIcon} eventHandlers={{
-                click: () => handleMarkerClick(marker.geocode),
-              }}>
-                <Popup>{marker.popUp}</Popup>
-              </Marker>
-            ))}
-          </MarkerClusterGroup>
-        </MapContainer>
+        )}
         
         {/* Polygon Information Popup/Sidebar */}
         {showPolygonInfo && selectedPolygon && (
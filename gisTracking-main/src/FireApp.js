@@ -1,36 +1,107 @@
 
 import firebase from 'firebase/app';
 import 'firebase/firestore';
-import { collection, addDoc, doc ,setDoc ,getDocs} from 'firebase/firestore';
+import { collection, addDoc, doc ,setDoc ,getDocs, getDoc, limit, onSnapshot, query, serverTimestamp, writeBatch, updateDoc, deleteDoc} from 'firebase/firestore';
 import { firestore } from './firebase';
+import { SEED_NODES, SEED_PIPELINES, SEED_ZONES } from './networkSeed';
 
-// Fetch all polylines from Firestore 'pipelines' collection
+// Leaflet's own line width, for pipelines saved without one.
+const DEFAULT_PIPELINE_WEIGHT = 3;
+
+// Written once the collections have been seeded from networkSeed.js.
+const networkSeedRef = () => doc(firestore, 'migrations', 'networkSeed');
+const zoneSeedRef = () => doc(firestore, 'migrations', 'zoneSeed');
+
+// Collections holding the geometry that can be drawn and edited on the map.
+const GEOMETRY_COLLECTIONS = { pipeline: 'pipelines', zone: 'zones' };
+
+// A node as stored in 'waternetwork', with no problems reported yet.
+export const newNodeDocument = (latitude, longitude, popUp) => ({
+  latitude,
+  longitude,
+  popUp,
+  IsContaminated : 0,
+  IsLeaking : 0,
+  CaseOfProliferation : 0,
+});
+
+const toCoordinates = (positions) => positions.map(([latitude, longitude]) => ({ latitude, longitude }));
+
+// Firestore cannot store nested arrays, so a pipeline is saved as
+// { coordinates: [{latitude, longitude}, ...], color, weight? } and drawn
+// from Leaflet's [[lat, lng], ...] positions.
+export const toPipelineDocument = ({ positions, color, weight }) => ({
+  coordinates: toCoordinates(positions),
+  color,
+  ...(weight ? { weight } : {}),
+});
+
+export const toPipeline = (id, data) => ({
+  id,
+  positions: (data.coordinates || []).map(coord => [coord.latitude, coord.longitude]),
+  color: data.color || 'blue',
+  weight: data.weight || DEFAULT_PIPELINE_WEIGHT,
+});
+
+// A zone is saved like a pipeline, with its outline as coordinates, next to
+// its name, colours and risk information.
+export const toZoneDocument = ({ id, positions, ...zone }) => ({ ...zone, coordinates: toCoordinates(positions) });
+
+export const toZone = (id, { coordinates, ...data }) => ({
+  ...data,
+  id,
+  positions: (coordinates || []).map(coord => [coord.latitude, coord.longitude]),
+});
+
+// Fetch all pipelines from Firestore 'pipelines' collection as { id, positions, color, weight }
 export const fetchPolylinesFromFirestore = async () => {
   try {
     const polylinesCollection = collection(firestore, 'pipelines');
     const querySnapshot = await getDocs(polylinesCollection);
     const polylinesArray = [];
     querySnapshot.forEach((doc) => {
-      const data = doc.data();
-      // If the polyline is stored as {coordinates: [{latitude, longitude}, ...]}, convert to [[lat, lng], ...]
-      if (data.coordinates && Array.isArray(data.coordinates)) {
-        polylinesArray.push(
-          data.coordinates.map(coord => [coord.latitude, coord.longitude])
-        );
-      } else if (Array.isArray(data) && data.length === 2 && Array.isArray(data[0]) && Array.isArray(data[1])) {
-        // Already in [[lat, lng], [lat, lng]] format
-        polylinesArray.push(data);
-      } else if (Array.isArray(data)) {
-        polylinesArray.push(data);
-      }
+      polylinesArray.push(toPipeline(doc.id, doc.data()));
     });
     return polylinesArray;
   } catch (error) {
     console.error('Error fetching polylines from Firestore:', error);
-    return [];
+    throw error;
   }
 };
 
+// Listens to a collection: onChange gets every item, now and after each change,
+// with the IDs of the documents added or modified since the last call (none
+// on the first call). Returns the function that stops listening.
+const subscribeToCollection = (collectionName, toItem, onChange, onError) => {
+  let isFirstSnapshot = true;
+  return onSnapshot(
+    collection(firestore, collectionName),
+    (querySnapshot) => {
+      const changedIds = isFirstSnapshot
+        ? []
+        : querySnapshot.docChanges().filter((change) => change.type !== 'removed').map((change) => change.doc.id);
+      isFirstSnapshot = false;
+      onChange(querySnapshot.docs.map(toItem), changedIds);
+    },
+    (error) => {
+      console.error(`Error listening to ${collectionName} in Firestore:`, error);
+      if (onError) onError(error);
+    },
+  );
+};
+
+// Live nodes from 'waternetwork', each with its document id
+export const subscribeToNodes = (onChange, onError) =>
+  subscribeToCollection('waternetwork', (doc) => ({ id: doc.id, ...doc.data() }), onChange, onError);
+
+// Live pipelines from 'pipelines' as { id, positions, color, weight }
+export const subscribeToPipelines = (onChange, onError) =>
+  subscribeToCollection('pipelines', (doc) => toPipeline(doc.id, doc.data()), onChange, onError);
+
+// Live zones from 'zones' as { id, name, positions, color, fillColor, ... }
+export const subscribeToZones = (onChange, onError) =>
+  subscribeToCollection('zones', (doc) => toZone(doc.id, doc.data()), onChange, onError);
+
 export const uploadJSONToFirestore = async (jsonData) => {
   try {
     const collectionRef = collection(firestore, 'waternetwork'); // Replace 'your_collection_name' with your actual Firestore collection name
@@ -52,15 +123,117 @@ export const uploadJSONDynamically = async (nodeData) => {
       const collectionRef = collection(firestore, 'waternetwork'); // Replace 'waternetwork' with your actual Firestore collection name
   
       // Add a new document with Firestore's auto-generated document ID
-      await addDoc(collectionRef, nodeData);
+      const docRef = await addDoc(collectionRef, nodeData);
   
       console.log('Node data uploaded to Firestore successfully');
+      return docRef.id;
     } catch (error) {
       console.error('Error uploading node data to Firestore:', error);
     }
   };
 
 
+  export const uploadPipelineToFirestore = async (pipeline) => {
+    try {
+      const docRef = await addDoc(collection(firestore, 'pipelines'), toPipelineDocument(pipeline));
+      console.log('Pipeline uploaded to Firestore successfully');
+      return docRef.id;
+    } catch (error) {
+      console.error('Error uploading pipeline to Firestore:', error);
+      throw error;
+    }
+  };
+
+
+  // Saves edited fields of a 'waternetwork' node, leaving the others as they are
+  export const updateNodeInFirestore = async (nodeId, changes) => {
+    try {
+      await updateDoc(doc(firestore, 'waternetwork', nodeId), changes);
+      console.log('Node updated in Firestore successfully');
+    } catch (error) {
+      console.error('Error updating node in Firestore:', error);
+      throw error;
+    }
+  };
+
+
+  export const deleteNodeFromFirestore = async (nodeId) => {
+    try {
+      await deleteDoc(doc(firestore, 'waternetwork', nodeId));
+      console.log('Node deleted from Firestore successfully');
+    } catch (error) {
+      console.error('Error deleting node from Firestore:', error);
+      throw error;
+    }
+  };
+
+
+  // Moves a node, and the ends of the pipes that sat on it, in one batch so
+  // the network stays joined up.
+  export const moveNodeInFirestore = async (node, latitude, longitude, pipelines) => {
+    const isOnNode = ([lat, lng]) => lat === node.latitude && lng === node.longitude;
+    try {
+      const batch = writeBatch(firestore);
+      batch.update(doc(firestore, 'waternetwork', node.id), { latitude, longitude });
+      pipelines
+        .filter((pipeline) => pipeline.id && pipeline.positions.some(isOnNode))
+        .forEach((pipeline) => {
+          const positions = pipeline.positions.map((position) => (isOnNode(position) ? [latitude, longitude] : position));
+          batch.update(doc(firestore, 'pipelines', pipeline.id), {
+            coordinates: toCoordinates(positions),
+          });
+        });
+      await batch.commit();
+      console.log('Node moved in Firestore successfully');
+    } catch (error) {
+      console.error('Error moving node in Firestore:', error);
+      throw error;
+    }
+  };
+
+
+  export const uploadZoneToFirestore = async (zone) => {
+    try {
+      const docRef = await addDoc(collection(firestore, 'zones'), toZoneDocument(zone));
+      console.log('Zone uploaded to Firestore successfully');
+      return docRef.id;
+    } catch (error) {
+      console.error('Error uploading zone to Firestore:', error);
+      throw error;
+    }
+  };
+
+
+  // Saves reshaped pipes and zones, given as [{ kind: 'pipeline' | 'zone', id, positions }], in one batch
+  export const saveGeometryEdits = async (edits) => {
+    try {
+      const batch = writeBatch(firestore);
+      edits.forEach(({ kind, id, positions }) => {
+        batch.update(doc(firestore, GEOMETRY_COLLECTIONS[kind], id), { coordinates: toCoordinates(positions) });
+      });
+      await batch.commit();
+      console.log('Geometry edits saved to Firestore successfully');
+    } catch (error) {
+      console.error('Error saving geometry edits to Firestore:', error);
+      throw error;
+    }
+  };
+
+
+  // Deletes pipes and zones, given as [{ kind: 'pipeline' | 'zone', id }], in one batch
+  export const deleteGeometry = async (items) => {
+    try {
+      const batch = writeBatch(firestore);
+      items.forEach(({ kind, id }) => batch.delete(doc(firestore, GEOMETRY_COLLECTIONS[kind], id)));
+      await batch.commit();
+      console.log('Geometry deleted from Firestore successfully');
+    } catch (error) {
+      console.error('Error deleting geometry from Firestore:', error);
+      throw error;
+    }
+  };
+
+
   export const uploadPolylinesToFirestore = async (polylinesData) => {
     try {
       polylinesData.forEach(async (polyline) => {
@@ -81,8 +254,7 @@ export const uploadJSONDynamically = async (nodeData) => {
       const nodeDataArray = [];
   
       querySnapshot.forEach((doc) => {
-        const data = doc.data();
-        nodeDataArray.push(data);
+        nodeDataArray.push({ id: doc.id, ...doc.data() });
       });
   
       return nodeDataArray;
@@ -90,4 +262,68 @@ export const uploadJSONDynamically = async (nodeData) => {
       console.error('Error fetching node data from Firestore:', error);
       throw error;
     }
-  };
\ No newline at end of file
+  };
+
+// One-time migration: fills 'waternetwork' and 'pipelines' from the network
+// that used to be hardcoded in App.js. Seeded documents get fixed IDs and the
+// marker is written in the same batch, so running this twice, or from two
+// browsers at once, never duplicates the network. A collection that already
+// has documents is left as it is.
+export const seedNetworkFromHardcodedData = async () => {
+  try {
+    const marker = await getDoc(networkSeedRef());
+    if (marker.exists()) return false;
+
+    const [nodes, pipelines] = await Promise.all([
+      getDocs(query(collection(firestore, 'waternetwork'), limit(1))),
+      getDocs(query(collection(firestore, 'pipelines'), limit(1))),
+    ]);
+    const batch = writeBatch(firestore);
+    if (nodes.empty) {
+      SEED_NODES.forEach((node, index) => {
+        batch.set(doc(firestore, 'waternetwork', `seed-node-${index + 1}`), newNodeDocument(node.geocode[0], node.geocode[1], node.popUp));
+      });
+    }
+    if (pipelines.empty) {
+      SEED_PIPELINES.forEach((pipeline, index) => {
+        batch.set(doc(firestore, 'pipelines', `seed-pipeline-${index + 1}`), toPipelineDocument(pipeline));
+      });
+    }
+    batch.set(networkSeedRef(), {
+      seededAt: serverTimestamp(),
+      nodes: nodes.empty ? SEED_NODES.length : 0,
+      pipelines: pipelines.empty ? SEED_PIPELINES.length : 0,
+    });
+    await batch.commit();
+
+    console.log('Water network seeded in Firestore');
+    return true;
+  } catch (error) {
+    console.error('Error seeding the water network in Firestore:', error);
+    throw error;
+  }
+};
+
+// One-time migration for the zones that used to be hardcoded in App.js, in
+// the same way as seedNetworkFromHardcodedData. Zones keep their 'polygon-N'
+// ids so the Dashboard's zone list still matches.
+export const seedZonesFromHardcodedData = async () => {
+  try {
+    const marker = await getDoc(zoneSeedRef());
+    if (marker.exists()) return false;
+
+    const zones = await getDocs(query(collection(firestore, 'zones'), limit(1)));
+    const batch = writeBatch(firestore);
+    if (zones.empty) {
+      SEED_ZONES.forEach((zone) => batch.set(doc(firestore, 'zones', zone.id), toZoneDocument(zone)));
+    }
+    batch.set(zoneSeedRef(), { seededAt: serverTimestamp(), zones: zones.empty ? SEED_ZONES.length : 0 });
+    await batch.commit();
+
+    console.log('Zones seeded in Firestore');
+    return true;
+  } catch (error) {
+    console.error('Error seeding zones in Firestore:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,145 @@
+import { onSnapshot, updateDoc, writeBatch } from 'firebase/firestore';
+import { moveNodeInFirestore, subscribeToNodes, toZone, toZoneDocument, updateNodeInFirestore } from './FireApp';
+
+// Keep the real project out of the tests; documents are referred to by path.
+jest.mock('./firebase', () => ({ firestore: {}, storage: {} }));
+jest.mock('firebase/firestore', () => ({
+  collection: (firestore, name) => name,
+  doc: (firestore, collectionName, id) => `${collectionName}/${id}`,
+  onSnapshot: jest.fn(),
+  updateDoc: jest.fn(),
+  writeBatch: jest.fn(),
+}));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const zone = {
+  id: 'zone-1',
+  name: 'Ward 4',
+  positions: [[21.14, 79.08], [21.15, 79.08], [21.15, 79.09]],
+  color: 'blue',
+  fillColor: 'lightblue',
+  priorityLevel: 'High',
+};
+
+describe('toZoneDocument', () => {
+  test('stores the outline as coordinates, without the id', () => {
+    expect(toZoneDocument(zone)).toEqual({
+      name: 'Ward 4',
+      color: 'blue',
+      fillColor: 'lightblue',
+      priorityLevel: 'High',
+      coordinates: [
+        { latitude: 21.14, longitude: 79.08 },
+        { latitude: 21.15, longitude: 79.08 },
+        { latitude: 21.15, longitude: 79.09 },
+      ],
+    });
+  });
+});
+
+describe('toZone', () => {
+  test('reads a saved zone back into positions', () => {
+    expect(toZone('zone-1', toZoneDocument(zone))).toEqual(zone);
+  });
+
+  test('has no positions when the document has no coordinates', () => {
+    expect(toZone('zone-2', { name: 'Empty' })).toEqual({ id: 'zone-2', name: 'Empty', positions: [] });
+  });
+});
+
+describe('updateNodeInFirestore', () => {
+  test('writes the changes to the node', async () => {
+    updateDoc.mockResolvedValue();
+    await updateNodeInFirestore('node-1', { popUp: 'Pump', IsLeaking: 1 });
+    expect(updateDoc).toHaveBeenCalledWith('waternetwork/node-1', { popUp: 'Pump', IsLeaking: 1 });
+  });
+
+  test('passes a failed write on', async () => {
+    updateDoc.mockRejectedValue(new Error('offline'));
+    await expect(updateNodeInFirestore('node-1', { popUp: 'Pump' })).rejects.toThrow('offline');
+  });
+});
+
+describe('moveNodeInFirestore', () => {
+  let batch;
+
+  beforeEach(() => {
+    batch = { update: jest.fn(), commit: jest.fn().mockResolvedValue() };
+    writeBatch.mockReturnValue(batch);
+  });
+
+  const node = { id: 'node-1', latitude: 21.14, longitude: 79.08 };
+
+  test('moves the node and the pipe ends on it in one batch', async () => {
+    const pipelines = [
+      { id: 'pipe-1', positions: [[21.14, 79.08], [21.15, 79.08]] },
+      { id: 'pipe-2', positions: [[21.15, 79.09], [21.15, 79.08], [21.14, 79.08]] },
+      { id: 'pipe-3', positions: [[21.15, 79.08], [21.15, 79.09]] },
+    ];
+    await moveNodeInFirestore(node, 21.145, 79.085, pipelines);
+
+    expect(batch.update.mock.calls).toEqual([
+      ['waternetwork/node-1', { latitude: 21.145, longitude: 79.085 }],
+      ['pipelines/pipe-1', { coordinates: [{ latitude: 21.145, longitude: 79.085 }, { latitude: 21.15, longitude: 79.08 }] }],
+      ['pipelines/pipe-2', {
+        coordinates: [
+          { latitude: 21.15, longitude: 79.09 },
+          { latitude: 21.15, longitude: 79.08 },
+          { latitude: 21.145, longitude: 79.085 },
+        ],
+      }],
+    ]);
+    expect(batch.commit).toHaveBeenCalledTimes(1);
+  });
+
+  test('leaves unsaved pipes alone', async () => {
+    await moveNodeInFirestore(node, 21.145, 79.085, [{ positions: [[21.14, 79.08], [21.15, 79.08]] }]);
+    expect(batch.update).toHaveBeenCalledTimes(1);
+  });
+
+  test('passes a failed commit on', async () => {
+    batch.commit.mockRejectedValue(new Error('denied'));
+    await expect(moveNodeInFirestore(node, 21.145, 79.085, [])).rejects.toThrow('denied');
+  });
+});
+
+describe('subscribeToNodes', () => {
+  const snapshot = (docs, changes) => ({
+    docs: docs.map(([id, data]) => ({ id, data: () => data })),
+    docChanges: () => changes.map(([type, id]) => ({ type, doc: { id } })),
+  });
+
+  test('reports no changed IDs on the first snapshot, then added and modified ones', () => {
+    const onChange = jest.fn();
+    subscribeToNodes(onChange);
+    const [[collectionName, onNext]] = onSnapshot.mock.calls;
+    expect(collectionName).toBe('waternetwork');
+
+    onNext(snapshot([['node-1', { popUp: 'Pump' }]], [['added', 'node-1']]));
+    expect(onChange).toHaveBeenLastCalledWith([{ id: 'node-1', popUp: 'Pump' }], []);
+
+    onNext(snapshot(
+      [['node-1', { popUp: 'Tank' }], ['node-2', { popUp: 'Valve' }]],
+      [['modified', 'node-1'], ['added', 'node-2'], ['removed', 'node-3']],
+    ));
+    expect(onChange).toHaveBeenLastCalledWith([{ id: 'node-1', popUp: 'Tank' }, { id: 'node-2', popUp: 'Valve' }], ['node-1', 'node-2']);
+  });
+
+  test('passes listener errors to onError', () => {
+    const onError = jest.fn();
+    subscribeToNodes(jest.fn(), onError);
+    const [[, , onFailure]] = onSnapshot.mock.calls;
+    const error = new Error('permission-denied');
+    onFailure(error);
+    expect(onError).toHaveBeenCalledWith(error);
+  });
+});
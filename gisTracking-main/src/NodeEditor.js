@@ -0,0 +1,136 @@
+import React, { useState } from "react";
+import { NODE_STATUSES, isFlagSet } from "./nodeStatus";
+
+const FLAG_STATUSES = NODE_STATUSES.filter((status) => status.flag);
+
+const toForm = (node) => ({
+  popUp: node.popUp || "",
+  ...Object.fromEntries(FLAG_STATUSES.map((status) => [status.flag, isFlagSet(node[status.flag])])),
+  elevation: node.elevation ?? "",
+  demand: node.demand ?? "",
+  notes: node.notes || "",
+});
+
+// Problems with the form, by field; empty when it can be saved.
+const validate = (form) => {
+  const problems = {};
+  if (!form.popUp.trim()) problems.popUp = "Give the node a label.";
+  ["elevation", "demand"].forEach((field) => {
+    if (String(form[field]).trim() !== "" && !Number.isFinite(Number(form[field]))) {
+      problems[field] = "Enter a number, or leave it empty.";
+    }
+  });
+  if (Number(form.demand) < 0) problems.demand = "Demand cannot be negative.";
+  return problems;
+};
+
+// The fields written back to the node; empty numbers are stored as null.
+const toChanges = (form) => ({
+  popUp: form.popUp.trim(),
+  ...Object.fromEntries(FLAG_STATUSES.map((status) => [status.flag, form[status.flag] ? 1 : 0])),
+  elevation: String(form.elevation).trim() === "" ? null : Number(form.elevation),
+  demand: String(form.demand).trim() === "" ? null : Number(form.demand),
+  notes: form.notes.trim(),
+});
+
+// Side panel for editing a node's label, status flags, elevation, demand and
+// notes. While it is open the node can be dragged to a new position.
+export default function NodeEditor({ node, onSave, onDelete, onClose }) {
+  const [form, setForm] = useState(() => toForm(node));
+  const [problems, setProblems] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState("");
+
+  const update = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    setMessage("");
+  };
+
+  const handleSave = async () => {
+    const found = validate(form);
+    setProblems(found);
+    if (Object.keys(found).length) return;
+    setIsSaving(true);
+    try {
+      await onSave(toChanges(form));
+      setMessage("Saved.");
+    } catch (error) {
+      setMessage("The node could not be saved. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${node.popUp || "this node"}? Pipes drawn to it stay on the map.`)) return;
+    setIsSaving(true);
+    try {
+      await onDelete();
+    } catch (error) {
+      setMessage("The node could not be deleted. Please try again.");
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="node-editor">
+      <div className="polygon-info-header">
+        <h3>Edit node</h3>
+        <button className="close-button" onClick={onClose} aria-label="Close">
+          ×
+        </button>
+      </div>
+
+      <div className="node-editor-content">
+        <label>
+          Label
+          <input type="text" value={form.popUp} onChange={(e) => update("popUp", e.target.value)} />
+        </label>
+        {problems.popUp && <p className="node-editor-problem">{problems.popUp}</p>}
+
+        <fieldset>
+          <legend>Status</legend>
+          {FLAG_STATUSES.map((status) => (
+            <label key={status.flag} className="node-editor-flag">
+              <input type="checkbox" checked={form[status.flag]} onChange={(e) => update(status.flag, e.target.checked)} />
+              {status.label}
+            </label>
+          ))}
+        </fieldset>
+
+        <label>
+          Elevation (m)
+          <input type="text" inputMode="decimal" value={form.elevation} onChange={(e) => update("elevation", e.target.value)} />
+        </label>
+        {problems.elevation && <p className="node-editor-problem">{problems.elevation}</p>}
+
+        <label>
+          Demand (L/s)
+          <input type="text" inputMode="decimal" value={form.demand} onChange={(e) => update("demand", e.target.value)} />
+        </label>
+        {problems.demand && <p className="node-editor-problem">{problems.demand}</p>}
+
+        <label>
+          Notes
+          <textarea rows={4} value={form.notes} onChange={(e) => update("notes", e.target.value)} />
+        </label>
+
+        <p className="node-editor-position">
+          Position: {node.latitude}, {node.longitude}
+          <br />
+          Drag the marker on the map to move the node.
+        </p>
+
+        <div className="node-editor-actions">
+          <button onClick={handleSave} disabled={isSaving}>
+            {isSaving ? "Saving…" : "Save"}
+          </button>
+          <button className="node-editor-delete" onClick={handleDelete} disabled={isSaving}>
+            Delete node
+          </button>
+        </div>
+        {message && <p className="node-editor-message">{message}</p>}
+      </div>
+    </div>
+  );
+}
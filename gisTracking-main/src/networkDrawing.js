@@ -0,0 +1,44 @@
+import { latLng } from "leaflet";
+
+// How close, in metres, a drawn point must be to a node to snap onto it.
+export const SNAP_DISTANCE_M = 10;
+
+const round = (value) => parseFloat(value.toFixed(6));
+
+// The [[lat, lng], ...] of a drawn polyline, or of a polygon's outline,
+// rounded like typed coordinates.
+export const layerPositions = (layer) => {
+  const latlngs = layer.getLatLngs();
+  const outline = Array.isArray(latlngs[0]) ? latlngs[0] : latlngs;
+  return outline.map(({ lat, lng }) => [round(lat), round(lng)]);
+};
+
+// Moves each point onto the nearest node within SNAP_DISTANCE_M, so drawn
+// pipes and zones join the nodes they were traced along.
+export const snapToNodes = (positions, nodes) =>
+  positions.map((position) => {
+    let nearest = null;
+    let nearestDistance = SNAP_DISTANCE_M;
+    nodes.forEach((node) => {
+      const distance = latLng(position).distanceTo(node.geocode);
+      if (distance <= nearestDistance) {
+        nearest = node;
+        nearestDistance = distance;
+      }
+    });
+    return nearest ? [nearest.latitude, nearest.longitude] : position;
+  });
+
+// A zone drawn on the map, before anything is known about it.
+export const newZone = (name, positions) => ({
+  name,
+  positions,
+  color: "blue",
+  fillColor: "lightblue",
+  averageOutbreakRisk: 0,
+  recentReportedCases: 0,
+  weatherCondition: "Not recorded",
+  priorityLevel: "Low",
+  waterQuality: "Not recorded",
+  recommendedAction: "Not recorded",
+});
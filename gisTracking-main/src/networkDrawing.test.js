@@ -0,0 +1,58 @@
+import { latLng } from "leaflet";
+import { layerPositions, newZone, SNAP_DISTANCE_M, snapToNodes } from "./networkDrawing";
+
+const node = (id, latitude, longitude) => ({ id, latitude, longitude, geocode: [latitude, longitude] });
+
+// About 1.1 m of latitude.
+const METRE = 0.00001;
+
+describe("snapToNodes", () => {
+  const pump = node("pump", 21.149, 79.089);
+
+  test("moves a point within SNAP_DISTANCE_M onto the node", () => {
+    const drawn = [21.149 + 5 * METRE, 79.089];
+    expect(latLng(drawn).distanceTo(pump.geocode)).toBeLessThan(SNAP_DISTANCE_M);
+    expect(snapToNodes([drawn], [pump])).toEqual([[21.149, 79.089]]);
+  });
+
+  test("leaves a point further than SNAP_DISTANCE_M where it was drawn", () => {
+    const drawn = [21.149 + 20 * METRE, 79.089];
+    expect(latLng(drawn).distanceTo(pump.geocode)).toBeGreaterThan(SNAP_DISTANCE_M);
+    expect(snapToNodes([drawn], [pump])).toEqual([drawn]);
+  });
+
+  test("picks the nearest of two nodes in reach", () => {
+    const tank = node("tank", 21.149 + 6 * METRE, 79.089);
+    const drawn = [21.149 + 4 * METRE, 79.089];
+    expect(snapToNodes([drawn], [pump, tank])).toEqual([[tank.latitude, tank.longitude]]);
+    expect(snapToNodes([drawn], [tank, pump])).toEqual([[tank.latitude, tank.longitude]]);
+  });
+
+  test("snaps each point of a line on its own", () => {
+    const tank = node("tank", 21.15, 79.09);
+    const drawn = [[21.149 + 2 * METRE, 79.089], [21.1495, 79.0895], [21.15, 79.09 + 3 * METRE]];
+    expect(snapToNodes(drawn, [pump, tank])).toEqual([[21.149, 79.089], [21.1495, 79.0895], [21.15, 79.09]]);
+  });
+});
+
+describe("layerPositions", () => {
+  const layer = (latlngs) => ({ getLatLngs: () => latlngs });
+
+  test("reads a polyline's points, rounded to six places", () => {
+    const line = layer([latLng(21.1490001234, 79.0890009876), latLng(21.15, 79.09)]);
+    expect(layerPositions(line)).toEqual([[21.149, 79.089001], [21.15, 79.09]]);
+  });
+
+  test("flattens a polygon to its outline", () => {
+    const outline = [latLng(21.14, 79.08), latLng(21.15, 79.08), latLng(21.15, 79.09)];
+    const hole = [latLng(21.145, 79.085), latLng(21.146, 79.085), latLng(21.146, 79.086)];
+    expect(layerPositions(layer([outline, hole]))).toEqual([[21.14, 79.08], [21.15, 79.08], [21.15, 79.09]]);
+  });
+});
+
+describe("newZone", () => {
+  test("starts a drawn zone with nothing recorded", () => {
+    const positions = [[21.14, 79.08], [21.15, 79.08], [21.15, 79.09]];
+    expect(newZone("Ward 4", positions)).toMatchObject({ name: "Ward 4", positions, priorityLevel: "Low", recentReportedCases: 0 });
+  });
+});
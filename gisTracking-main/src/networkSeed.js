@@ -0,0 +1,997 @@
+// The water network as it was drawn in App.js before it was kept in Firestore.
+// Only the seed functions in FireApp.js read this, to fill the 'waternetwork',
+// 'pipelines' and 'zones' collections the first time the map loads; edit the
+// network in Firestore, not here.
+
+export const SEED_NODES = [
+  { geocode: [21.071880, 79.066724], popUp: 'Node34' },
+  { geocode: [21.071495, 79.066676], popUp: 'Node35' },
+  { geocode: [21.071435, 79.067078], popUp: 'Node36' },
+  { geocode: [21.071775, 79.067550], popUp: 'Node37' },
+  { geocode: [21.072095, 79.067609], popUp: 'Node38' },
+  { geocode: [21.071720, 79.065147], popUp: 'Node39' },
+  { geocode: [21.071775, 79.064771], popUp: 'Node40' },
+  { geocode: [21.071845, 79.064385], popUp: 'Node41' },
+  { geocode: [21.071310, 79.064288], popUp: 'Node42' },
+  { geocode: [21.071235, 79.064664], popUp: 'Node43' },
+  { geocode: [21.071179, 79.065055], popUp: 'Node44' },
+  { geocode: [21.072211, 79.063371], popUp: 'Node45' },
+  { geocode: [21.072211, 79.063532], popUp: 'Node46' },
+  { geocode: [21.072171, 79.064144], popUp: 'Node47' },
+  { geocode: [21.071159, 79.063505], popUp: 'Node48' },
+  { geocode: [21.071204, 79.063972], popUp: 'Node49' },
+  { geocode: [21.070394, 79.064868], popUp: 'Node52' },
+  { geocode: [21.071019, 79.064964], popUp: 'Node53' },
+  { geocode: [21.072911, 79.064573], popUp: 'Node54' },
+  { geocode: [21.072576, 79.064600], popUp: 'Node55' },
+  { geocode: [21.071179, 79.065892], popUp: 'Node56' },
+  { geocode: [21.070579, 79.066300], popUp: 'Node57' },
+  { geocode: [21.070183, 79.066257], popUp: 'Node58' },
+  { geocode: [21.068316, 79.065603], popUp: 'Node59' },
+  { geocode: [21.068086, 79.064541], popUp: 'Node60' },
+  { geocode: [21.067991, 79.065570], popUp: 'Node61' },
+  { geocode: [21.067926, 79.066375], popUp: 'Node62' },
+  { geocode: [21.073317, 79.069218], popUp: 'Node63' },
+  { geocode: [21.073357, 79.069594], popUp: 'Node64' },
+  { geocode: [21.071096, 79.066184], popUp: 'Node95' },
+  { geocode: [21.073392, 79.069969], popUp: 'Node65' },
+  { geocode: [21.073412, 79.070302], popUp: 'Node66' },
+  { geocode: [21.072551, 79.069261], popUp: 'Node67' },
+  { geocode: [21.072176, 79.069309], popUp: 'Node68' },
+  { geocode: [21.072231, 79.069690], popUp: 'Node69' },
+  { geocode: [21.072246, 79.070077], popUp: 'Node70' },
+  { geocode: [21.072281, 79.070420], popUp: 'Node71' },
+  { geocode: [21.071580, 79.070500], popUp: 'Node72' },
+  { geocode: [21.070994, 79.069374], popUp: 'Node73' },
+  { geocode: [21.070944, 79.069787], popUp: 'Node74' },
+  { geocode: [21.070879, 79.070173], popUp: 'Node75' },
+  { geocode: [21.070844, 79.070516], popUp: 'Node76' },
+  { geocode: [21.070819, 79.070763], popUp: 'Node77' },
+  { geocode: [21.070544, 79.071267], popUp: 'Node78' },
+  { geocode: [21.070659, 79.068746], popUp: 'Node79' },
+  { geocode: [21.070689, 79.069374], popUp: 'Node80' },
+  { geocode: [21.070614, 79.069658], popUp: 'Node81' },
+  { geocode: [21.070534, 79.070559], popUp: 'Node82' },
+  { geocode: [21.070414, 79.070543], popUp: 'Node83' },
+  { geocode: [21.070338, 79.071219], popUp: 'Node84' },
+  { geocode: [21.070343, 79.071225], popUp: 'Node85' },
+  { geocode: [21.070163, 79.071198], popUp: 'Node86' },
+  { geocode: [21.070479, 79.067856], popUp: 'Node87' },
+  { geocode: [21.070348, 79.068660], popUp: 'Node88' },
+  { geocode: [21.070258, 79.069572], popUp: 'Node89' },
+  { geocode: [21.070133, 79.070500], popUp: 'Node90' },
+  { geocode: [21.070033, 21.070033], popUp: 'Node91' },
+  { geocode: [21.069848, 79.071139], popUp: 'Node92' },
+  { geocode: [21.069708, 79.072185], popUp: 'Node93' },
+  { geocode: [21.069568, 79.071112], popUp: 'Node94' },
+  { geocode: [21.072756, 79.065672], popUp: 'Node28' },
+  { geocode: [21.072416, 79.065629], popUp: 'Node29' },
+  { geocode: [21.072055, 79.065560], popUp: 'Node30' },
+  { geocode: [21.072060, 79.065565], popUp: 'Node31' },
+  { geocode: [21.072136, 79.065045], popUp: 'Node32' },
+  { geocode: [21.071635, 79.065903], popUp: 'Node33' },
+  { geocode: [21.072696, 79.066059], popUp: 'Node27' },
+  { geocode: [21.072631, 79.066418], popUp: 'Node26' },
+  { geocode: [21.072236, 79.066788], popUp: 'Node25' },
+  { geocode: [21.072571, 79.066826], popUp: 'Node24' },
+  { geocode: [21.072451, 79.067663], popUp: 'Node23' },
+  { geocode: [21.070744, 79.066949], popUp: 'Node22' },
+  { geocode: [21.070829, 79.066595], popUp: 'Node21' },
+  { geocode: [21.070844, 79.066177], popUp: 'Node20' },
+  { geocode: [21.071565, 79.066305], popUp: 'Node19' },
+  { geocode: [21.071665, 79.065511], popUp: 'Node17' },
+  { geocode: [21.071250, 79.065469], popUp: 'Node18' },
+  { geocode: [21.070747, 79.065341], popUp: 'Node 1' },
+  { geocode: [21.070308, 79.065248], popUp: 'Node 2' },
+  { geocode: [21.070211, 79.065853], popUp: 'Node 3' },
+  { geocode: [21.069082, 79.065665], popUp: 'Node 4' },
+  { geocode: [21.069256, 79.064727], popUp: 'Node 5' },
+  { geocode: [21.068633, 79.065626], popUp: 'Node 6' },
+  { geocode: [21.068837, 79.064682], popUp: 'Node 7' },
+  { geocode: [21.068407, 79.064586], popUp: 'Node 8' },
+  { geocode: [21.070102, 79.066756], popUp: 'Node 9' },
+  { geocode: [21.070545, 79.066820], popUp: 'Node 10' },
+  { geocode: [21.070015, 79.067354], popUp: 'Node 11' },
+  { geocode: [21.069682, 79.066709], popUp: 'Node 12' },
+  { geocode: [21.069764, 79.066254], popUp: 'Node 13' },
+  { geocode: [21.067962, 79.066011], popUp: 'Node 14' },
+  { geocode: [21.071395, 79.067521], popUp: 'Node 15' },
+  { geocode: [21.069860, 79.068613], popUp: 'Node 16' },];
+
+// Pipes drawn in blue were the user polylines; green, orange and red ones were
+// drawn by hand in the map's JSX.
+export const SEED_PIPELINES = [
+  {
+    color: 'blue',
+    positions: [
+      [21.072911, 79.064573], // Node54
+      [21.072756, 79.065672], // Node28
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.072756, 79.065672], // Node28
+      [21.072696, 79.066059], // Node27
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.072696, 79.066059], // Node27
+      [21.072631, 79.066418], // Node26
+      [21.072571, 79.066826], // Node24
+      [21.072451, 79.067663], // Node23
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.071395, 79.067521], // Node15
+      [21.071775, 79.067550], // Node37
+      [21.072095, 79.067609], // Node38
+      [21.072451, 79.067663], // Node23
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.072756, 79.065672], // Node28
+      [21.072416, 79.065629], // Node29
+      [21.072055, 79.065560], // Node30
+      [21.071665, 79.065511], // Node17
+      [21.071250, 79.065469], // Node18
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.071250, 79.065469], // Node18
+      [21.070747, 79.065341], // Node1
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.1490, 79.0890], // Start coordinate
+      [21.1467, 79.0867], // End coordinate
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.070747, 79.065341], // Node1
+      [21.070308, 79.065248], // Node2
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.070308, 79.065248], // Node2
+      [21.070211, 79.065853], // Node3
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.070211, 79.065853], // Node3
+      [21.069082, 79.065665], // Node4
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.069082, 79.065665], // Node4
+      [21.069256, 79.064727], // Node5
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.069082, 79.065665], // Node4
+      [21.068633, 79.065626], // Node6
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.069256, 79.064727], // Node5
+      [21.068837, 79.064682], // Node7
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.068837, 79.064682], // Node7
+      [21.068407, 79.064586], // Node8
+    ],
+  },
+  // Node52 → Node5
+  { color: 'blue', positions: [[21.070394, 79.064868], [21.069256, 79.064727]] },
+  { color: 'blue', positions: [[21.071775, 79.067550], [21.071775, 79.067550]] },
+  { color: 'blue', positions: [[21.071179, 79.065914], [21.071096, 79.066184]] },
+  {
+    color: 'blue',
+    positions: [
+      [21.070211, 79.065853], // Node3
+      [21.070102, 79.066756], // Node9
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.070102, 79.066756], // Node9
+      [21.070545, 79.066820], // Node10
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.070015, 79.067354], // Node11
+      [21.070102, 79.066756], // Node9
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.069682, 79.066709], // Node12
+      [21.070102, 79.066756], // Node9
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.069764, 79.066254], // Node13
+      [21.069682, 79.066709], // Node12
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.069764, 79.066254], // Node13
+      [21.067962, 79.066011], // Node14
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.070015, 79.067354], // Node11
+      [21.071395, 79.067521], // Node15
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.070394, 79.064868], // Node52
+      [21.071019, 79.064964], // Node53
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.071845, 79.064385], // Node41
+      [21.071775, 79.064771], // Node40
+      [21.071720, 79.065147], // Node39
+      [21.071665, 79.065511], // Node17
+      [21.071635, 79.065903], // Node33
+      [21.071565, 79.066305], // Node19
+      [21.071495, 79.066676], // Node35
+      [21.071435, 79.067078], // Node36
+      [21.071395, 79.067521], // Node15
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.070994, 79.069374], // Node73
+      [21.070944, 79.069787], // Node74
+      [21.070879, 79.070173], // Node75
+      [21.070844, 79.070516], // Node76
+      [21.070819, 79.070763], // Node77
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.070659, 79.068746], // Node79
+      [21.070689, 79.069374], // Node80
+      [21.070614, 79.069658], // Node81
+      [21.070534, 79.070559], // Node82
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.070659, 79.068746], // Node79
+      [21.070348, 79.068660], // Node88
+      [21.069860, 79.068613], // Node16
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.070479, 79.067856], // Node87
+      [21.070348, 79.068660], // Node88
+      [21.070258, 79.069572], // Node89
+      [21.070133, 79.070500], // Node90
+      [21.070163, 79.071198], // Node86
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.070544, 79.071267], // Node78
+      [21.070338, 79.071219], // Node84
+      [21.070163, 79.071198], // Node86
+      [21.069848, 79.071139], // Node92
+      [21.069568, 79.071112], // Node94
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.073317, 79.069218], // Node63
+      [21.073357, 79.069594], // Node64
+      [21.073392, 79.069969], // Node65
+      [21.073412, 79.070302], // Node66
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.072176, 79.069309], // Node68
+      [21.072231, 79.069690], // Node69
+      [21.072246, 79.070077], // Node70
+      [21.072281, 79.070420], // Node71
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.073317, 79.069218], // Node63
+      [21.072551, 79.069261], // Node67
+      [21.072176, 79.069309], // Node68
+      [21.070994, 79.069374], // Node73
+      [21.070689, 79.069374], // Node80
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.073357, 79.069594], // Node64
+      [21.072231, 79.069690], // Node69
+      [21.070944, 79.069787], // Node74
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.073392, 79.069969], // Node65
+      [21.072246, 79.070077], // Node70
+      [21.070879, 79.070173], // Node75
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.073412, 79.070302], // Node66
+      [21.072281, 79.070420], // Node71
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.071580, 79.070500], // Node72
+      [21.070844, 79.070516], // Node76
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.072451, 79.067663], // Node23
+      [21.072551, 79.069261], // Node67
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.070534, 79.070559], // Node82
+      [21.070414, 79.070543], // Node83
+    ],
+  },
+  // Node83 → Node90
+  { color: 'blue', positions: [[21.070414, 79.070543], [21.070133, 79.070500]] },
+  // Node83 → Node84
+  { color: 'blue', positions: [[21.070414, 79.070543], [21.070338, 79.071219]] },
+  // Node92 → Node93
+  { color: 'blue', positions: [[21.069848, 79.071139], [21.069708, 79.072185]] },
+  // Node16 → Node94
+  { color: 'blue', positions: [[21.069860, 79.068613], [21.069568, 79.071112]] },
+  // Node60 → Node61 → Node14 → Node62
+  { color: 'blue', positions: [[21.068086, 79.064541], [21.067991, 79.065570], [21.067962, 79.066011], [21.067926, 79.066375]] },
+  // Node6 → Node59 → Node61
+  { color: 'blue', positions: [[21.068633, 79.065626], [21.068316, 79.065603], [21.067991, 79.065570]] },
+  { color: 'blue', positions: [[21.068407, 79.064586], [21.068086, 79.064541]] },
+  // Node62 → Node12
+  { color: 'blue', positions: [[21.067926, 79.066375], [21.069682, 79.066709]] },
+  // Node7 → Node6
+  { color: 'blue', positions: [[21.068837, 79.064682], [21.068633, 79.065626]] },
+  // Node8 → Node59
+  { color: 'blue', positions: [[21.068407, 79.064586], [21.068316, 79.065603]] },
+  // Node48 → Node49
+  { color: 'blue', positions: [[21.071159, 79.063505], [21.071204, 79.063972]] },
+  // Node49 → Node47
+  { color: 'blue', positions: [[21.071204, 79.063972], [21.072171, 79.064144]] },
+  // Node41 → Node42
+  { color: 'blue', positions: [[21.071845, 79.064385], [21.071310, 79.064288]] },
+  // Node40 → Node43
+  { color: 'blue', positions: [[21.071775, 79.064771], [21.071235, 79.064664]] },
+  // Node39 → Node44
+  { color: 'blue', positions: [[21.071720, 79.065147], [21.071179, 79.065055]] },
+  // Node32 → Node30
+  { color: 'blue', positions: [[21.072136, 79.065045], [21.072055, 79.065560]] },
+  // Node27 → Node33
+  { color: 'blue', positions: [[21.072416, 79.065629], [21.072576, 79.064600]] },
+  { color: 'blue', positions: [[21.072571, 79.066826], [21.072236, 79.066788]] },
+  // Node34 → Node37
+  { color: 'blue', positions: [[21.071775, 79.067550], [21.071775, 79.067550]] },
+  // Node25 → Node38
+  { color: 'blue', positions: [[21.072236, 79.066788], [21.072095, 79.067609]] },
+  // Node33 → Node56
+  { color: 'blue', positions: [[21.071635, 79.065903], [21.071179, 79.065892]] },
+  // Node18 → Node56
+  { color: 'blue', positions: [[21.071250, 79.065469], [21.071179, 79.065892]] },
+  { color: 'blue', positions: [[21.071435, 79.067078], [21.070744, 79.066949]] },
+  {
+    color: 'blue',
+    positions: [
+      [21.072696, 79.066059], // Node27
+      [21.071635, 79.065903], // Node33
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.072631, 79.066418], // Node26
+      [21.071565, 79.066305], // Node19
+      [21.071096, 79.066184], // Node95
+      [21.070844, 79.066177], // Node20
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.072236, 79.066788], // Node25
+      [21.07188, 79.066724], // Node34
+      [21.071495, 79.066676], // Node35
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.071775, 79.067550], // Node34
+      [21.071775, 79.067550], // Node37
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.070015, 79.067354], // Node11
+      [21.069860, 79.068613], // Node16
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.071495, 79.066676], // Node35
+      [21.070829, 79.066595], // Node21
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.070747, 79.065341], // Node1
+      [21.070579, 79.066300], // Node57
+    ],
+  },
+  {
+    color: 'blue',
+    positions: [
+      [21.070579, 79.066300], // Node57
+      [21.070183, 79.066257], // Node58
+    ],
+  },
+  // Red polyline between Node34 and Node37
+  {
+    color: 'red', weight: 4,
+    positions: [
+      [21.071880, 79.066724], // Node34
+      [21.071775, 79.067550], // Node37
+    ],
+  },
+  { color: 'red', weight: 4, positions: [[21.072095, 79.067609], [21.072236, 79.066788]] },
+  // Polyline: 87 → 88 → 89 → 90 → 86
+  { color: 'green', positions: [[21.070479, 79.067856], [21.070348, 79.068660]] },
+  { color: 'green', positions: [[21.070348, 79.068660], [21.070258, 79.069572]] },
+  { color: 'green', positions: [[21.070258, 79.069572], [21.070133, 79.070500]] },
+  { color: 'green', positions: [[21.070133, 79.070500], [21.070163, 79.071198]] },
+  // Polyline: 79 → 88 → 16
+  { color: 'green', positions: [[21.070659, 79.068746], [21.070348, 79.068660]] },
+  { color: 'green', positions: [[21.070348, 79.068660], [21.069860, 79.068613]] },
+  // Polyline: 82 → 83 → 90
+  { color: 'green', positions: [[21.070534, 79.070559], [21.070414, 79.070543]] },
+  { color: 'green', positions: [[21.070414, 79.070543], [21.070133, 79.070500]] },
+  // Polyline: 83 → 84
+  { color: 'green', positions: [[21.070414, 79.070543], [21.070338, 79.071219]] },
+  // Polyline: 78 → 84 → 86 → 92 → 94
+  { color: 'green', positions: [[21.070544, 79.071267], [21.070338, 79.071219]] },
+  { color: 'green', positions: [[21.070338, 79.071219], [21.070163, 79.071198]] },
+  { color: 'green', positions: [[21.070163, 79.071198], [21.069848, 79.071139]] },
+  { color: 'green', positions: [[21.069848, 79.071139], [21.069568, 79.071112]] },
+  {
+    color: 'green',
+    positions: [
+      [21.072211, 79.063532], // Node46
+      [21.071159, 79.063505], // Node48
+    ],
+  },
+  {
+    color: 'green',
+    positions: [
+      [21.072171, 79.064144], // Node47
+      [21.071204, 79.063972], // Node49
+    ],
+  },
+  {
+    color: 'green',
+    positions: [
+      [21.072416, 79.065629], // Node29
+      [21.072055, 79.06556], // Node30
+      [21.071665, 79.065511], // Node17
+    ],
+  },
+  {
+    color: 'green',
+    positions: [
+      [21.072136, 79.065045], // Node32
+      [21.072055, 79.06556], // Node30
+    ],
+  },
+  {
+    color: 'green',
+    positions: [
+      [21.072696, 79.066059], // Node27
+      [21.071635, 79.065903], // Node33
+    ],
+  },
+  {
+    color: 'green',
+    positions: [
+      [21.072631, 79.066418], // Node26
+      [21.071565, 79.066305], // Node19
+    ],
+  },
+  // 36 → 22
+  {
+    color: 'green',
+    positions: [
+      [21.071435, 79.067078], // Node36
+      [21.070744, 79.066949], // Node22
+    ],
+  },
+  {
+    color: 'green',
+    positions: [
+      [21.070545, 79.06682], // Node10
+      [21.070102, 79.066756], // Node9
+      [21.070102, 79.066756],
+      [21.069682, 79.066709],
+      [21.067926, 79.066375],
+    ],
+  },
+  {
+    color: 'green',
+    positions: [
+      [21.070308, 79.065248], // Node 2
+      [21.070211, 79.065853], // Node 3
+      [21.070102, 79.066756], // Node 9
+      [21.070015, 79.067354], // Node 11
+    ],
+  },
+  {
+    color: 'green',
+    positions: [
+      [21.070579, 79.0663], // Node 57
+      [21.070183, 79.066257], // Node 58
+    ],
+  },
+  {
+    color: 'green',
+    positions: [
+      [21.070211, 79.065853], // Node 57
+      [21.069082, 79.065665],
+      [21.068633, 79.065626],
+      [21.068316, 79.065603],
+      [21.067991, 79.06557], // Node 58
+    ],
+  },
+  {
+    color: 'green',
+    positions: [
+      [21.069764, 79.066254], // Node 57
+      [21.067962, 79.066011], // Node 58
+    ],
+  },
+  {
+    color: 'green',
+    positions: [
+      [21.069764, 79.066254], // Node 57
+      [21.069682, 79.066709], // Node 58
+    ],
+  },
+  { color: 'green', positions: [[21.069256, 79.064727], [21.069082, 79.065665]] },
+  { color: 'green', positions: [[21.068837, 79.064682], [21.068633, 79.065626]] },
+  { color: 'green', positions: [[21.068407, 79.064586], [21.068316, 79.065603]] },
+  { color: 'green', positions: [[21.07172, 79.065147], [21.071179, 79.065055]] },
+  { color: 'green', positions: [[21.073357, 79.069594], [21.072231, 79.06969]] },
+  { color: 'green', positions: [[21.073392, 79.069969], [21.072246, 79.070077], [21.070879, 79.070173]] },
+  { color: 'green', positions: [[21.072176, 79.069309], [21.072231, 79.06969]] },
+  { color: 'green', positions: [[21.07158, 79.0705], [21.070844, 79.070516]] },
+  { color: 'green', positions: [[21.070994, 79.069374], [21.070944, 79.069787], [21.070879, 79.070173], [21.070844, 79.070516], [21.070819, 79.070763]] },
+  { color: 'green', positions: [[21.069848, 79.071139], [21.069708, 79.072185]] },
+  { color: 'orange', positions: [[21.072176, 79.069309], [21.072231, 79.06969]] },
+  { color: 'orange', positions: [[21.070994, 79.069374], [21.070944, 79.069787]] },
+  { color: 'orange', positions: [[21.072095, 79.067609], [21.072176, 79.069309]] },
+  { color: 'orange', positions: [[21.071775, 79.06755], [21.070994, 79.069374]] },
+  { color: 'orange', positions: [[21.071395, 79.067521], [21.070659, 79.068746]] },
+  { color: 'orange', positions: [[21.070394, 79.064868], [21.070308, 79.065248]] },
+  { color: 'orange', positions: [[21.070747, 79.065341], [21.070579, 79.0663]] },
+  { color: 'orange', positions: [[21.071096, 79.066184], [21.070844, 79.066177]] },
+  { color: 'red', positions: [[21.07125, 79.065469], [21.071179, 79.065892], [21.071096, 79.066184]] },
+  { color: 'red', positions: [[21.071635, 79.065903], [21.071179, 79.065892]] },
+  { color: 'red', positions: [[21.071565, 79.066305], [21.071096, 79.066184]] },];
+
+// Zones drawn on the map before they were kept in Firestore, with dummy
+// outbreak risk information matching the original screenshot colours. Their
+// ids are the zone ids the Dashboard uses (Dashboard/src/data/dmaZones.js).
+export const SEED_ZONES = [
+  {
+    id: "polygon-1",
+    name: "Zone A - North Sector",
+    positions: [
+      [21.072451, 79.067663], // Node23
+      [21.072551, 79.069261], // Node67
+      [21.072176, 79.069309], // Node68
+      [21.070994, 79.069374], // Node73
+      [21.070689, 79.069374], // Node80
+      [21.070659, 79.068746], // Node79
+      [21.070479, 79.067856], // Node87
+      [21.070015, 79.067354], // Node11
+      [21.072451, 79.067663], // Node23 again to close
+    ],
+    color: 'orange',
+    fillColor: 'orange',
+    averageOutbreakRisk: 65.5,
+    recentReportedCases: 3,
+    weatherCondition: "Light rainfall",
+    priorityLevel: "Medium",
+    waterQuality: "pH slightly unsafe",
+    recommendedAction: "Monitor water source"
+  },
+  {
+    id: "polygon-2", 
+    name: "Zone B - High Risk Area",
+    positions: [
+      [21.072571, 79.066826], // Node24
+      [21.072451, 79.067663], // Node23
+      [21.072095, 79.067609], // Node38
+      [21.071775, 79.067550], // Node37
+      [21.071395, 79.067521], // Node15
+      [21.071435, 79.067078], // Node36
+      [21.071495, 79.066676], // Node35
+      [21.071880, 79.066724], // Node34
+      [21.072236, 79.066788], // Node25
+    ],
+    color: 'red',
+    fillColor: 'red',
+    averageOutbreakRisk: 87.4,
+    recentReportedCases: 8,
+    weatherCondition: "Storm conditions",
+    priorityLevel: "High",
+    waterQuality: "Contaminated - immediate action needed",
+    recommendedAction: "Emergency response required"
+  },
+  {
+    id: "polygon-3",
+    name: "Zone C - South Sector", 
+    positions: [
+      [21.070015, 79.067354], // Node11
+      [21.070479, 79.067856], // Node87
+      [21.070659, 79.068746], // Node79
+      [21.070689, 79.069374], // Node80
+      [21.070614, 79.069658], // Node81
+      [21.070534, 79.070559], // Node82
+      [21.070544, 79.071267], // Node78
+      [21.069708, 79.072185], // Node93
+      [21.069568, 79.071112], // Node94
+      [21.069860, 79.068613], // Node16
+      [21.070015, 79.067354], // Node11 (close polygon)
+    ],
+    color: 'green',
+    fillColor: 'lightgreen',
+    averageOutbreakRisk: 8.7,
+    recentReportedCases: 1,
+    weatherCondition: "Partly cloudy",
+    priorityLevel: "Low",
+    waterQuality: "Good quality",
+    recommendedAction: "Routine check"
+  },
+  {
+    id: "polygon-4",
+    name: "Zone D - Upper Right",
+    positions: [
+      [21.073317, 79.069218], // Node63
+      [21.073357, 79.069594], // Node64
+      [21.073392, 79.069969], // Node65
+      [21.073412, 79.070302], // Node66
+      [21.072281, 79.070420], // Node71
+      [21.072246, 79.070077], // Node70
+      [21.072231, 79.069690], // Node69
+      [21.072551, 79.069261], // Node67
+      [21.073317, 79.069218], // Node63 again to close
+    ],
+    color: 'green',
+    fillColor: 'lightgreen',
+    averageOutbreakRisk: 15.2,
+    recentReportedCases: 0,
+    weatherCondition: "Clear skies",
+    priorityLevel: "Low",
+    waterQuality: "Excellent quality",
+    recommendedAction: "Continue monitoring"
+  },
+  {
+    id: "polygon-5",
+    name: "Zone E - Central Orange",
+    positions: [
+      [21.072551, 79.069261], // Node67
+      [21.072231, 79.069690], // Node69
+      [21.070944, 79.069787], // Node74
+      [21.070614, 79.069658], // Node81
+      [21.070689, 79.069374], // Node80
+      [21.070994, 79.069374], // Node73
+      [21.072176, 79.069309], // Node68
+      [21.072551, 79.069261], // Node67 again to close
+    ],
+    color: 'orange',
+    fillColor: 'orange',
+    averageOutbreakRisk: 42.3,
+    recentReportedCases: 2,
+    weatherCondition: "Heavy rainfall",
+    priorityLevel: "Medium",
+    waterQuality: "pH levels concerning",
+    recommendedAction: "Increase monitoring frequency"
+  },
+  {
+    id: "polygon-6",
+    name: "Zone F - South Green",
+    positions: [
+      [21.072231, 79.069690], // Node69
+      [21.072246, 79.070077], // Node70
+      [21.072281, 79.070420], // Node71
+      [21.071580, 79.070500], // Node72
+      [21.070819, 79.070763], // Node77
+      [21.070544, 79.071267], // Node78
+      [21.070534, 79.070559], // Node82
+      [21.070614, 79.069658], // Node81
+      [21.070944, 79.069787], // Node74
+      [21.072231, 79.069690], // Node69 again to close
+    ],
+    color: 'green',
+    fillColor: 'lightgreen',
+    averageOutbreakRisk: 12.8,
+    recentReportedCases: 0,
+    weatherCondition: "Clear skies",
+    priorityLevel: "Low",
+    waterQuality: "Good quality",
+    recommendedAction: "Continue routine checks"
+  },
+  {
+    id: "polygon-7",
+    name: "Zone G - Central Large",
+    positions: [
+      [21.071395, 79.067521], // Node15
+      [21.070015, 79.067354], // Node11
+      [21.067926, 79.066375], // Node62
+      [21.067962, 79.066011], // Node14
+      [21.067991, 79.065570], // Node61
+      [21.068086, 79.064541], // Node60
+      [21.068407, 79.064586], // Node8
+      [21.068837, 79.064682], // Node7
+      [21.069256, 79.064727], // Node5
+      [21.070308, 79.065248], // Node2
+      [21.070579, 79.066300], // Node57
+      [21.070829, 79.066595], // Node21
+      [21.071495, 79.066676], // Node35
+      [21.071435, 79.067078], // Node36
+      [21.071395, 79.067521], // Node15 again to close
+    ],
+    color: 'green',
+    fillColor: 'lightgreen',
+    averageOutbreakRisk: 5.1,
+    recentReportedCases: 0,
+    weatherCondition: "Clear skies",
+    priorityLevel: "Low",
+    waterQuality: "Excellent quality",
+    recommendedAction: "Maintain current monitoring"
+  },
+  {
+    id: "polygon-8",
+    name: "Zone H - East Orange",
+    positions: [
+      [21.069256, 79.064727], // Node5
+      [21.070394, 79.064868], // Node52
+      [21.071019, 79.064964], // Node53
+      [21.071179, 79.065055], // Node44
+      [21.071665, 79.065511], // Node17
+      [21.071250, 79.065469], // Node18
+      [21.070747, 79.065341], // Node1
+      [21.070308, 79.065248], // Node2
+      [21.069256, 79.064727], // Node5 again to close
+    ],
+    color: 'orange',
+    fillColor: 'orange',
+    averageOutbreakRisk: 38.9,
+    recentReportedCases: 1,
+    weatherCondition: "Moderate rainfall",
+    priorityLevel: "Medium",
+    waterQuality: "Slightly elevated contamination",
+    recommendedAction: "Investigate source"
+  },
+  {
+    id: "polygon-9",
+    name: "Zone I - High Risk Red",
+    positions: [
+      [21.071665, 79.065511], // Node17
+      [21.071635, 79.065903], // Node33
+      [21.071565, 79.066305], // Node19
+      [21.071495, 79.066676], // Node35
+      [21.071096, 79.066184], // Node95
+      [21.070747, 79.065341], // Node1
+      [21.071665, 79.065511], // Node17 (close polygon)
+    ],
+    color: 'red',
+    fillColor: 'red',
+    averageOutbreakRisk: 92.1,
+    recentReportedCases: 12,
+    weatherCondition: "Severe weather",
+    priorityLevel: "High",
+    waterQuality: "Severely contaminated",
+    recommendedAction: "Immediate evacuation and treatment"
+  },
+  {
+    id: "polygon-10",
+    name: "Zone J - West Orange",
+    positions: [
+      [21.070747, 79.065341], // Node1
+      [21.071096, 79.066184], // Node95
+      [21.071495, 79.066676], // Node35
+      [21.070829, 79.066595], // Node21
+      [21.070579, 79.066300], // Node57
+      [21.070308, 79.065248], // Node2
+      [21.070747, 79.065341], // Node1 (close polygon)
+    ],
+    color: 'orange',
+    fillColor: 'orange',
+    averageOutbreakRisk: 28.3,
+    recentReportedCases: 1,
+    weatherCondition: "Light rain",
+    priorityLevel: "Medium",
+    waterQuality: "Good quality",
+    recommendedAction: "Standard monitoring"
+  },
+  {
+    id: "polygon-11",
+    name: "Zone K - Safe Area",
+    positions: [
+      [21.071775, 79.064771], // Node40
+      [21.071845, 79.064385], // Node41
+      [21.071310, 79.064288], // Node42
+      [21.071235, 79.064664], // Node43
+      [21.071775, 79.064771], // Node40 (close polygon)
+    ],
+    color: 'green',
+    fillColor: 'lightgreen',
+    averageOutbreakRisk: 3.2,
+    recentReportedCases: 0,
+    weatherCondition: "Clear skies",
+    priorityLevel: "Low",
+    waterQuality: "Excellent quality",
+    recommendedAction: "Maintain current monitoring"
+  },
+  {
+    id: "polygon-12",
+    name: "Zone L - Industrial Area",
+    positions: [
+      [21.071665, 79.065511], // Node17
+      [21.071720, 79.065147], // Node39
+      [21.071775, 79.064771], // Node40
+      [21.071235, 79.064664], // Node43
+      [21.071019, 79.064964], // Node53
+      [21.071665, 79.065511], // Node17 (close polygon)
+    ],
+    color: 'green',
+    fillColor: 'lightgreen',
+    averageOutbreakRisk: 18.3,
+    recentReportedCases: 1,
+    weatherCondition: "Light rain",
+    priorityLevel: "Low",
+    waterQuality: "Good quality",
+    recommendedAction: "Standard monitoring"
+  },
+  {
+    id: "polygon-13",
+    name: "Zone M - Residential North",
+    positions: [
+      [21.072211, 79.063371], // Node45
+      [21.072211, 79.063532], // Node46
+      [21.072171, 79.064144], // Node47
+      [21.071845, 79.064385], // Node41
+      [21.071310, 79.064288], // Node42
+      [21.071204, 79.063972], // Node49
+      [21.071159, 79.063505], // Node48
+      [21.072211, 79.063371], // Node45 (close polygon)
+    ],
+    color: 'green',
+    fillColor: 'lightgreen',
+    averageOutbreakRisk: 7.5,
+    recentReportedCases: 0,
+    weatherCondition: "Clear skies",
+    priorityLevel: "Low",
+    waterQuality: "Good quality",
+    recommendedAction: "Continue routine checks"
+  },
+  {
+    id: "polygon-14",
+    name: "Zone N - Critical Red",
+    positions: [
+      [21.072576, 79.064600], // Node55
+      [21.072911, 79.064573], // Node54
+      [21.072756, 79.065672], // Node28
+      [21.072416, 79.065629], // Node29
+      [21.072576, 79.064600], // Node55 (closing)
+    ],
+    color: 'red',
+    fillColor: 'red',
+    averageOutbreakRisk: 95.8,
+    recentReportedCases: 15,
+    weatherCondition: "Extreme weather",
+    priorityLevel: "High",
+    waterQuality: "Critically contaminated",
+    recommendedAction: "Immediate emergency response"
+  },
+  {
+    id: "polygon-15",
+    name: "Zone O - Large Green",
+    positions: [
+      [21.072576, 79.064600], // Node55
+      [21.072416, 79.065629], // Node29
+      [21.072756, 79.065672], // Node28
+      [21.072696, 79.066059], // Node27
+      [21.072631, 79.066418], // Node26
+      [21.072571, 79.066826], // Node24
+      [21.071495, 79.066676], // Node35
+      [21.071665, 79.065511], // Node17
+      [21.071845, 79.064385], // Node41
+      [21.072171, 79.064144], // Node47
+      [21.072576, 79.064600], // Node55 (closing)
+    ],
+    color: 'green',
+    fillColor: 'lightgreen',
+    averageOutbreakRisk: 11.2,
+    recentReportedCases: 0,
+    weatherCondition: "Clear skies",
+    priorityLevel: "Low",
+    waterQuality: "Good quality",
+    recommendedAction: "Continue routine monitoring"
+  }
+];
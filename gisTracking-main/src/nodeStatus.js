@@ -0,0 +1,52 @@
+import { divIcon } from "leaflet";
+
+// What the flags on a 'waternetwork' node mean on the map, worst first:
+// contamination and disease cases put people at risk, a leak loses water.
+export const NODE_STATUSES = [
+  { key: "contaminated", label: "Contaminated", flag: "IsContaminated", color: "#8e44ad", badge: "C" },
+  { key: "proliferation", label: "Case of proliferation", flag: "CaseOfProliferation", color: "#fd7e14", badge: "P" },
+  { key: "leaking", label: "Leaking", flag: "IsLeaking", color: "#dc3545", badge: "L" },
+  { key: "normal", label: "Normal", color: "#28a745" },
+];
+
+const statusByKey = Object.fromEntries(NODE_STATUSES.map((status) => [status.key, status]));
+
+const rank = (key) => NODE_STATUSES.findIndex((status) => status.key === key);
+
+// Flags are stored as 0 / 1 but older documents may hold booleans or strings.
+export const isFlagSet = (value) => value === true || Number(value) > 0;
+
+// The statuses flagged on a node, worst first; ["normal"] when none are.
+export const nodeStatuses = (node) => {
+  const flagged = NODE_STATUSES.filter((status) => status.flag && isFlagSet(node[status.flag])).map((status) => status.key);
+  return flagged.length ? flagged : ["normal"];
+};
+
+export const worstStatus = (keys) =>
+  keys.reduce((worst, key) => (rank(key) < rank(worst) ? key : worst), "normal");
+
+export const statusColor = (key) => statusByKey[key].color;
+
+const iconCache = {};
+
+// A round marker in the colour of the node's worst status, with a badge for
+// each flag that is set. The worst status is kept on the icon's options so
+// the cluster icon can read it back.
+export const nodeIcon = (node, isHighlighted) => {
+  const statuses = nodeStatuses(node);
+  const cacheKey = `${statuses.join(",")}${isHighlighted ? "-highlighted" : ""}`;
+  if (!iconCache[cacheKey]) {
+    const worst = statuses[0];
+    const badges = statuses
+      .filter((key) => statusByKey[key].badge)
+      .map((key) => `<span class="node-badge" style="background-color: ${statusColor(key)}">${statusByKey[key].badge}</span>`)
+      .join("");
+    iconCache[cacheKey] = divIcon({
+      html: `<div class="node-marker" style="background-color: ${statusColor(worst)}"></div>${badges ? `<div class="node-badges">${badges}</div>` : ""}`,
+      className: `node-marker-icon${isHighlighted ? " network-highlight-marker" : ""}`,
+      iconSize: [20, 20],
+      nodeStatus: worst,
+    });
+  }
+  return iconCache[cacheKey];
+};
@@ -0,0 +1,42 @@
+import { isFlagSet, nodeIcon, nodeStatuses, worstStatus } from "./nodeStatus";
+
+describe("isFlagSet", () => {
+  test("reads 0 / 1, booleans and strings", () => {
+    [1, true, "1", "2"].forEach((value) => expect(isFlagSet(value)).toBe(true));
+    [0, false, "0", "", null, undefined].forEach((value) => expect(isFlagSet(value)).toBe(false));
+  });
+});
+
+describe("nodeStatuses", () => {
+  test("lists the flags set on a node, worst first", () => {
+    const node = { IsLeaking: 1, CaseOfProliferation: "1", IsContaminated: true };
+    expect(nodeStatuses(node)).toEqual(["contaminated", "proliferation", "leaking"]);
+  });
+
+  test("mixes flag formats from older documents", () => {
+    expect(nodeStatuses({ IsLeaking: true, CaseOfProliferation: 0, IsContaminated: "0" })).toEqual(["leaking"]);
+    expect(nodeStatuses({ IsLeaking: "0", CaseOfProliferation: "1", IsContaminated: false })).toEqual(["proliferation"]);
+  });
+
+  test("is normal when no flag is set", () => {
+    expect(nodeStatuses({ IsLeaking: 0, CaseOfProliferation: false, IsContaminated: "0" })).toEqual(["normal"]);
+    expect(nodeStatuses({})).toEqual(["normal"]);
+  });
+});
+
+describe("worstStatus", () => {
+  test("picks the worst status in a cluster", () => {
+    expect(worstStatus(["normal", "leaking", "proliferation", "normal"])).toBe("proliferation");
+    expect(worstStatus(["leaking", "contaminated"])).toBe("contaminated");
+  });
+
+  test("is normal for an all-normal or empty cluster", () => {
+    expect(worstStatus(["normal", "normal"])).toBe("normal");
+    expect(worstStatus([])).toBe("normal");
+  });
+
+  test("reads back the worst status kept on a node's icon", () => {
+    const icons = [{ IsLeaking: 1 }, { IsContaminated: "1" }, {}].map((node) => nodeIcon(node, false));
+    expect(worstStatus(icons.map((icon) => icon.options.nodeStatus))).toBe("contaminated");
+  });
+});
@@ -163,7 +163,9 @@ def sensor_allocation():
         mapping = map_to_sensors(nearest_neighbors, sensors)
 
         return jsonify({
-            'sensor_nodes': list(sensors),
+            # Sorted so the order, and so which sensor a CSV column means, does
+            # not change with Python's per-process string hashing
+            'sensor_nodes': sorted(sensors),
             'mapping': mapping
         })
     finally: